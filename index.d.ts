@@ -0,0 +1,817 @@
+// Declarações de tipos do asterisk-cache
+
+import { EventEmitter } from 'events';
+import { Server, AddressInfo } from 'net';
+import { Writable } from 'stream';
+
+declare namespace AsteriskCache {
+    // ---------------------------------------------------------------------------------------------
+    // Configuração (validada no construtor, ver lib/config.js)
+    // ---------------------------------------------------------------------------------------------
+
+    type ActionMode = 'boolean' | 'result' | 'throw';
+    type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'silent';
+
+    interface Logger {
+        debug?(message: string, fields?: Record<string, unknown>): void;
+        info?(message: string, fields?: Record<string, unknown>): void;
+        warn?(message: string, fields?: Record<string, unknown>): void;
+        error?(message: string, fields?: Record<string, unknown>): void;
+    }
+
+    interface ReconnectOptions {
+        /** Atraso da primeira tentativa em ms */
+        initialDelay?: number;
+        /** Multiplicador a cada tentativa (padrão: 1) */
+        factor?: number;
+        /** Atraso máximo em ms (padrão: 60000) */
+        maxDelay?: number;
+        /** Variação aleatória de 0 a 1 (padrão: 0) */
+        jitter?: number;
+        /** Tentativas antes de desistir (padrão: 0, infinitas) */
+        maxAttempts?: number;
+    }
+
+    interface HeartbeatOptions {
+        /** Intervalo entre os Pings em ms (padrão: 0, desativado) */
+        interval?: number;
+        /** Tempo máximo de resposta de cada Ping em ms (padrão: 5000) */
+        timeout?: number;
+        /** Pings sem resposta para considerar a conexão perdida (padrão: 3) */
+        maxMissed?: number;
+    }
+
+    interface CoalescingOptions {
+        /** Janela padrão em ms (padrão: 500; 0 entrega cada evento imediatamente) */
+        window?: number;
+        /** Janelas por tipo de evento em ms */
+        windows?: Partial<Record<CoalescedEventType, number>>;
+        /** Atraso máximo desde o primeiro evento do grupo em ms (padrão: 2000; 0 sem limite) */
+        maxWait?: number;
+    }
+
+    interface SnapshotStore {
+        load(): Snapshot | null | Promise<Snapshot | null>;
+        save(snapshot: Snapshot): void | Promise<void>;
+    }
+
+    interface SnapshotOptions {
+        path?: string;
+        store?: SnapshotStore;
+        /** Intervalo de gravação em ms (padrão: 30000) */
+        interval?: number;
+    }
+
+    interface CaptureOptions {
+        /** Arquivo da gravação (sobrescrito) */
+        path?: string;
+        stream?: NodeJS.WritableStream;
+        /** Cabeçalhos adicionais cujos valores são ocultados (Secret, Username... já são) */
+        redact?: string[];
+    }
+
+    interface JournalOptions {
+        path?: string;
+        stream?: Writable;
+    }
+
+    interface StatsOptions {
+        windows?: Record<string, number | 'today'>;
+        /** Limite do nível de serviço em segundos (padrão: 20) */
+        serviceLevel?: number;
+        /** Intervalo do evento statsUpdated em ms (padrão: 10000; 0 desativa) */
+        interval?: number;
+    }
+
+    interface PresenceRule {
+        presence: Presence | string;
+        when(member: QueueMember, now: number): boolean;
+    }
+
+    interface PresenceOptions {
+        /** Regras avaliadas antes das padrão */
+        rules?: PresenceRule[];
+        /** Presenças consideradas disponíveis (padrão: ['available']) */
+        available?: string[];
+        /** Rótulos adicionais por idioma */
+        labels?: Record<string, Partial<Labels>>;
+    }
+
+    type AlertOperator = '>' | '>=' | '<' | '<=' | '==' | '!=';
+    type QueueAlertMetric = 'callers' | 'longestWait' | 'members' | 'availableAgents' | 'pausedMembers' | 'pausedRatio';
+    type AgentAlertMetric = 'pausedFor' | 'stateFor' | 'idleFor' | 'roundtripMs';
+    /** Alvo das métricas próprias: { queue, availableAgents } nas regras de fila ou o agente nas de agente */
+    type AlertTarget = { queue: Queue; availableAgents: number } | Agent;
+
+    interface AlertCondition {
+        metric: QueueAlertMetric | AgentAlertMetric | ((target: AlertTarget, now: number) => number | null);
+        op: AlertOperator;
+        value: number;
+    }
+
+    interface AlertRule {
+        id: string;
+        /** Padrão: queue */
+        scope?: 'queue' | 'agent';
+        metric: QueueAlertMetric | AgentAlertMetric | ((target: AlertTarget, now: number) => number | null);
+        op: AlertOperator;
+        threshold: number;
+        /** Limite para encerrar o alerta (padrão: threshold) */
+        clearThreshold?: number;
+        /** Segundos que a condição precisa durar antes do alerta */
+        for?: number;
+        /** Segundos mínimos entre dois alertas da regra para o mesmo alvo */
+        cooldown?: number;
+        queues?: string[];
+        /** Critérios dos agentes avaliados (scope agent) */
+        filter?: AgentCriteria;
+        when?: AlertCondition[] | ((target: AlertTarget, now: number) => boolean);
+        severity?: 'info' | 'warning' | 'critical';
+        description?: string;
+    }
+
+    interface AlertsOptions {
+        rules?: AlertRule[];
+        /** Intervalo da avaliação periódica em ms (padrão: 10000, 0 desativa) */
+        interval?: number;
+    }
+
+    interface Alert {
+        /** Regra e alvo: "fila-cheia|suporte" */
+        id: string;
+        ruleId: string;
+        scope: 'queue' | 'agent';
+        severity: 'info' | 'warning' | 'critical';
+        queue?: string;
+        agent?: string;
+        metric: string;
+        op: AlertOperator;
+        threshold: number;
+        value: number | null;
+        /** Epoch em segundos do início da condição */
+        since: number;
+        raisedAt: number;
+        description: string | null;
+    }
+
+    interface ClearedAlert extends Alert {
+        clearedAt: number;
+        /** Segundos em que o alerta ficou levantado */
+        duration: number;
+    }
+
+    interface AsteriskCacheConfig {
+        /** Endereço do Asterisk (obrigatório, exceto com offline) */
+        host?: string;
+        /** Porta do AMI (obrigatória, exceto com offline) */
+        port?: number | string;
+        username?: string;
+        secret?: string;
+        /** Cache sem conexão, usado na reprodução do diário */
+        offline?: boolean;
+        /** Tempo máximo para conectar em ms (padrão: 10000) */
+        connectTimeout?: number;
+        /** Atraso da primeira tentativa de reconexão em ms (padrão: 5000) */
+        reconnectInterval?: number;
+        /** Tempo máximo de resposta das ações em ms (padrão: 5000) */
+        actionTimeout?: number;
+        /** Janela padrão do agrupamento de eventos em ms (o mesmo que coalescing.window) */
+        eventTimeout?: number;
+        actionMode?: ActionMode;
+        logger?: Logger;
+        logLevel?: LogLevel;
+        handleSignals?: boolean;
+        /** Reconciliação periódica com o QueueStatus em ms (padrão: 0, desativada) */
+        reconcileInterval?: number;
+        reconnect?: ReconnectOptions;
+        heartbeat?: HeartbeatOptions;
+        coalescing?: CoalescingOptions;
+        snapshot?: SnapshotOptions;
+        journal?: JournalOptions;
+        /** Gravação do tráfego AMI bruto, com as credenciais ocultadas */
+        capture?: CaptureOptions;
+        history?: { maxTransitions?: number };
+        metrics?: { buckets?: number[] };
+        stats?: StatsOptions;
+        presence?: PresenceOptions;
+        alerts?: AlertsOptions;
+        /** Revisões guardadas para o getChangesSince (padrão: 1000) */
+        changes?: { maxRevisions?: number };
+    }
+
+    // ---------------------------------------------------------------------------------------------
+    // Filas, membros e chamadores
+    // ---------------------------------------------------------------------------------------------
+
+    type StatusName = 'UNKNOWN' | 'NOT_INUSE' | 'INUSE' | 'BUSY' | 'INVALID' | 'UNAVAILABLE'
+        | 'RINGING' | 'RINGINUSE' | 'ONHOLD';
+    type Presence = 'available' | 'on-call' | 'ringing' | 'wrap-up' | 'paused' | 'offline';
+    type CoalescedEventType = 'QueueMemberStatus' | 'QueueMemberPause';
+
+    interface CurrentCall {
+        state: 'ringing' | 'connected';
+        queue: string;
+        channel: string;
+        destChannel: string;
+        uniqueId: string;
+        callerIdNum: string;
+        callerIdName: string;
+        /** Epoch em segundos do início do toque */
+        ringStart: number | null;
+        /** Epoch em segundos do atendimento */
+        connectTime: number | null;
+        holdTime: number | null;
+        ringTime: number | null;
+    }
+
+    interface QueueMember {
+        name: string;
+        /** Interface do membro (ex: SIP/1001) */
+        extension: string;
+        stateInterface: string;
+        membership: 'static' | 'dynamic' | string;
+        penalty: number;
+        callsTaken: number;
+        /** Epoch em segundos do fim da última chamada */
+        lastCall: number;
+        lastPause: number;
+        loginTime: number;
+        inCall: number;
+        /** Estado do dispositivo do Asterisk (1 = NOT_INUSE, 2 = INUSE, 5 = UNAVAILABLE...) */
+        status: number;
+        statusName: StatusName;
+        presence: Presence | string;
+        paused: number;
+        pausedReason: string;
+        wrapupTime: number;
+        /** null até o Asterisk informar em um evento */
+        ringInUse: boolean | null;
+        /** Epoch em segundos do início do status atual */
+        stateSince: number | null;
+        /** Epoch em segundos do início da pausa atual */
+        pauseSince: number | null;
+        currentCall: CurrentCall | null;
+        /** Endpoint do stateInterface registrado; null se o endpoint não for conhecido */
+        registered: boolean | null;
+        contactUri: string | null;
+        roundtripMs: number | null;
+        userAgent: string | null;
+    }
+
+    interface Endpoint {
+        /** Ex: PJSIP/1001 ou SIP/1001 */
+        interface: string;
+        technology: 'PJSIP' | 'SIP' | string;
+        name: string;
+        registered: boolean | null;
+        /** Último status informado (Reachable, Unreachable, OK (12 ms)...) */
+        status: string | null;
+        contactUri: string | null;
+        roundtripMs: number | null;
+        userAgent: string | null;
+        address: string | null;
+        deviceState: string | null;
+        contacts: { uri: string; status: string | null; roundtripMs: number | null; userAgent: string | null }[];
+    }
+
+    type EndpointFields = Pick<Endpoint, 'registered' | 'contactUri' | 'roundtripMs' | 'userAgent'>;
+
+    interface Agent extends QueueMember {
+        /** Fila de onde vêm os dados do membro */
+        queue: string;
+        /** Todas as filas do agente */
+        queues: string[];
+    }
+
+    interface Caller {
+        channel: string;
+        uniqueId: string;
+        callerIdNum: string;
+        callerIdName: string;
+        position: number;
+        /** Epoch em segundos da entrada na fila */
+        joinTime: number;
+        abandoned: boolean;
+        /** Espera atual em segundos (nos getters e eventos) */
+        wait?: number;
+    }
+
+    interface Channel {
+        channel: string;
+        /** Nome do canal sem o sufixo único (SIP/1001-00000002 -> SIP/1001) */
+        interface: string;
+        uniqueId: string;
+        linkedId: string;
+        state: number;
+        stateDesc: string;
+        callerIdNum: string;
+        callerIdName: string;
+        connectedLineNum: string;
+        connectedLineName: string;
+        context: string;
+        exten: string;
+        application: string | null;
+        /** Epoch em segundos da criação */
+        createdAt: number;
+        /** Epoch em segundos do atendimento */
+        answeredAt: number | null;
+        bridgeId: string | null;
+        /** Canal que discou para este (DialBegin) */
+        dialedBy: string | null;
+        /** Canais que este está discando */
+        dialing: string[];
+        dialStatus: string | null;
+    }
+
+    interface RemovedChannel extends Channel {
+        cause: number;
+        causeText: string;
+    }
+
+    interface Call {
+        channel: Channel;
+        peers: Channel[];
+        remoteNum: string;
+        remoteName: string;
+        answered: boolean;
+        /** Segundos desde a criação do canal */
+        duration: number;
+        bridgeId: string | null;
+    }
+
+    interface Bridge {
+        bridgeId: string;
+        channels: string[];
+    }
+
+    interface Queue {
+        name: string;
+        max: number;
+        strategy: string;
+        calls: number;
+        holdtime: number;
+        talktime: number;
+        completed: number;
+        abandoned: number;
+        servicelevel: number;
+        servicelevelperf: number;
+        servicelevelperf2: number;
+        weight: number;
+        members: QueueMember[];
+        callers: Caller[];
+        /** true enquanto a fila vem apenas do snapshot */
+        stale?: boolean;
+    }
+
+    interface Snapshot {
+        version: number;
+        revision: number;
+        savedAt: number;
+        queues: Queue[];
+    }
+
+    // ---------------------------------------------------------------------------------------------
+    // Revisões e alterações incrementais
+    // ---------------------------------------------------------------------------------------------
+
+    /** Fila indexada: membros por interface e chamadores por canal */
+    type IndexedQueue = Omit<Queue, 'members' | 'callers'> & {
+        members: Readonly<Record<string, Readonly<QueueMember>>>;
+        callers: Readonly<Record<string, Readonly<Caller>>>;
+    };
+
+    /** Cópia imutável das filas, à qual se aplicam as operações do evento changes */
+    interface StateSnapshot {
+        revision: number;
+        /** Epoch em ms da revisão (null antes da primeira) */
+        timestamp: number | null;
+        queues: Readonly<Record<string, Readonly<IndexedQueue>>>;
+    }
+
+    /** Operação JSON Patch (RFC 6902), com caminhos como /queues/suporte/members/SIP~11001/paused */
+    type PatchOperation =
+        | { op: 'add' | 'replace'; path: string; value: unknown }
+        | { op: 'remove'; path: string };
+
+    interface ChangeRecord {
+        revision: number;
+        timestamp: number;
+        patch: readonly PatchOperation[];
+    }
+
+    // ---------------------------------------------------------------------------------------------
+    // Resultados dos métodos
+    // ---------------------------------------------------------------------------------------------
+
+    type ConnectionState = 'connecting' | 'connected' | 'reconnecting' | 'disconnected' | 'destroyed';
+
+    interface Health {
+        state: ConnectionState;
+        connected: boolean;
+        uptime: number;
+        connectedAt: number | null;
+        lastEventAt: number | null;
+        reconnectCount: number;
+        reconnectAttempts: number;
+        missedHeartbeats: number;
+        lastHeartbeatAt: number | null;
+        lastError: { code: string; message: string; at: number } | null;
+    }
+
+    interface WindowStats {
+        window: string;
+        answered: number;
+        abandoned: number;
+        completed: number;
+        avgWait: number;
+        maxWait: number;
+        avgTalk: number;
+        serviceLevel: number;
+        serviceLevelThreshold: number;
+        occupancy: number;
+    }
+
+    interface AgentTransition {
+        at: number;
+        status: number;
+        paused: number;
+        pausedReason: string;
+    }
+
+    interface TimeInState {
+        extension: string;
+        from: number;
+        to: number;
+        total: number;
+        paused: number;
+        byStatus: Record<string, number>;
+        byPauseReason: Record<string, number>;
+    }
+
+    interface Labels {
+        presence: Record<string, string>;
+        status: Record<string, string>;
+    }
+
+    interface AgentCriteria {
+        status?: number | number[];
+        presence?: string | string[];
+        paused?: boolean;
+        pausedReason?: string | string[];
+        anyQueue?: string[];
+        allQueues?: string[];
+        penalty?: { min?: number; max?: number };
+        search?: string;
+        /** Ocioso há mais de N segundos */
+        idleFor?: number;
+        membership?: 'static' | 'dynamic';
+        inCall?: boolean;
+        registered?: boolean;
+    }
+
+    interface AgentQueryOptions {
+        queue?: string;
+        sortBy?: keyof Agent | 'idle';
+        order?: 'asc' | 'desc';
+        offset?: number;
+        limit?: number;
+    }
+
+    interface AgentQueryResult {
+        total: number;
+        offset: number;
+        limit: number | null;
+        agents: Agent[];
+    }
+
+    interface ActionResult {
+        success: boolean;
+        response: Record<string, unknown> | null;
+        error: AsteriskCacheError | null;
+    }
+
+    /** Retorno das ações conforme o actionMode: boolean, ActionResult ou a resposta do Asterisk */
+    type ActionReturn = boolean | ActionResult | Record<string, unknown>;
+
+    interface ReloadOptions {
+        queue?: string;
+        members?: boolean;
+        rules?: boolean;
+        parameters?: boolean;
+    }
+
+    interface QueueLogOptions {
+        uniqueId?: string;
+        interface?: string;
+        message?: string;
+    }
+
+    // ---------------------------------------------------------------------------------------------
+    // Eventos
+    // ---------------------------------------------------------------------------------------------
+
+    interface ResyncSummary {
+        initial: boolean;
+        queuesAdded: string[];
+        queuesRemoved: string[];
+        membersAdded: { queue: string; extension: string }[];
+        membersRemoved: { queue: string; extension: string }[];
+        membersChanged: { queue: string; extension: string; fields: string[] }[];
+    }
+
+    interface AsteriskCacheEvents {
+        connected: [];
+        disconnected: [];
+        reconnecting: [{ delay: number; attempt: number }];
+        connectionError: [{ code: string; message: string }];
+        healthChanged: [Health];
+        resynced: [ResyncSummary];
+        snapshotLoaded: [{ revision: number; savedAt: number; queues: number }];
+        snapshotSaved: [{ revision: number; savedAt: number }];
+        queuesUpdated: [Queue[]];
+        changes: [ChangeRecord];
+        memberStatusChanged: [{ queues: string[]; member: QueueMember; paused: number }];
+        memberPauseChanged: [{ queues: string[]; member: QueueMember; paused: number }];
+        memberPenaltyChanged: [{ queue: string; member: QueueMember; penalty: number }];
+        memberRingInUseChanged: [{ queue: string; member: QueueMember; ringInUse: boolean | null }];
+        memberPresenceChanged: [{ queue: string; member: QueueMember; previousPresence: string; presence: string }];
+        memberAdded: [{ queue: string; member: QueueMember }];
+        memberRemoved: [{ queue: string; member: QueueMember }];
+        callerJoined: [{ queue: string; caller: Caller }];
+        callerLeft: [{ queue: string; caller: Caller; abandoned: boolean }];
+        callerAbandoned: [{ queue: string; caller: Caller; holdTime: number; originalPosition: number }];
+        agentRinging: [{ interface: string; queues: string[]; call: CurrentCall }];
+        agentConnected: [{ interface: string; queues: string[]; call: CurrentCall }];
+        agentCallEnded: [{
+            interface: string;
+            queues: string[];
+            call: CurrentCall | null;
+            holdTime: number | null;
+            talkTime: number;
+            ringTime: number | null;
+            reason: 'caller' | 'agent' | 'transfer' | 'ringnoanswer' | 'dump';
+        }];
+        channelAdded: [{ channel: Channel; members: string[]; event: string }];
+        channelChanged: [{ channel: Channel; members: string[]; event: string }];
+        channelRemoved: [{ channel: RemovedChannel; members: string[]; event: string }];
+        channelsUpdated: [Channel[]];
+        endpointChanged: [{ endpoint: Endpoint; previous: EndpointFields; members: string[] }];
+        alertRaised: [Alert];
+        alertCleared: [ClearedAlert];
+        agentUnreachable: [{ interface: string; stateInterface: string; queues: string[]; endpoint: Endpoint }];
+        statsUpdated: [{ timestamp: number; queues: Record<string, Record<string, WindowStats>> }];
+    }
+
+    type EventName = keyof AsteriskCacheEvents;
+    type EventListener<E extends EventName> = (...args: AsteriskCacheEvents[E]) => void;
+
+    // ---------------------------------------------------------------------------------------------
+    // Erros
+    // ---------------------------------------------------------------------------------------------
+
+    class AsteriskCacheError extends Error {
+        code: string;
+    }
+
+    class ConfigError extends AsteriskCacheError {
+        code: 'INVALID_CONFIG';
+        errors: string[];
+        constructor(errors: string[]);
+    }
+
+    class NotConnectedError extends AsteriskCacheError {
+        code: 'NOT_CONNECTED';
+        action: string | null;
+        actionId: string | null;
+        constructor(message?: string, details?: { action?: string; actionId?: string });
+    }
+
+    class ActionTimeoutError extends AsteriskCacheError {
+        code: 'ACTION_TIMEOUT';
+        action: string;
+        actionId: string;
+        timeout: number;
+        constructor(action: string, actionId: string, timeout: number);
+    }
+
+    class AmiResponseError extends AsteriskCacheError {
+        code: 'AMI_ERROR';
+        action: string;
+        actionId: string;
+        asteriskMessage: string | null;
+        response: Record<string, unknown> | null;
+        constructor(action: string, actionId: string, response: Record<string, unknown> | null);
+    }
+
+    // ---------------------------------------------------------------------------------------------
+    // Módulos auxiliares
+    // ---------------------------------------------------------------------------------------------
+
+    interface CacheServerOptions {
+        token?: string;
+        cors?: string;
+        metrics?: boolean;
+    }
+
+    class CacheServer {
+        // As revisões (/snapshot e /changes) são de cada servidor: com várias centrais, use um CacheServer
+        // por getCache(serverId)
+        constructor(cache: AsteriskCache, options?: CacheServerOptions);
+        server: Server;
+        listen(port: number, host?: string): Promise<AddressInfo>;
+        close(): Promise<void>;
+    }
+
+    interface FederatedHealth {
+        status: 'healthy' | 'degraded' | 'down';
+        connected: number;
+        total: number;
+        servers: { id: string; connected: boolean }[];
+    }
+
+    type Tagged<T> = T & { server: string };
+
+    class FederatedCache extends EventEmitter {
+        constructor(servers: (AsteriskCacheConfig & { id: string })[], options?: { logger?: Logger; logLevel?: LogLevel });
+        getCache(serverId: string): AsteriskCache | undefined;
+        connect(): Promise<void>;
+        disconnect(): Promise<void>;
+        destroy(): Promise<void>;
+        getHealth(): FederatedHealth;
+        getQueues(): Tagged<Queue>[];
+        getQueue(queueName: string, serverId?: string): Tagged<Queue> | undefined;
+        getAgentByExtension(extension: string, serverId?: string): Tagged<Agent> | null;
+        getQueueAgents(queueName: string): Tagged<Agent>[];
+        getAvailableAgents(queueName: string): Tagged<Agent>[];
+        getAllAgents(): Tagged<Agent>[];
+        getLabels(locale?: string): Labels;
+        getChannels(): Tagged<Channel>[];
+        getCallsForInterface(iface: string): Tagged<Call>[];
+        getMemberCalls(memberInterface: string): Tagged<Call>[];
+        getEndpoints(): Tagged<Endpoint>[];
+        getAlerts(): Tagged<Alert>[];
+        /** Resultado do servidor conforme o actionMode; false quando nenhum servidor possui a interface ou a fila */
+        pauseMember(memberInterface: string, reason?: string, queueName?: string): Promise<ActionReturn>;
+        unpauseMember(memberInterface: string, queueName?: string): Promise<ActionReturn>;
+        setMemberPenalty(memberInterface: string, penalty: number, queueName?: string): Promise<ActionReturn>;
+        setMemberRingInUse(memberInterface: string, ringInUse: boolean, queueName?: string): Promise<ActionReturn>;
+        removeMemberFromQueue(memberInterface: string, queueName: string): Promise<ActionReturn>;
+        addMemberToQueue(memberInterface: string, memberName: string, queueName: string, paused?: number, penalty?: number, serverId?: string): Promise<ActionReturn>;
+    }
+
+    class CacheMetrics {
+        constructor(options?: { buckets?: number[] });
+        recordAction(action: string, result: 'success' | 'error' | 'timeout' | 'not_connected', duration?: number): void;
+        recordEvent(eventName: string): void;
+        clear(): void;
+        render(queues: Queue[], health: Health): string;
+    }
+
+    type JournalEntry =
+        | { t: number; type: 'event'; event: Record<string, unknown> }
+        | { t: number; type: 'coalesced'; eventType: CoalescedEventType; extension: string }
+        | { t: number; type: 'action'; action: Record<string, unknown> }
+        | { t: number; type: 'sync'; queues: Queue[] }
+        | { t: number; type: 'channels'; channels: Record<string, unknown>[] }
+        | { t: number; type: 'endpoints'; endpoints: Record<string, unknown>[] | null; contacts: Record<string, unknown>[] | null; peers: Record<string, unknown>[] | null };
+
+    class EventJournal {
+        constructor(options: JournalOptions & { onError?(error: Error): void });
+        /** Erro do stream; após ele o diário deixa de gravar */
+        error: Error | null;
+        write(entry: JournalEntry): void;
+        close(): Promise<void>;
+    }
+
+    interface ReplayOptions {
+        speed?: 'fast' | 'original';
+        until?: number;
+        cache?: AsteriskCache;
+        config?: AsteriskCacheConfig;
+        onEntry?(entry: JournalEntry, cache: AsteriskCache): void;
+    }
+
+    function replayJournal(source: string | JournalEntry[] | AsyncIterable<JournalEntry>, options?: ReplayOptions): Promise<AsteriskCache>;
+
+    type CaptureEntry =
+        | { type: 'capture'; version: 1; startedAt: number }
+        /** t = ms desde o início da gravação; frame com as linhas separadas por \r\n */
+        | { t: number; dir: 'in' | 'out'; frame: string };
+
+    class AmiCapture {
+        constructor(options: CaptureOptions & { secrets?: string[]; onError?(error: Error): void });
+        /** Erro do stream; após ele a gravação é interrompida */
+        error: Error | null;
+        attach(nami: unknown): void;
+        record(direction: 'in' | 'out', frame: string): void;
+        redactFrame(frame: string): string;
+        close(): Promise<void>;
+    }
+
+    interface PlayCaptureOptions {
+        /** Aceleração (padrão: 1); as janelas do agrupamento são divididas na mesma proporção */
+        speed?: number;
+        /** Intervalo máximo entre dois quadros em ms do tempo original */
+        maxGap?: number;
+        /** Para antes do primeiro quadro posterior a este instante (ms desde o início da gravação) */
+        until?: number;
+        cache?: AsteriskCache;
+        config?: AsteriskCacheConfig;
+        onFrame?(entry: CaptureEntry, cache: AsteriskCache): void;
+    }
+
+    function playCapture(source: string | CaptureEntry[] | AsyncIterable<CaptureEntry>, options?: PlayCaptureOptions): Promise<AsteriskCache>;
+
+    class PresenceResolver {
+        constructor(options?: PresenceOptions);
+        resolve(member: QueueMember, now?: number): string;
+        isAvailable(member: QueueMember, now?: number): boolean;
+        getLabels(locale?: string): Labels;
+    }
+}
+
+declare class AsteriskCache extends EventEmitter {
+    /** @throws {AsteriskCache.ConfigError} Se alguma opção for inválida */
+    constructor(config: AsteriskCache.AsteriskCacheConfig);
+
+    readonly isConnected: boolean;
+    readonly offline: boolean;
+    actionMode: AsteriskCache.ActionMode;
+    connectTimeout: number;
+    reconnectInterval: number;
+    actionTimeout: number;
+    eventTimeout: number;
+
+    on<E extends AsteriskCache.EventName>(eventName: E, listener: AsteriskCache.EventListener<E>): this;
+    once<E extends AsteriskCache.EventName>(eventName: E, listener: AsteriskCache.EventListener<E>): this;
+    off<E extends AsteriskCache.EventName>(eventName: E, listener: AsteriskCache.EventListener<E>): this;
+    addListener<E extends AsteriskCache.EventName>(eventName: E, listener: AsteriskCache.EventListener<E>): this;
+    removeListener<E extends AsteriskCache.EventName>(eventName: E, listener: AsteriskCache.EventListener<E>): this;
+    emit<E extends AsteriskCache.EventName>(eventName: E, ...args: AsteriskCache.AsteriskCacheEvents[E]): boolean;
+
+    // Conexão
+    connect(): Promise<void>;
+    disconnect(): Promise<void>;
+    destroy(): Promise<void>;
+    getHealth(): AsteriskCache.Health;
+    getMetrics(): string;
+    isStale(): boolean;
+    flushEvents(): number;
+    /** Sincroniza as filas com o Asterisk (com actionMode 'throw', rejeita com o erro tipado) */
+    updateQueues(): Promise<AsteriskCache.ResyncSummary | undefined>;
+
+    // Filas e agentes
+    getQueues(): AsteriskCache.Queue[];
+    getQueue(queueName: string): AsteriskCache.Queue | undefined;
+    getAgentByExtension(extension: string): AsteriskCache.Agent | null;
+    getAvailableAgents(queueName: string): (AsteriskCache.QueueMember & { queue: string })[];
+    getQueueAgents(queueName: string): (AsteriskCache.QueueMember & { queue: string })[];
+    getAllAgents(): AsteriskCache.Agent[];
+    queryAgents(criteria?: AsteriskCache.AgentCriteria, options?: AsteriskCache.AgentQueryOptions): AsteriskCache.AgentQueryResult;
+    subscribe<E extends AsteriskCache.EventName>(eventName: E, criteria: AsteriskCache.AgentCriteria, listener: AsteriskCache.EventListener<E>): () => void;
+    getQueueCallers(queueName: string): AsteriskCache.Caller[];
+    getLongestWaitingCaller(queueName: string): AsteriskCache.Caller | null;
+    getLabels(locale?: string): AsteriskCache.Labels;
+
+    // Canais e chamadas
+    getChannels(): AsteriskCache.Channel[];
+    getChannel(channelName: string): AsteriskCache.Channel | null;
+    getChannelPeers(channelName: string): AsteriskCache.Channel[];
+    getBridges(): AsteriskCache.Bridge[];
+    getCallsForInterface(iface: string): AsteriskCache.Call[];
+    getMemberCalls(memberInterface: string): AsteriskCache.Call[];
+    getChannelMembers(channelName: string): string[];
+
+    // Registro dos endpoints
+    getEndpoint(iface: string): AsteriskCache.Endpoint | null;
+    getEndpoints(): AsteriskCache.Endpoint[];
+
+    // Alertas
+    getAlerts(): AsteriskCache.Alert[];
+    evaluateAlerts(): void;
+
+    // Revisões e alterações incrementais
+    getRevision(): number;
+    getSnapshot(): AsteriskCache.StateSnapshot;
+    getChangesSince(revision: number): AsteriskCache.ChangeRecord[] | null;
+    publishChanges(queueNames?: string[]): AsteriskCache.ChangeRecord | null;
+
+    // Histórico e estatísticas
+    getAgentHistory(extension: string): AsteriskCache.AgentTransition[];
+    getAgentTimeInState(extension: string, from?: number, to?: number): AsteriskCache.TimeInState | null;
+    getQueueStats(queueName: string, window?: string): AsteriskCache.WindowStats | null;
+    getAgentStats(extension: string, window?: string): AsteriskCache.WindowStats | null;
+
+    // Ações
+    pauseMember(memberInterface: string, reason?: string, queueName?: string): Promise<AsteriskCache.ActionReturn>;
+    unpauseMember(memberInterface: string, queueName?: string): Promise<AsteriskCache.ActionReturn>;
+    addMemberToQueue(memberInterface: string, memberName: string, queueName: string, paused?: number, penalty?: number): Promise<AsteriskCache.ActionReturn>;
+    removeMemberFromQueue(memberInterface: string, queueName: string): Promise<AsteriskCache.ActionReturn>;
+    setMemberPenalty(memberInterface: string, penalty: number, queueName?: string): Promise<AsteriskCache.ActionReturn>;
+    setMemberRingInUse(memberInterface: string, ringInUse: boolean, queueName?: string): Promise<AsteriskCache.ActionReturn>;
+    resetQueueStats(queueName?: string): Promise<AsteriskCache.ActionReturn>;
+    reloadQueues(options?: AsteriskCache.ReloadOptions): Promise<AsteriskCache.ActionReturn>;
+    logQueueEvent(queueName: string, eventName: string, options?: AsteriskCache.QueueLogOptions): Promise<AsteriskCache.ActionReturn>;
+}
+
+export = AsteriskCache;
@@ -12,53 +12,223 @@
  */
 const { Nami, Actions } = require('nami');
 const EventEmitter = require('events');
+const QueueStats = require('./lib/queue-stats');
+const FileSnapshotStore = require('./lib/snapshot-store');
+const CacheMetrics = require('./lib/metrics');
+const AgentHistory = require('./lib/agent-history');
+const { EventJournal, toPlainMessage } = require('./lib/journal');
+const { AmiCapture } = require('./lib/ami-capture');
+const agentQuery = require('./lib/agent-query');
+const EventCoalescer = require('./lib/event-coalescer');
+const ChannelCache = require('./lib/channel-cache');
+const { getChannelInterface } = require('./lib/channel-cache');
+const EndpointRegistry = require('./lib/endpoint-registry');
+const AlertEngine = require('./lib/alert-engine');
+const ChangeFeed = require('./lib/change-feed');
+const PresenceResolver = require('./lib/presence');
+const { getStatusName, getWrapupRemaining } = require('./lib/presence');
+const { createLogger } = require('./lib/logger');
+const { validateConfig } = require('./lib/config');
+const { NotConnectedError, ActionTimeoutError, AmiResponseError } = require('./lib/errors');
+
+// O Nami não exporta a classe base Action, usada para as ações que ele não implementa
+// (ex: QueuePenalty), mas cada ação guarda a referência em super_ (util.inherits)
+const Action = Actions.Ping.super_;
+
+function createAction(name, fields = {}) {
+    const action = new Action(name);
+    for (const [key, value] of Object.entries(fields)) {
+        if (value !== undefined && value !== null) {
+            action.set(key, value);
+        }
+    }
+    return action;
+}
+
+// Converte o campo Ringinuse dos eventos; null quando o evento não informa
+function parseRingInUse(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return ['1', 'yes', 'true'].includes(String(value).toLowerCase());
+}
 
 class AsteriskCache extends EventEmitter {
+    /**
+     * @param {Object} config - Configuração validada pelo esquema de lib/config.js
+     * @throws {ConfigError} Se alguma opção for inválida
+     */
     constructor(config) {
         super();
+        const unknownOptions = validateConfig(config);
         this.config = config;
-        this.nami = new Nami(config);
-        this.nami.logLevel = 0;
+        this.logger = createLogger(config);
+        if (unknownOptions.length > 0) {
+            this.logger.warn('Opções de configuração desconhecidas', { options: unknownOptions });
+        }
+        this.offline = config.offline === true; // Sem conexão com o Asterisk (ex: reprodução do diário)
+        this.actionMode = config.actionMode || 'boolean';
+        this.actionTimeout = config.actionTimeout || 5000; // Tempo máximo de resposta das ações (ms)
+        // Gravação opcional do tráfego AMI bruto, com as credenciais ocultadas
+        this.capture = config.capture ? new AmiCapture({
+            ...config.capture,
+            secrets: [config.secret],
+            onError: (error) => this.logger.error('Erro ao gravar o tráfego AMI', { error })
+        }) : null;
+        this.nami = this.createNami();
         this.queues = new Map();
         this.isConnected = false;
-        this.reconnectInterval = 5000; // 5 segundos
-        this.connectTimeout = 10000; // 10 segundos
+        this.reconnectInterval = config.reconnectInterval || 5000; // Primeira tentativa de reconexão (ms)
+        // Política de reconexão: atraso = reconnectInterval * factor^(tentativa - 1), limitado a maxDelay,
+        // com variação aleatória de ±jitter. maxAttempts = 0 tenta indefinidamente.
+        this.reconnectPolicy = {
+            factor: 1,
+            maxDelay: 60000,
+            jitter: 0,
+            maxAttempts: 0,
+            ...config.reconnect
+        };
+        if (config.reconnect && config.reconnect.initialDelay) {
+            this.reconnectInterval = config.reconnect.initialDelay;
+        }
+        this.reconnectAttempts = 0; // Tentativas consecutivas desde a última conexão
+        this.reconnectCount = 0; // Reconexões bem-sucedidas
+        this.connectTimeout = config.connectTimeout || 10000; // Tempo máximo para conectar (ms)
         this.connectionTimeout = null;
         this.reconnectTimeout = null;
         this.isReconnecting = false;
         this.shouldReconnect = true;
-        this.pendingEvents = new Map(); // Mapa para armazenar eventos pendentes
-        this.eventTimeout = 500; // Tempo de espera para agrupar eventos (ms)
+        this.destroyed = false;
+        this.state = 'disconnected';
+        this.connectedAt = null;
+        this.lastEventAt = null;
+        this.lastError = null;
+        this.hasConnected = false;
+
+        // Heartbeat opcional com a ação Ping para detectar conexões meio abertas
+        const heartbeatConfig = config.heartbeat || {};
+        this.heartbeatInterval = heartbeatConfig.interval || 0; // Intervalo entre os Pings (ms, 0 desativa)
+        this.heartbeatTimeout = heartbeatConfig.timeout || 5000; // Tempo máximo de resposta de cada Ping (ms)
+        this.heartbeatMaxMissed = heartbeatConfig.maxMissed || 3; // Pings sem resposta para considerar a conexão perdida
+        this.heartbeatTimer = null;
+        this.missedHeartbeats = 0;
+        this.lastHeartbeatAt = null;
+        this.pendingActions = new Map(); // Ações aguardando resposta do Asterisk (ActionID -> { timeoutId, reject })
+        this.signalHandler = null;
+
+        // Agrupamento dos eventos QueueMemberStatus e QueueMemberPause por tipo e interface
+        const coalescingConfig = config.coalescing || {};
+        this.coalescer = new EventCoalescer({
+            window: coalescingConfig.window !== undefined ? coalescingConfig.window : config.eventTimeout,
+            windows: coalescingConfig.windows,
+            maxWait: coalescingConfig.maxWait,
+            // O processamento é assíncrono: uma falha (ex: regra de presença própria) é registrada, sem rejeição não tratada
+            onFlush: (eventType, extension, event) => this.processPendingEvent(extension, eventType, event).catch((error) => {
+                this.logger.error('Erro ao processar evento agrupado', { eventType, extension, error });
+            })
+        });
+        this.stats = new QueueStats({ ...config.stats, clock: () => this.clock() });
+        this.statsInterval = (config.stats && config.stats.interval) || 10000; // Intervalo do evento statsUpdated (ms)
+        this.statsTimer = null;
+        this.reconcileInterval = config.reconcileInterval || 0; // Intervalo da reconciliação periódica (ms, 0 desativa)
+        this.reconcileTimer = null;
+        this.updatingQueues = null;
+        this.metrics = new CacheMetrics(config.metrics); // Contadores de ações e eventos para o Prometheus
+        this.history = new AgentHistory({ ...config.history, clock: () => this.clock() }); // Transições de status e pausa de cada agente
+        // Diário opcional em JSON lines; uma falha ao gravar é registrada sem derrubar o processo
+        this.journal = config.journal ? new EventJournal({
+            ...config.journal,
+            onError: (error) => this.logger.error('Erro ao gravar o diário de eventos', { error })
+        }) : null;
+        this.presence = new PresenceResolver(config.presence); // Regras de presença e rótulos
+        this.wrapupTimers = new Map(); // extension -> timer do fim do pós-atendimento
+        this.channels = new ChannelCache(); // Canais ativos, carregados pelo CoreShowChannels
+        this.updatingChannels = null;
+        this.endpoints = new EndpointRegistry(); // Registro dos endpoints SIP/PJSIP, ligado aos membros pelo stateInterface
+        this.updatingEndpoints = null;
+        this.clock = Date.now; // Fonte de tempo dos dados das filas, substituída na reprodução do diário
+        this.changeFeed = new ChangeFeed(config.changes); // Revisões do estado das filas e alterações incrementais (evento changes)
+
+        // Regras de alerta opcionais, avaliadas a cada queuesUpdated e periodicamente (condições que dependem do tempo)
+        const alertsConfig = config.alerts || {};
+        this.alerts = alertsConfig.rules && alertsConfig.rules.length > 0
+            ? new AlertEngine(alertsConfig.rules, {
+                onRaise: (alert) => {
+                    this.logger.warn('Alerta levantado', { alert: alert.id, value: alert.value });
+                    this.emit('alertRaised', alert);
+                },
+                onClear: (alert) => {
+                    this.logger.info('Alerta encerrado', { alert: alert.id, value: alert.value });
+                    this.emit('alertCleared', alert);
+                }
+            })
+            : null;
+        this.alertsInterval = alertsConfig.interval !== undefined ? alertsConfig.interval : 10000; // Intervalo da avaliação periódica (ms)
+        this.alertsTimer = null;
+        if (this.alerts) {
+            this.on('queuesUpdated', () => this.evaluateAlerts());
+        }
+
+        // Snapshot opcional para servir os últimos dados conhecidos ao reiniciar
+        const snapshotConfig = config.snapshot || {};
+        this.snapshotStore = snapshotConfig.store || (snapshotConfig.path ? new FileSnapshotStore(snapshotConfig.path) : null);
+        this.snapshotInterval = snapshotConfig.interval || 30000; // Intervalo de gravação do snapshot (ms)
+        this.snapshotTimer = null;
+        this.snapshotRevision = 0;
+        this.stale = false; // true enquanto o cache contém apenas dados do snapshot
+
+        if (this.snapshotStore) {
+            this.loadSnapshot();
+        }
+
+        // Tratamento de sinais de encerramento apenas quando solicitado, pois o cache
+        // normalmente roda dentro de um processo maior que controla o próprio ciclo de vida
+        if (config.handleSignals) {
+            this.signalHandler = async () => {
+                await this.destroy();
+                process.exit(0);
+            };
+            process.on('SIGINT', this.signalHandler);
+            process.on('SIGTERM', this.signalHandler);
+        }
+    }
+
+    // Cria a conexão Nami. Uma nova instância é necessária após cada disconnect(),
+    // pois o Nami.close() remove os listeners internos de leitura das mensagens
+    createNami() {
+        // O Nami também lê config.logger e chamaria o logger do cache com suas mensagens de depuração
+        const { logger, ...namiConfig } = this.config;
+        const nami = new Nami(namiConfig);
+        nami.logLevel = 0;
 
         // Aumentar o limite de listeners
-        this.nami.setMaxListeners(20);
-        if (this.nami.socket) {
-            this.nami.socket.setMaxListeners(20);
+        nami.setMaxListeners(20);
+
+        if (this.capture) {
+            this.capture.attach(nami);
         }
 
-        // Adicionar tratamento de erro global
-        process.on('uncaughtException', (error) => {
-            if (error.code === 'ECONNREFUSED') {
-                this.handleDisconnection();
-            }
-        });
+        return nami;
+    }
 
-        // Adicionar tratamento para sinais de encerramento
-        process.on('SIGINT', () => this.cleanup());
-        process.on('SIGTERM', () => this.cleanup());
+    // Janela padrão do agrupamento de eventos (ms)
+    get eventTimeout() {
+        return this.coalescer.window;
     }
 
-    // Método para processar eventos agrupados
-    async processPendingEvent(extension, eventType) {
-        const event = this.pendingEvents.get(extension);
-        if (!event) return;
+    set eventTimeout(value) {
+        this.coalescer.window = value;
+    }
 
-        // Remover o evento pendente
-        this.pendingEvents.delete(extension);
-        this.pendingEvents.delete(`${extension}_timeout`);
+    /**
+     * @description Processa um grupo de eventos entregue pelo agrupamento
+     * @param {string} extension - Interface do membro
+     * @param {string} eventType - QueueMemberStatus ou QueueMemberPause
+     * @param {Object} event - Último evento do grupo, com a lista queues das filas afetadas
+     */
+    async processPendingEvent(extension, eventType, event) {
+        this.recordJournal('coalesced', { eventType: eventType, extension: extension });
 
         // Processar o evento em todas as filas afetadas
-        const queues = event.queues || [event.queue];
+        const queues = event.queues;
         
         for (const queueName of queues) {
             const queue = this.queues.get(queueName);
@@ -83,7 +253,10 @@ class AsteriskCache extends EventEmitter {
                             status: parseInt(event.status),
                             paused: parseInt(event.paused),
                             pausedReason: event.pausedreason,
-                            wrapupTime: parseInt(event.wrapuptime)
+                            wrapupTime: parseInt(event.wrapuptime),
+                            ringInUse: event.ringinuse !== undefined ? parseRingInUse(event.ringinuse) : oldMember.ringInUse,
+                            currentCall: oldMember.currentCall || null,
+                            presence: oldMember.presence
                         };
                     } else if (eventType === 'QueueMemberPause') {
                         newMember = {
@@ -102,6 +275,8 @@ class AsteriskCache extends EventEmitter {
             }
         }
 
+        this.trackAgent(event.interface);
+
         // Emitir evento único com todas as filas afetadas
         if (eventType === 'QueueMemberStatus') {
             const firstQueue = this.queues.get(queues[0]);
@@ -129,57 +304,36 @@ class AsteriskCache extends EventEmitter {
             }
         }
 
-        this.emit('queuesUpdated', Array.from(this.queues.values()));
+        // O trackAgent também atualiza o membro nas demais filas do agente
+        this.publishQueues(this.getMemberQueueNames(event.interface));
     }
 
-    // Método para agendar o processamento do evento
-    scheduleEventProcessing(extension, eventType, event) {
-        // Verificar se já existe um evento pendente
-        const existingEvent = this.pendingEvents.get(extension);
-        
-        if (existingEvent) {
-            // Se já existe um evento pendente, adicionar a fila atual à lista de filas
-            if (!existingEvent.queues) {
-                existingEvent.queues = [existingEvent.queue];
-            }
-            if (!existingEvent.queues.includes(event.queue)) {
-                existingEvent.queues.push(event.queue);
-            }
-            
-            // Atualizar o evento com os dados mais recentes
-            this.pendingEvents.set(extension, {
-                ...event,
-                queues: existingEvent.queues
-            });
-        } else {
-            // Se não existe evento pendente, criar um novo com a fila atual
-            this.pendingEvents.set(extension, {
-                ...event,
-                queues: [event.queue]
-            });
-        }
+    /**
+     * @description Entrega imediatamente os eventos aguardando agrupamento
+     * @returns {number} Quantidade de grupos processados
+     */
+    flushEvents() {
+        return this.coalescer.flush();
+    }
 
-        // Limpar timeout anterior se existir
-        if (this.pendingEvents.get(`${extension}_timeout`)) {
-            clearTimeout(this.pendingEvents.get(`${extension}_timeout`));
+    async connect() {
+        if (this.destroyed) {
+            throw new Error('Instância destruída, crie um novo AsteriskCache');
         }
 
-        // Agendar novo processamento
-        const timeout = setTimeout(() => {
-            this.processPendingEvent(extension, eventType);
-        }, this.eventTimeout);
-
-        // Armazenar o timeout
-        this.pendingEvents.set(`${extension}_timeout`, timeout);
-    }
+        if (this.offline) {
+            throw new Error('Cache criado com offline: true não se conecta ao Asterisk');
+        }
 
-    async connect() {
-        if (this.isReconnecting || !this.shouldReconnect) {
+        if (this.isReconnecting || this.isConnected) {
             return;
         }
 
+        this.shouldReconnect = true;
+
         try {
             this.isReconnecting = true;
+            this.setState(this.reconnectAttempts > 0 ? 'reconnecting' : 'connecting');
 
             // Limpar listeners antigos
             this.nami.removeAllListeners('namiConnected');
@@ -194,10 +348,7 @@ class AsteriskCache extends EventEmitter {
 
             // Configurar timeout para a conexão
             this.connectionTimeout = setTimeout(() => {
-                this.emit('connectionError', {
-                    code: 'TIMEOUT',
-                    message: 'Timeout ao conectar ao Asterisk AMI'
-                });
+                this.emitConnectionError('TIMEOUT', 'Timeout ao conectar ao Asterisk AMI');
                 this.handleDisconnection();
             }, this.connectTimeout);
             
@@ -205,28 +356,20 @@ class AsteriskCache extends EventEmitter {
             this.nami.on('namiConnected', () => this.handleConnection());
             this.nami.on('namiConnectionClose', () => this.handleDisconnection());
             this.nami.on('namiInvalidPeer', () => {
-                this.emit('connectionError', {
-                    code: 'INVALID_PEER',
-                    message: 'Credenciais inválidas do Asterisk AMI'
-                });
+                this.emitConnectionError('INVALID_PEER', 'Credenciais inválidas do Asterisk AMI');
                 this.handleDisconnection();
             });
             this.nami.on('namiEvent', (event) => this.handleEvent(event));
-            this.nami.on('namiConnectionError', (error) => {
-                this.emit('connectionError', {
-                    code: 'CONNECTION_ERROR',
-                    message: error.message
-                });
+            // O Nami emite { event: 'Error', error } com o erro do socket
+            this.nami.on('namiConnectionError', (event) => {
+                this.emitConnectionError('CONNECTION_ERROR', (event.error || event).message);
                 this.handleDisconnection();
             });
 
             // Adicionar tratamento de erro no socket
             if (this.nami.socket) {
                 this.nami.socket.on('error', (error) => {
-                    this.emit('connectionError', {
-                        code: 'SOCKET_ERROR',
-                        message: error.message
-                    });
+                    this.emitConnectionError('SOCKET_ERROR', error.message);
                     this.handleDisconnection();
                 });
             }
@@ -235,10 +378,7 @@ class AsteriskCache extends EventEmitter {
             this.nami.open();
             
         } catch (error) {
-            this.emit('connectionError', {
-                code: 'CONNECTION_ERROR',
-                message: error.message
-            });
+            this.emitConnectionError('CONNECTION_ERROR', error.message);
             this.handleDisconnection();
         } finally {
             this.isReconnecting = false;
@@ -254,19 +394,71 @@ class AsteriskCache extends EventEmitter {
         
         this.isConnected = true;
         this.isReconnecting = false;
+        this.connectedAt = Date.now();
+        this.reconnectAttempts = 0;
+        this.missedHeartbeats = 0;
+        if (this.hasConnected) {
+            this.reconnectCount++;
+        }
+        this.hasConnected = true;
+        this.setState('connected');
         this.emit('connected');
 
+        // Iniciar o heartbeat
+        if (!this.heartbeatTimer && this.heartbeatInterval > 0) {
+            this.heartbeatTimer = setInterval(() => this.sendHeartbeat(), this.heartbeatInterval);
+        }
+
+        // Iniciar a emissão periódica das estatísticas
+        if (!this.statsTimer && this.statsInterval > 0) {
+            this.statsTimer = setInterval(() => this.emitStats(), this.statsInterval);
+        }
+
+        // Iniciar a avaliação periódica dos alertas
+        if (!this.alertsTimer && this.alerts && this.alertsInterval > 0) {
+            this.alertsTimer = setInterval(() => this.evaluateAlerts(), this.alertsInterval);
+        }
+
+        // Iniciar a gravação periódica do snapshot
+        if (!this.snapshotTimer && this.snapshotStore) {
+            this.snapshotTimer = setInterval(() => this.saveSnapshot(), this.snapshotInterval);
+        }
+
+        // Iniciar a reconciliação periódica com o QueueStatus
+        if (!this.reconcileTimer && this.reconcileInterval > 0) {
+            this.reconcileTimer = setInterval(async () => {
+                try {
+                    await this.syncQueues();
+                    await this.syncChannels();
+                    await this.syncEndpoints();
+                } catch (error) {
+                    this.logger.error('Erro na reconciliação periódica', { error });
+                }
+            }, this.reconcileInterval);
+        }
+
         // Adicionar tratamento de erro no socket após a conexão
         if (this.nami.socket) {
             this.nami.socket.removeAllListeners('error');
             this.nami.socket.on('error', (error) => {
-                this.emit('connectionError', {
-                    code: 'SOCKET_ERROR',
-                    message: error.message
-                });
+                this.emitConnectionError('SOCKET_ERROR', error.message);
                 this.handleDisconnection();
             });
         }
+
+        // Ressincronizar o cache, pois eventos podem ter sido perdidos enquanto desconectado
+        await this.syncQueues();
+        await this.syncChannels();
+        await this.syncEndpoints();
+    }
+
+    // Sincronização disparada internamente: o erro já foi registrado pelo updateQueues
+    async syncQueues() {
+        try {
+            await this.updateQueues();
+        } catch (error) {
+            // Ignorado no modo 'throw', em que o updateQueues também rejeita
+        }
     }
 
     async handleDisconnection() {
@@ -276,90 +468,292 @@ class AsteriskCache extends EventEmitter {
             this.connectionTimeout = null;
         }
 
-        // Limpar o timeout de reconexão anterior
+        // Uma mesma queda pode gerar mais de uma chamada (erro e fechamento do socket),
+        // que devem resultar em uma única tentativa de reconexão
         if (this.reconnectTimeout) {
-            clearTimeout(this.reconnectTimeout);
-            this.reconnectTimeout = null;
+            return;
         }
-        
+
+        // Parar a reconciliação periódica e o heartbeat até a próxima conexão
+        if (this.reconcileTimer) {
+            clearInterval(this.reconcileTimer);
+            this.reconcileTimer = null;
+        }
+
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+
+        // As ações em andamento nunca receberão resposta
+        this.rejectPendingActions('Conexão com o Asterisk perdida');
+
+        // Os eventos já recebidos são aplicados antes de anunciar a queda
+        this.flushEvents();
+
         this.isConnected = false;
+        this.connectedAt = null;
         this.emit('disconnected');
-        
-        if (this.shouldReconnect) {
-            // Tentar reconectar indefinidamente
-            this.emit('reconnecting', {
-                delay: this.reconnectInterval
-            });
-            
-            this.reconnectTimeout = setTimeout(async () => {
-                try {
-                    await this.connect();
-                } catch (error) {
-                    this.emit('connectionError', {
-                        code: 'RECONNECTION_ERROR',
-                        message: error.message
-                    });
-                }
-            }, this.reconnectInterval);
+
+        if (!this.shouldReconnect) {
+            this.setState('disconnected');
+            return;
         }
-    }
 
-    async cleanup() {
-        this.shouldReconnect = false;
-        
-        // Limpar todos os timeouts
-        if (this.connectionTimeout) {
-            clearTimeout(this.connectionTimeout);
-            this.connectionTimeout = null;
+        this.reconnectAttempts++;
+
+        const { maxAttempts } = this.reconnectPolicy;
+        if (maxAttempts > 0 && this.reconnectAttempts > maxAttempts) {
+            this.shouldReconnect = false;
+            this.setState('disconnected');
+            this.emitConnectionError('MAX_RECONNECT_ATTEMPTS', `Limite de ${maxAttempts} tentativas de reconexão atingido`);
+            return;
         }
-        
-        if (this.reconnectTimeout) {
-            clearTimeout(this.reconnectTimeout);
+
+        const delay = this.getReconnectDelay(this.reconnectAttempts);
+        this.setState('reconnecting');
+        this.emit('reconnecting', {
+            delay: delay,
+            attempt: this.reconnectAttempts
+        });
+
+        this.reconnectTimeout = setTimeout(async () => {
             this.reconnectTimeout = null;
+            try {
+                await this.connect();
+            } catch (error) {
+                this.emitConnectionError('RECONNECTION_ERROR', error.message);
+            }
+        }, delay);
+    }
+
+    // Calcula o atraso da tentativa de reconexão conforme a política configurada
+    getReconnectDelay(attempt) {
+        const { factor, maxDelay, jitter } = this.reconnectPolicy;
+        const delay = Math.min(maxDelay, this.reconnectInterval * Math.pow(factor, attempt - 1));
+
+        if (!jitter) {
+            return Math.round(delay);
+        }
+
+        // Variação aleatória para evitar que vários clientes reconectem ao mesmo tempo
+        return Math.max(0, Math.round(delay * (1 + (Math.random() * 2 - 1) * jitter)));
+    }
+
+    // Envia um Ping e considera a conexão perdida após heartbeatMaxMissed falhas seguidas
+    async sendHeartbeat() {
+        try {
+            await this._send(new Actions.Ping(), this.heartbeatTimeout);
+            this.missedHeartbeats = 0;
+            this.lastHeartbeatAt = Date.now();
+        } catch (error) {
+            if (!this.isConnected) return;
+
+            this.missedHeartbeats++;
+            if (this.missedHeartbeats < this.heartbeatMaxMissed) return;
+
+            this.emitConnectionError('HEARTBEAT_TIMEOUT', `${this.missedHeartbeats} heartbeats sem resposta do Asterisk`);
+
+            // Descartar o socket meio aberto antes de reconectar
+            if (this.nami.socket) {
+                this.nami.socket.removeAllListeners();
+                this.nami.socket.on('error', () => {});
+                this.nami.socket.destroy();
+            }
+            this.handleDisconnection();
+        }
+    }
+
+    // Registra o último erro e emite connectionError
+    emitConnectionError(code, message) {
+        this.lastError = {
+            code: code,
+            message: message,
+            at: Date.now()
+        };
+        this.emit('connectionError', { code, message });
+    }
+
+    // Atualiza o estado da conexão e emite healthChanged quando ele muda
+    setState(state) {
+        if (this.state === state) return;
+
+        this.state = state;
+        this.emit('healthChanged', this.getHealth());
+    }
+
+    /**
+     * @description Retorna o estado de saúde da conexão com o Asterisk
+     * @returns {Object} Estado, tempo conectado, último evento, reconexões e último erro
+     */
+    getHealth() {
+        return {
+            state: this.state,
+            connected: this.isConnected,
+            uptime: this.connectedAt ? Date.now() - this.connectedAt : 0,
+            connectedAt: this.connectedAt,
+            lastEventAt: this.lastEventAt,
+            reconnectCount: this.reconnectCount,
+            reconnectAttempts: this.reconnectAttempts,
+            missedHeartbeats: this.missedHeartbeats,
+            lastHeartbeatAt: this.lastHeartbeatAt,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * @description Métricas do cache no formato texto do Prometheus
+     * @returns {string}
+     */
+    getMetrics() {
+        return this.metrics.render(this.getQueues(), this.getHealth());
+    }
+
+    // Cancela todos os timers do cache
+    clearTimers() {
+        for (const timer of ['connectionTimeout', 'reconnectTimeout']) {
+            if (this[timer]) {
+                clearTimeout(this[timer]);
+                this[timer] = null;
+            }
         }
 
-        // Limpar todos os timeouts de eventos pendentes
-        for (const [key, value] of this.pendingEvents.entries()) {
-            if (key.endsWith('_timeout')) {
-                clearTimeout(value);
+        for (const timer of ['statsTimer', 'reconcileTimer', 'snapshotTimer', 'heartbeatTimer', 'alertsTimer']) {
+            if (this[timer]) {
+                clearInterval(this[timer]);
+                this[timer] = null;
             }
         }
-        this.pendingEvents.clear();
+
+        for (const timer of this.wrapupTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.wrapupTimers.clear();
+
+        // Descartar os eventos aguardando agrupamento (entregues antes pelo flushEvents quando necessário)
+        this.coalescer.clear();
+    }
+
+    // Rejeita as ações aguardando resposta e cancela seus timeouts
+    rejectPendingActions(message) {
+        for (const [actionId, pending] of this.pendingActions.entries()) {
+            clearTimeout(pending.timeoutId);
+            delete this.nami.callbacks[actionId];
+            pending.reject(new NotConnectedError(message, { action: pending.action, actionId: actionId }));
+        }
+        this.pendingActions.clear();
+    }
+
+    async cleanup() {
+        this.shouldReconnect = false;
+        this.flushEvents();
+        this.clearTimers();
+        this.rejectPendingActions('Conexão encerrada');
+
+        // Gravar o último estado conhecido antes de encerrar
+        await this.saveSnapshot();
 
         // Limpar todos os listeners
-        this.nami.removeAllListeners();
-        if (this.nami.socket) {
-            this.nami.socket.removeAllListeners();
+        const nami = this.nami;
+        nami.removeAllListeners();
+        if (nami.socket) {
+            nami.socket.removeAllListeners();
         }
 
         // Fechar conexão com o Asterisk
-        if (this.isConnected) {
-            try {
-                await this.nami.close();
-            } catch (error) {
-                this.emit('connectionError', {
-                    code: 'CLEANUP_ERROR',
-                    message: error.message
-                });
+        try {
+            if (this.isConnected) {
+                nami.close();
+            } else if (nami.socket) {
+                nami.socket.destroy();
             }
+        } catch (error) {
+            this.emitConnectionError('CLEANUP_ERROR', error.message);
+        }
+
+        // Erros do socket após o encerramento não devem se tornar exceções não tratadas
+        if (nami.socket) {
+            nami.socket.on('error', () => {});
+        }
+
+        this.isConnected = false;
+        this.isReconnecting = false;
+        this.connectedAt = null;
+        this.reconnectAttempts = 0;
+        if (!this.destroyed) {
+            this.nami = this.createNami();
         }
 
         this.emit('disconnected');
-        process.exit(0);
+        this.setState(this.destroyed ? 'destroyed' : 'disconnected');
     }
 
+    /**
+     * @description Fecha a conexão com o Asterisk e cancela todos os timers e ações pendentes.
+     * O cache mantém os dados e pode ser reconectado com connect().
+     * @returns {Promise<void>}
+     */
     async disconnect() {
         await this.cleanup();
     }
 
+    /**
+     * @description Encerra definitivamente a instância: desconecta, remove os handlers de sinais
+     * e todos os listeners. Após destroy() o cache não pode mais ser conectado.
+     * @returns {Promise<void>}
+     */
+    async destroy() {
+        if (this.destroyed) return;
+
+        this.destroyed = true;
+        await this.cleanup();
+
+        if (this.journal) {
+            await this.journal.close();
+        }
+
+        if (this.capture) {
+            await this.capture.close();
+        }
+
+        if (this.signalHandler) {
+            process.removeListener('SIGINT', this.signalHandler);
+            process.removeListener('SIGTERM', this.signalHandler);
+            this.signalHandler = null;
+        }
+
+        this.removeAllListeners();
+    }
+
     async handleEvent(event) {
+        this.lastEventAt = this.clock();
+        this.metrics.recordEvent(event.event);
+        this.recordJournal('event', { event: toPlainMessage(event) });
+
         switch (event.event) {
             case 'FullyBooted':
-                await this.updateQueues();
+                await this.syncQueues();
+                await this.syncChannels();
+                await this.syncEndpoints();
+                break;
+            case 'PeerStatus':
+            case 'ContactStatus':
+            case 'DeviceStateChange':
+                this.applyEndpointChanges(this.endpoints.handle(event));
+                break;
+            case 'Newchannel':
+            case 'Newstate':
+            case 'NewConnectedLine':
+            case 'NewCallerid':
+            case 'DialBegin':
+            case 'DialEnd':
+            case 'BridgeEnter':
+            case 'BridgeLeave':
+            case 'Hangup':
+                this.handleChannelEvent(event);
                 break;
             case 'QueueMemberStatus':
-                // Agendar processamento do evento
-                this.scheduleEventProcessing(event.interface, 'QueueMemberStatus', event);
+                this.coalescer.add('QueueMemberStatus', event.interface, event);
                 break;
             case 'QueueMemberAdded':
                 await this.handleQueueMemberAdded(event);
@@ -367,9 +761,38 @@ class AsteriskCache extends EventEmitter {
             case 'QueueMemberRemoved':
                 await this.handleQueueMemberRemoved(event);
                 break;
+            case 'QueueMemberPenalty':
+                this.handleQueueMemberPenalty(event);
+                break;
+            case 'QueueMemberRinginuse':
+                this.handleQueueMemberRingInUse(event);
+                break;
             case 'QueueMemberPause':
-                // Agendar processamento do evento
-                this.scheduleEventProcessing(event.interface, 'QueueMemberPause', event);
+                this.coalescer.add('QueueMemberPause', event.interface, event);
+                break;
+            case 'QueueCallerJoin':
+                this.handleQueueCallerJoin(event);
+                break;
+            case 'QueueCallerLeave':
+                this.handleQueueCallerLeave(event);
+                break;
+            case 'QueueCallerAbandon':
+                this.handleQueueCallerAbandon(event);
+                break;
+            case 'AgentCalled':
+                this.handleAgentCalled(event);
+                break;
+            case 'AgentConnect':
+                this.handleAgentConnect(event);
+                break;
+            case 'AgentComplete':
+                this.handleAgentCallEnded(event, event.reason);
+                break;
+            case 'AgentRingNoAnswer':
+                this.handleAgentCallEnded(event, 'ringnoanswer');
+                break;
+            case 'AgentDump':
+                this.handleAgentCallEnded(event, 'dump');
                 break;
         }
     }
@@ -377,173 +800,1070 @@ class AsteriskCache extends EventEmitter {
     /**
      * @description Envia uma ação para o Asterisk e aguarda a resposta
      * @param {Object} action - Ação a ser enviada
-     * @param {number} [timeout=5000] - Timeout em milissegundos
+     * @param {number} [timeout] - Timeout em milissegundos (padrão: actionTimeout)
      * @returns {Promise<Object>} Resposta do Asterisk
-     * @throws {Error} Se não estiver conectado ou se o timeout for excedido
+     * @throws {NotConnectedError} Se não estiver conectado ou se a conexão cair antes da resposta
+     * @throws {ActionTimeoutError} Se o timeout for excedido
+     * @throws {AmiResponseError} Se o Asterisk responder com erro
      */
-    async _send(action, timeout = 5000) {
+    async _send(action, timeout = this.actionTimeout) {
         return new Promise((resolve, reject) => {
             // Verificar se está conectado
             if (!this.isConnected) {
-                reject(new Error('Não conectado ao Asterisk'));
+                this.metrics.recordAction(action.Action, 'not_connected');
+                reject(new NotConnectedError(undefined, { action: action.Action, actionId: action.ActionID }));
                 return;
             }
 
+            this.recordJournal('action', { action: toPlainMessage(action) });
+            const startedAt = process.hrtime.bigint();
+            const elapsed = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
+
             // Configurar timeout
             const timeoutId = setTimeout(() => {
-                reject(new Error(`Timeout ao enviar ação ${action.action} para o Asterisk`));
+                this.pendingActions.delete(action.ActionID);
+                delete this.nami.callbacks[action.ActionID];
+                this.metrics.recordAction(action.Action, 'timeout');
+                reject(new ActionTimeoutError(action.Action, action.ActionID, timeout));
             }, timeout);
 
+            this.pendingActions.set(action.ActionID, { timeoutId, reject, action: action.Action });
+
             // Enviar ação
             this.nami.send(action, (response) => {
                 // Limpar timeout
                 clearTimeout(timeoutId);
+                this.pendingActions.delete(action.ActionID);
 
                 // Verificar se a resposta é válida
                 if (!response) {
-                    reject(new Error(`Resposta inválida do Asterisk para a ação ${action.action}`));
+                    this.metrics.recordAction(action.Action, 'error', elapsed());
+                    reject(new AmiResponseError(action.Action, action.ActionID, null));
                     return;
                 }
 
                 // Verificar se a resposta indica erro
                 if (response.response === 'Error') {
-                    reject(new Error(`Erro do Asterisk: ${response.message || 'Erro desconhecido'}`));
+                    this.metrics.recordAction(action.Action, 'error', elapsed());
+                    reject(new AmiResponseError(action.Action, action.ActionID, response));
                     return;
                 }
 
+                this.metrics.recordAction(action.Action, 'success', elapsed());
                 resolve(response);
             });
         });
     }
 
-    async handleQueueMemberAdded(event) {
-        const queueName = event.queue;
-        let queue = this.queues.get(queueName);
-        
-        if (!queue) {
-            queue = {
-                name: queueName,
-                max: 0,
-                strategy: 'ringall',
-                calls: 0,
-                holdtime: 0,
-                talktime: 0,
-                completed: 0,
-                abandoned: 0,
-                servicelevel: 0,
-                servicelevelperf: 0,
-                servicelevelperf2: 0,
-                weight: 0,
-                members: []
-            };
-            this.queues.set(queueName, queue);
+    /**
+     * @description Registra o estado do agente no histórico e marca stateSince/pauseSince em todas
+     * as filas dele, atualizando também a presença em cada fila. O agente é considerado pausado se
+     * estiver pausado em qualquer fila
+     * @param {string} extension - Interface do agente
+     */
+    trackAgent(extension) {
+        const members = [];
+        const queueNames = [];
+        for (const queue of this.queues.values()) {
+            const member = queue.members.find(m => m.extension === extension);
+            if (member) {
+                members.push(member);
+                queueNames.push(queue.name);
+            }
         }
+        if (members.length === 0) return;
 
-        const member = {
-            name: event.membername,
-            extension: event.interface,
-            stateInterface: event.stateinterface,
-            membership: event.membership,
-            penalty: parseInt(event.penalty),
-            callsTaken: parseInt(event.callstaken),
-            lastCall: parseInt(event.lastcall),
-            lastPause: parseInt(event.lastpause),
-            loginTime: parseInt(event.logintime),
-            inCall: parseInt(event.incall),
-            status: parseInt(event.status),
-            paused: parseInt(event.paused),
-            pausedReason: event.pausedreason,
-            wrapupTime: parseInt(event.wrapuptime)
-        };
+        const pausedMember = members.find(m => m.paused);
+        const since = this.history.update(extension, {
+            status: members[0].status,
+            paused: pausedMember ? 1 : 0,
+            pausedReason: pausedMember ? pausedMember.pausedReason : '',
+            lastPause: pausedMember ? pausedMember.lastPause : 0
+        }, Math.floor(this.clock() / 1000));
 
-        const memberIndex = queue.members.findIndex(m => m.extension === member.extension);
-        if (memberIndex === -1) {
-            queue.members.push(member);
-            this.queues.set(queueName, queue);
-            
-            // Emite evento de adição de membro
-            this.emit('memberAdded', {
-                queue: queueName,
-                member: member
-            });
-            
-            this.emit('queuesUpdated', Array.from(this.queues.values()));
-        }
+        members.forEach((member, index) => {
+            member.stateSince = since.stateSince;
+            member.pauseSince = since.pauseSince;
+            Object.assign(member, this.endpoints.getMemberFields(member.stateInterface || member.extension));
+            this.applyPresence(queueNames[index], member);
+        });
+    }
+
+    /**
+     * @description Atualiza statusName e presence do membro e agenda a reavaliação ao fim do
+     * pós-atendimento. Emite memberPresenceChanged quando a presença muda
+     * @param {string} queueName - Fila do membro
+     * @param {Object} member - Membro, alterado no lugar
+     * @returns {boolean} true se a presença mudou
+     */
+    applyPresence(queueName, member) {
+        const now = Math.floor(this.clock() / 1000);
+        const previousPresence = member.presence;
+
+        member.statusName = getStatusName(member.status);
+        member.presence = this.presence.resolve(member, now);
+
+        const wrapupRemaining = getWrapupRemaining(member, now);
+        if (wrapupRemaining > 0) {
+            this.scheduleWrapupEnd(member.extension, wrapupRemaining);
+        }
+
+        if (previousPresence === undefined || previousPresence === member.presence) {
+            return false;
+        }
+
+        this.emit('memberPresenceChanged', {
+            queue: queueName,
+            member: member,
+            previousPresence: previousPresence,
+            presence: member.presence
+        });
+        return true;
+    }
+
+    // Reavalia a presença do agente quando o pós-atendimento termina, sem evento do Asterisk
+    scheduleWrapupEnd(extension, seconds) {
+        clearTimeout(this.wrapupTimers.get(extension));
+        this.wrapupTimers.set(extension, setTimeout(() => {
+            this.wrapupTimers.delete(extension);
+            this.refreshPresence(extension);
+        }, seconds * 1000));
+    }
+
+    // Recalcula a presença do agente em todas as filas
+    refreshPresence(extension) {
+        const changed = [];
+        for (const queue of this.queues.values()) {
+            const member = queue.members.find(m => m.extension === extension);
+            if (member && this.applyPresence(queue.name, member)) {
+                changed.push(queue.name);
+            }
+        }
+
+        if (changed.length > 0) {
+            this.publishQueues(changed);
+        }
+    }
+
+    /**
+     * @description Rótulos das presenças e dos estados de dispositivo para exibição
+     * @param {string} [locale='pt'] - pt ou en
+     * @returns {Object} { presence, status }
+     */
+    getLabels(locale) {
+        return this.presence.getLabels(locale);
+    }
+
+    trackAllAgents() {
+        const extensions = new Set();
+        for (const queue of this.queues.values()) {
+            for (const member of queue.members) {
+                extensions.add(member.extension);
+            }
+        }
+        for (const extension of extensions) {
+            this.trackAgent(extension);
+        }
+    }
+
+    // Transições de status e pausa registradas do agente, da mais antiga para a mais recente
+    getAgentHistory(extension) {
+        return this.history.getTransitions(extension);
+    }
+
+    /**
+     * @description Tempo do agente em cada status e em cada motivo de pausa no intervalo
+     * @param {string} extension - Interface do agente
+     * @param {number} [from] - Início (epoch em segundos, padrão: primeira transição mantida)
+     * @param {number} [to] - Fim (epoch em segundos, padrão: agora pelo relógio do cache)
+     * @returns {Object|null} { extension, from, to, total, paused, byStatus, byPauseReason } em segundos
+     */
+    getAgentTimeInState(extension, from, to) {
+        return this.history.getTimeInState(extension, from, to);
+    }
+
+    // Confirma a penalidade do membro em uma fila (ação QueuePenalty ou alteração externa)
+    handleQueueMemberPenalty(event) {
+        const member = this.updateMember(event.queue, event.interface, { penalty: parseInt(event.penalty) });
+        if (!member) return;
+
+        this.emit('memberPenaltyChanged', {
+            queue: event.queue,
+            member: member,
+            penalty: member.penalty
+        });
+        this.publishQueues([event.queue]);
+    }
+
+    // Confirma o ringinuse do membro em uma fila (ação QueueMemberRingInUse ou alteração externa)
+    handleQueueMemberRingInUse(event) {
+        const member = this.updateMember(event.queue, event.interface, { ringInUse: parseRingInUse(event.ringinuse) });
+        if (!member) return;
+
+        this.emit('memberRingInUseChanged', {
+            queue: event.queue,
+            member: member,
+            ringInUse: member.ringInUse
+        });
+        this.publishQueues([event.queue]);
+    }
+
+    // Altera campos do membro em uma fila; retorna o membro atualizado ou null se não existir
+    updateMember(queueName, memberInterface, changes) {
+        const queue = this.queues.get(queueName);
+        if (!queue) return null;
+
+        const memberIndex = queue.members.findIndex(m => m.extension === memberInterface);
+        if (memberIndex === -1) return null;
+
+        queue.members[memberIndex] = { ...queue.members[memberIndex], ...changes };
+        this.applyPresence(queueName, queue.members[memberIndex]);
+        return queue.members[memberIndex];
+    }
+
+    /**
+     * @description Aplica alterações otimistas ao membro em uma fila ou em todas as filas em que ele está,
+     * antes da confirmação do Asterisk pelo evento correspondente
+     * @returns {Function} Desfaz as alterações, usada quando a ação é recusada
+     */
+    applyMemberChanges(memberInterface, queueName, changes) {
+        const previous = [];
+
+        for (const queue of this.queues.values()) {
+            if (queueName && queue.name !== queueName) continue;
+
+            const member = queue.members.find(m => m.extension === memberInterface);
+            if (!member) continue;
+
+            const values = {};
+            for (const field of Object.keys(changes)) {
+                values[field] = member[field];
+            }
+            previous.push({ queue: queue.name, values: values });
+            this.updateMember(queue.name, memberInterface, changes);
+        }
+
+        const queueNames = previous.map(({ queue }) => queue);
+        if (previous.length > 0) {
+            this.publishQueues(queueNames);
+        }
+
+        return () => {
+            for (const { queue, values } of previous) {
+                this.updateMember(queue, memberInterface, values);
+            }
+            if (previous.length > 0) {
+                this.publishQueues(queueNames);
+            }
+        };
+    }
+
+    async handleQueueMemberAdded(event) {
+        const queueName = event.queue;
+        let queue = this.queues.get(queueName);
+        
+        if (!queue) {
+            queue = {
+                name: queueName,
+                max: 0,
+                strategy: 'ringall',
+                calls: 0,
+                holdtime: 0,
+                talktime: 0,
+                completed: 0,
+                abandoned: 0,
+                servicelevel: 0,
+                servicelevelperf: 0,
+                servicelevelperf2: 0,
+                weight: 0,
+                members: [],
+                callers: []
+            };
+            this.queues.set(queueName, queue);
+        }
+
+        const member = {
+            name: event.membername,
+            extension: event.interface,
+            stateInterface: event.stateinterface,
+            membership: event.membership,
+            penalty: parseInt(event.penalty),
+            callsTaken: parseInt(event.callstaken),
+            lastCall: parseInt(event.lastcall),
+            lastPause: parseInt(event.lastpause),
+            loginTime: parseInt(event.logintime),
+            inCall: parseInt(event.incall),
+            status: parseInt(event.status),
+            paused: parseInt(event.paused),
+            pausedReason: event.pausedreason,
+            wrapupTime: parseInt(event.wrapuptime),
+            ringInUse: parseRingInUse(event.ringinuse),
+            currentCall: null
+        };
+
+        const memberIndex = queue.members.findIndex(m => m.extension === member.extension);
+        if (memberIndex === -1) {
+            queue.members.push(member);
+            this.queues.set(queueName, queue);
+            this.trackAgent(member.extension);
+            
+            // Emite evento de adição de membro
+            this.emit('memberAdded', {
+                queue: queueName,
+                member: member
+            });
+            
+            this.publishQueues(this.getMemberQueueNames(member.extension));
+        }
+    }
+
+    async handleQueueMemberRemoved(event) {
+        const queueName = event.queue;
+        const queue = this.queues.get(queueName);
+        
+        if (queue) {
+            const memberIndex = queue.members.findIndex(m => m.extension === event.interface);
+            if (memberIndex !== -1) {
+                const removedMember = queue.members[memberIndex];
+                queue.members.splice(memberIndex, 1);
+                this.queues.set(queueName, queue);
+                
+                // Emite evento de remoção de membro
+                this.emit('memberRemoved', {
+                    queue: queueName,
+                    member: removedMember
+                });
+                
+                this.publishQueues([queueName]);
+            }
+        }
+    }
+
+    // Monta a entrada de um chamador em espera a partir de QueueEntry ou QueueCallerJoin
+    buildCaller(event, wait = 0) {
+        return {
+            channel: event.channel,
+            uniqueId: event.uniqueid,
+            callerIdNum: event.calleridnum,
+            callerIdName: event.calleridname,
+            position: parseInt(event.position),
+            joinTime: Math.floor(this.clock() / 1000) - wait,
+            abandoned: false
+        };
+    }
+
+    // Renumera as posições dos chamadores após uma entrada ou saída da fila. Uma entrada processada antes
+    // da saída que libera a posição informa uma posição já ocupada: o empate fica com quem entrou primeiro
+    reorderCallers(queue) {
+        queue.callers.sort((a, b) => a.position - b.position || a.joinTime - b.joinTime);
+        queue.callers.forEach((caller, index) => {
+            caller.position = index + 1;
+        });
+    }
+
+    handleQueueCallerJoin(event) {
+        const queue = this.queues.get(event.queue);
+        if (!queue) return;
+
+        const caller = this.buildCaller(event);
+        const callerIndex = queue.callers.findIndex(c => c.channel === caller.channel);
+        if (callerIndex === -1) {
+            queue.callers.push(caller);
+        } else {
+            queue.callers[callerIndex] = caller;
+        }
+        this.reorderCallers(queue);
+        queue.calls = parseInt(event.count) || queue.callers.length;
+
+        this.emit('callerJoined', {
+            queue: queue.name,
+            caller: this.withWait(caller)
+        });
+
+        this.publishQueues([queue.name]);
+    }
+
+    handleQueueCallerLeave(event) {
+        const queue = this.queues.get(event.queue);
+        if (!queue) return;
+
+        const callerIndex = queue.callers.findIndex(c => c.channel === event.channel);
+        if (callerIndex === -1) return;
+
+        const caller = queue.callers[callerIndex];
+        queue.callers.splice(callerIndex, 1);
+        this.reorderCallers(queue);
+        queue.calls = parseInt(event.count) || queue.callers.length;
+
+        this.emit('callerLeft', {
+            queue: queue.name,
+            caller: this.withWait(caller),
+            abandoned: caller.abandoned
+        });
+
+        this.publishQueues([queue.name]);
+    }
+
+    // O Asterisk envia QueueCallerAbandon antes do QueueCallerLeave do mesmo canal,
+    // por isso aqui a entrada é apenas marcada e a remoção fica a cargo do Leave
+    handleQueueCallerAbandon(event) {
+        const queue = this.queues.get(event.queue);
+        if (!queue) return;
+
+        const caller = queue.callers.find(c => c.channel === event.channel);
+        if (!caller) return;
+
+        caller.abandoned = true;
+        this.stats.recordAbandoned(queue.name, parseInt(event.holdtime));
+
+        this.emit('callerAbandoned', {
+            queue: queue.name,
+            caller: this.withWait(caller),
+            holdTime: parseInt(event.holdtime),
+            originalPosition: parseInt(event.originalposition)
+        });
+    }
+
+    // Retorna uma cópia do chamador com o tempo de espera atual (segundos)
+    withWait(caller) {
+        return {
+            ...caller,
+            wait: Math.max(0, Math.floor(this.clock() / 1000) - caller.joinTime)
+        };
+    }
+
+    // Atualiza a chamada atual do agente em todas as filas em que ele está
+    // e retorna a lista de filas afetadas
+    setMemberCall(memberInterface, currentCall) {
+        const affectedQueues = [];
+
+        for (const [queueName, queue] of this.queues.entries()) {
+            const member = queue.members.find(m => m.extension === memberInterface);
+            if (member) {
+                member.currentCall = currentCall;
+                this.applyPresence(queueName, member);
+                affectedQueues.push(queueName);
+            }
+        }
+
+        return affectedQueues;
+    }
+
+    // Retorna a chamada atual do agente (igual em todas as filas)
+    getMemberCall(memberInterface) {
+        for (const queue of this.queues.values()) {
+            const member = queue.members.find(m => m.extension === memberInterface);
+            if (member) {
+                return member.currentCall || null;
+            }
+        }
+        return null;
+    }
+
+    handleAgentCalled(event) {
+        const currentCall = {
+            state: 'ringing',
+            queue: event.queue,
+            channel: event.channel,
+            destChannel: event.destchannel,
+            uniqueId: event.uniqueid,
+            callerIdNum: event.calleridnum,
+            callerIdName: event.calleridname,
+            ringStart: Math.floor(this.clock() / 1000),
+            connectTime: null,
+            holdTime: null,
+            ringTime: null
+        };
+
+        const queues = this.setMemberCall(event.interface, currentCall);
+        if (queues.length === 0) return;
+
+        this.emit('agentRinging', {
+            interface: event.interface,
+            queues: queues,
+            call: { ...currentCall }
+        });
+
+        this.publishQueues(queues);
+    }
+
+    handleAgentConnect(event) {
+        const previousCall = this.getMemberCall(event.interface);
+        const currentCall = {
+            ...(previousCall && previousCall.channel === event.channel ? previousCall : {
+                queue: event.queue,
+                channel: event.channel,
+                destChannel: event.destchannel,
+                uniqueId: event.uniqueid,
+                callerIdNum: event.calleridnum,
+                callerIdName: event.calleridname,
+                ringStart: null
+            }),
+            state: 'connected',
+            connectTime: Math.floor(this.clock() / 1000),
+            holdTime: parseInt(event.holdtime),
+            ringTime: parseInt(event.ringtime)
+        };
+
+        const queues = this.setMemberCall(event.interface, currentCall);
+        if (queues.length === 0) return;
+
+        this.stats.recordAnswered(event.queue, event.interface, currentCall.holdTime);
+
+        this.emit('agentConnected', {
+            interface: event.interface,
+            queues: queues,
+            call: { ...currentCall }
+        });
+
+        this.publishQueues(queues);
+    }
+
+    // Trata o fim da chamada do agente: AgentComplete (reason: caller, agent ou transfer),
+    // AgentRingNoAnswer (ringnoanswer) e AgentDump (dump)
+    handleAgentCallEnded(event, reason) {
+        const previousCall = this.getMemberCall(event.interface);
+
+        // Ignora o fim de uma chamada diferente da que está em andamento
+        if (previousCall && event.channel && previousCall.channel !== event.channel) return;
+
+        // O Asterisk marca o fim da chamada atendida em lastCall, início do pós-atendimento (wrapupTime)
+        if (event.event === 'AgentComplete') {
+            this.updateMember(event.queue, event.interface, { lastCall: Math.floor(this.clock() / 1000) });
+        }
+
+        const queues = this.setMemberCall(event.interface, null);
+        if (queues.length === 0) return;
+
+        const talkTime = event.talktime !== undefined ? parseInt(event.talktime) : 0;
+        let holdTime = event.holdtime !== undefined ? parseInt(event.holdtime) : null;
+        if (holdTime === null && previousCall) {
+            holdTime = previousCall.holdTime;
+        }
+
+        if (event.event === 'AgentComplete') {
+            this.stats.recordCompleted(event.queue, event.interface, talkTime);
+        }
+
+        this.emit('agentCallEnded', {
+            interface: event.interface,
+            queues: queues,
+            call: previousCall ? { ...previousCall } : null,
+            holdTime: holdTime,
+            talkTime: talkTime,
+            ringTime: event.ringtime !== undefined ? parseInt(event.ringtime) : null,
+            reason: reason
+        });
+
+        this.publishQueues(queues);
+    }
+
+    // Aplica um evento de canal ao cache de canais e emite channelAdded, channelChanged ou channelRemoved
+    // com os membros ligados ao canal pelo stateInterface
+    handleChannelEvent(event) {
+        const change = this.channels.handle(event, Math.floor(this.clock() / 1000));
+        if (!change) return;
+
+        const eventName = {
+            added: 'channelAdded',
+            changed: 'channelChanged',
+            removed: 'channelRemoved'
+        }[change.type];
+
+        this.emit(eventName, {
+            channel: change.channel,
+            members: this.getChannelMembers(change.channel.channel),
+            event: event.event
+        });
+    }
+
+    // Carrega o snapshot do armazenamento configurado (síncrono ou via Promise)
+    loadSnapshot() {
+        try {
+            const result = this.snapshotStore.load();
+            if (result && typeof result.then === 'function') {
+                result
+                    .then(snapshot => this.applySnapshot(snapshot))
+                    .catch(error => this.logger.error('Erro ao carregar snapshot', { error }));
+            } else {
+                this.applySnapshot(result);
+            }
+        } catch (error) {
+            this.logger.error('Erro ao carregar snapshot', { error });
+        }
+    }
+
+    // Preenche o cache com o snapshot, desde que nenhuma sincronização real já tenha ocorrido
+    applySnapshot(snapshot) {
+        if (!snapshot || !Array.isArray(snapshot.queues)) return;
+        if (this.queues.size > 0 && !this.stale) return;
+
+        this.queues.clear();
+        for (const queue of snapshot.queues) {
+            this.queues.set(queue.name, {
+                ...queue,
+                members: queue.members || [],
+                callers: queue.callers || [],
+                stale: true
+            });
+        }
+
+        this.stale = true;
+        this.snapshotRevision = snapshot.revision || 0;
+        this.publishChanges();
+
+        this.emit('snapshotLoaded', {
+            revision: this.snapshotRevision,
+            savedAt: snapshot.savedAt,
+            queues: this.queues.size
+        });
+    }
+
+    // Grava o estado atual das filas no armazenamento de snapshot
+    async saveSnapshot() {
+        // Não sobrescrever o snapshot enquanto o cache ainda não foi sincronizado
+        if (!this.snapshotStore || this.stale || this.queues.size === 0) return;
+
+        this.snapshotRevision++;
+        const snapshot = {
+            version: 1,
+            revision: this.snapshotRevision,
+            savedAt: Date.now(),
+            queues: Array.from(this.queues.values())
+        };
+
+        try {
+            await this.snapshotStore.save(snapshot);
+            this.emit('snapshotSaved', {
+                revision: snapshot.revision,
+                savedAt: snapshot.savedAt
+            });
+        } catch (error) {
+            this.logger.error('Erro ao gravar snapshot', { error });
+        }
+    }
+
+    // Indica se o cache está servindo apenas dados do snapshot (ainda não sincronizado)
+    isStale() {
+        return this.stale;
+    }
+
+    // Consulta o QueueStatus e monta um novo mapa de filas, sem alterar o cache
+    async fetchQueues() {
+        const response = await this._send(new Actions.QueueStatus());
+        // console.log('queueStatus', JSON.stringify(response, null, 2));
+
+        if (!response || !response.events) {
+            return null;
+        }
+
+        return this.parseQueueStatus(response.events);
+    }
+
+    /**
+     * @description Monta as filas a partir dos eventos de uma resposta do QueueStatus
+     * @param {Object[]} events - Eventos QueueParams, QueueMember e QueueEntry
+     * @returns {Map} Filas por nome
+     */
+    parseQueueStatus(events) {
+        const queues = new Map();
+        let currentQueue = null;
+
+        for (const event of events) {
+            if (event.event === 'QueueParams') {
+                currentQueue = {
+                    name: event.queue,
+                    max: parseInt(event.max),
+                    strategy: event.strategy,
+                    calls: parseInt(event.calls),
+                    holdtime: parseInt(event.holdtime),
+                    talktime: parseInt(event.talktime),
+                    completed: parseInt(event.completed),
+                    abandoned: parseInt(event.abandoned),
+                    servicelevel: parseInt(event.servicelevel),
+                    servicelevelperf: parseFloat(event.servicelevelperf),
+                    servicelevelperf2: parseFloat(event.servicelevelperf2),
+                    weight: parseInt(event.weight),
+                    members: [],
+                    callers: []
+                };
+                queues.set(event.queue, currentQueue);
+            } else if (event.event === 'QueueMember' && currentQueue) {
+                currentQueue.members.push({
+                    name: event.name,
+                    extension: event.location,
+                    stateInterface: event.stateinterface,
+                    membership: event.membership,
+                    penalty: parseInt(event.penalty),
+                    callsTaken: parseInt(event.callstaken),
+                    lastCall: parseInt(event.lastcall),
+                    lastPause: parseInt(event.lastpause),
+                    loginTime: parseInt(event.logintime),
+                    inCall: parseInt(event.incall),
+                    status: parseInt(event.status),
+                    paused: parseInt(event.paused),
+                    pausedReason: event.pausedreason,
+                    wrapupTime: parseInt(event.wrapuptime),
+                    ringInUse: parseRingInUse(event.ringinuse),
+                    currentCall: null
+                });
+            } else if (event.event === 'QueueEntry') {
+                const queue = queues.get(event.queue);
+                if (queue) {
+                    queue.callers.push(this.buildCaller(event, parseInt(event.wait) || 0));
+                }
+            }
+        }
+
+        return queues;
+    }
+
+    // Sincroniza o cache com o Asterisk. Na primeira carga o cache é preenchido por completo;
+    // nas seguintes o resultado é comparado com o cache e apenas as diferenças são aplicadas.
+    async updateQueues() {
+        // Evita consultas simultâneas (ex: FullyBooted logo após a conexão)
+        if (this.updatingQueues) {
+            return this.updatingQueues;
+        }
+
+        this.updatingQueues = (async () => {
+            try {
+                const queues = await this.fetchQueues();
+                if (!queues) return;
+
+                this.recordJournal('sync', { queues: Array.from(queues.values()) });
+                return this.applyQueues(queues);
+            } catch (error) {
+                this.logger.error('Erro ao atualizar filas', { error });
+                if (this.actionMode === 'throw') {
+                    throw error;
+                }
+            } finally {
+                this.updatingQueues = null;
+            }
+        })();
+
+        return this.updatingQueues;
+    }
+
+    /**
+     * @description Aplica o resultado de um QueueStatus ao cache e emite resynced
+     * @param {Map} queues - Filas retornadas pelo fetchQueues
+     * @returns {Object} Resumo das diferenças aplicadas
+     */
+    applyQueues(queues) {
+        // Os dados carregados do snapshot são substituídos por completo na primeira sincronização
+        const initial = this.queues.size === 0 || this.stale;
+        let summary;
+
+        if (initial) {
+            this.queues.clear();
+            this.stale = false;
+            for (const [queueName, queue] of queues.entries()) {
+                this.queues.set(queueName, queue);
+            }
+            summary = {
+                initial: true,
+                queuesAdded: [],
+                queuesRemoved: [],
+                membersAdded: [],
+                membersRemoved: [],
+                membersChanged: []
+            };
+            this.trackAllAgents();
+            this.publishQueues();
+        } else {
+            summary = this.reconcileQueues(queues);
+        }
+
+        this.emit('resynced', summary);
+        return summary;
+    }
+
+    // Sincronização dos canais disparada internamente: o erro é apenas registrado, pois os canais
+    // complementam os dados das filas e o CoreShowChannels pode estar bloqueado para o usuário do AMI
+    async syncChannels() {
+        if (this.updatingChannels) {
+            return this.updatingChannels;
+        }
+
+        this.updatingChannels = (async () => {
+            try {
+                const response = await this._send(new Actions.CoreShowChannels());
+                const events = ((response && response.events) || [])
+                    .filter(event => event.event === 'CoreShowChannel')
+                    .map(event => toPlainMessage(event));
+
+                this.recordJournal('channels', { channels: events });
+                this.applyChannels(events);
+            } catch (error) {
+                this.logger.error('Erro ao atualizar canais', { error });
+            } finally {
+                this.updatingChannels = null;
+            }
+        })();
+
+        return this.updatingChannels;
+    }
+
+    /**
+     * @description Substitui os canais do cache pelo resultado de um CoreShowChannels e emite channelsUpdated
+     * @param {Object[]} events - Eventos CoreShowChannel
+     */
+    applyChannels(events) {
+        this.channels.load(events, Math.floor(this.clock() / 1000));
+        this.emit('channelsUpdated', this.channels.getChannels());
+    }
+
+    // Sincronização do registro dos endpoints disparada internamente. PJSIP e chan_sip são consultados
+    // separadamente: a tecnologia cujo módulo não está carregado (ação recusada) é ignorada
+    async syncEndpoints() {
+        if (this.updatingEndpoints) {
+            return this.updatingEndpoints;
+        }
+
+        this.updatingEndpoints = (async () => {
+            const lists = { endpoints: null, contacts: null, peers: null };
+
+            try {
+                lists.endpoints = await this.fetchList(createAction('PJSIPShowEndpoints'), 'EndpointList');
+                // O PJSIPShowContacts (Asterisk 16+) informa o tempo de resposta e o user agent dos contatos
+                lists.contacts = await this.fetchList(createAction('PJSIPShowContacts'), 'ContactList').catch(() => null);
+            } catch (error) {
+                this.logger.debug('Endpoints PJSIP indisponíveis', { error });
+            }
+
+            try {
+                lists.peers = await this.fetchList(new Actions.SipPeers(), 'PeerEntry');
+            } catch (error) {
+                this.logger.debug('Peers SIP indisponíveis', { error });
+            }
+
+            try {
+                this.recordJournal('endpoints', lists);
+                this.applyEndpoints(lists);
+            } finally {
+                this.updatingEndpoints = null;
+            }
+        })();
+
+        return this.updatingEndpoints;
+    }
+
+    // Envia uma ação de lista e retorna os eventos do tipo informado, sem os campos internos do Nami
+    async fetchList(action, eventName) {
+        const response = await this._send(action);
+        return ((response && response.events) || [])
+            .filter(event => event.event === eventName)
+            .map(event => toPlainMessage(event));
+    }
+
+    /**
+     * @description Aplica o resultado da consulta dos endpoints. Listas null (tecnologia indisponível)
+     * não alteram os endpoints dessa tecnologia
+     * @param {Object} lists - { endpoints, contacts, peers }: eventos EndpointList, ContactList e PeerEntry
+     */
+    applyEndpoints(lists) {
+        const changes = [];
+        if (lists.endpoints) {
+            changes.push(...this.endpoints.loadPjsip(lists.endpoints, lists.contacts || undefined));
+        }
+        if (lists.peers) {
+            changes.push(...this.endpoints.loadSipPeers(lists.peers));
+        }
+        this.applyEndpointChanges(changes);
     }
 
-    async handleQueueMemberRemoved(event) {
-        const queueName = event.queue;
-        const queue = this.queues.get(queueName);
-        
-        if (queue) {
-            const memberIndex = queue.members.findIndex(m => m.extension === event.interface);
-            if (memberIndex !== -1) {
-                const removedMember = queue.members[memberIndex];
-                queue.members.splice(memberIndex, 1);
-                this.queues.set(queueName, queue);
-                
-                // Emite evento de remoção de membro
-                this.emit('memberRemoved', {
-                    queue: queueName,
-                    member: removedMember
+    /**
+     * @description Copia registered, contactUri, roundtripMs e userAgent dos endpoints alterados para os
+     * membros ligados a eles pelo stateInterface. Emite endpointChanged e, quando um membro não pausado
+     * perde o registro, agentUnreachable
+     * @param {Object[]} changes - Mudanças do EndpointRegistry: { endpoint, previous }
+     */
+    applyEndpointChanges(changes) {
+        let registrationChanged = false;
+        const changedQueues = new Set();
+
+        for (const { endpoint, previous } of changes) {
+            const affected = new Map(); // extension -> filas
+            const wanted = endpoint.interface.toLowerCase();
+
+            for (const [queueName, queue] of this.queues.entries()) {
+                for (const member of queue.members) {
+                    if (String(member.stateInterface || member.extension).toLowerCase() !== wanted) continue;
+
+                    Object.assign(member, this.endpoints.getMemberFields(endpoint.interface));
+                    if (!affected.has(member.extension)) affected.set(member.extension, []);
+                    affected.get(member.extension).push(queueName);
+                    changedQueues.add(queueName);
+                }
+            }
+
+            this.emit('endpointChanged', {
+                endpoint: endpoint,
+                previous: previous,
+                members: Array.from(affected.keys())
+            });
+
+            if (affected.size === 0 || previous.registered === endpoint.registered) continue;
+            registrationChanged = true;
+
+            if (previous.registered !== true || endpoint.registered !== false) continue;
+
+            for (const [extension, queues] of affected.entries()) {
+                const members = queues.map(queueName => this.queues.get(queueName).members
+                    .find(m => m.extension === extension));
+                if (members.some(member => member.paused)) continue;
+
+                this.logger.warn('Agente perdeu o registro', { interface: extension, endpoint: endpoint.interface });
+                this.emit('agentUnreachable', {
+                    interface: extension,
+                    stateInterface: endpoint.interface,
+                    queues: queues,
+                    endpoint: endpoint
                 });
-                
-                this.emit('queuesUpdated', Array.from(this.queues.values()));
             }
         }
+
+        // Os demais campos do endpoint (ex: tempo de resposta) geram apenas o evento changes
+        if (registrationChanged) {
+            this.publishQueues(Array.from(changedQueues));
+        } else if (changedQueues.size > 0) {
+            this.publishChanges(Array.from(changedQueues));
+        }
     }
 
-    async updateQueues() {
-        try {
-            const response = await this._send(new Actions.QueueStatus());
-            // console.log('queueStatus', JSON.stringify(response, null, 2));
-            
-            if (response && response.events) {
-                this.queues.clear();
-                let currentQueue = null;
-
-                for (const event of response.events) {
-                    if (event.event === 'QueueParams') {
-                        currentQueue = {
-                            name: event.queue,
-                            max: parseInt(event.max),
-                            strategy: event.strategy,
-                            calls: parseInt(event.calls),
-                            holdtime: parseInt(event.holdtime),
-                            talktime: parseInt(event.talktime),
-                            completed: parseInt(event.completed),
-                            abandoned: parseInt(event.abandoned),
-                            servicelevel: parseInt(event.servicelevel),
-                            servicelevelperf: parseFloat(event.servicelevelperf),
-                            servicelevelperf2: parseFloat(event.servicelevelperf2),
-                            weight: parseInt(event.weight),
-                            members: []
-                        };
-                        this.queues.set(event.queue, currentQueue);
-                    } else if (event.event === 'QueueMember' && currentQueue) {
-                        currentQueue.members.push({
-                            name: event.name,
-                            extension: event.location,
-                            stateInterface: event.stateinterface,
-                            membership: event.membership,
-                            penalty: parseInt(event.penalty),
-                            callsTaken: parseInt(event.callstaken),
-                            lastCall: parseInt(event.lastcall),
-                            lastPause: parseInt(event.lastpause),
-                            loginTime: parseInt(event.logintime),
-                            inCall: parseInt(event.incall),
-                            status: parseInt(event.status),
-                            paused: parseInt(event.paused),
-                            pausedReason: event.pausedreason,
-                            wrapupTime: parseInt(event.wrapuptime)
-                        });
-                    }
+    // Registro de um endpoint pela interface (ex: PJSIP/1001), ou null se não for conhecido
+    getEndpoint(iface) {
+        return this.endpoints.get(iface);
+    }
+
+    getEndpoints() {
+        return this.endpoints.getEndpoints();
+    }
+
+    // Acrescenta uma entrada ao diário, se configurado
+    recordJournal(type, fields) {
+        if (this.journal) {
+            this.journal.write({ t: this.clock(), type: type, ...fields });
+        }
+    }
+
+    // Compara o resultado do QueueStatus com o cache, aplica as diferenças e emite
+    // memberAdded, memberRemoved, memberStatusChanged e memberPauseChanged para cada correção
+    reconcileQueues(freshQueues) {
+        const summary = {
+            initial: false,
+            queuesAdded: [],
+            queuesRemoved: [],
+            membersAdded: [],
+            membersRemoved: [],
+            membersChanged: []
+        };
+        const statusChanged = new Map(); // extension -> filas com status diferente
+        const pauseChanged = new Map(); // extension -> filas com pausa diferente
+        const memberFields = ['name', 'stateInterface', 'membership', 'penalty', 'callsTaken', 'lastCall',
+            'loginTime', 'inCall', 'status', 'wrapupTime'];
+        const pauseFields = ['paused', 'pausedReason', 'lastPause'];
+
+        // Filas que deixaram de existir
+        for (const [queueName, queue] of this.queues.entries()) {
+            if (!freshQueues.has(queueName)) {
+                this.queues.delete(queueName);
+                summary.queuesRemoved.push(queueName);
+                for (const member of queue.members) {
+                    summary.membersRemoved.push({ queue: queueName, extension: member.extension });
+                    this.emit('memberRemoved', { queue: queueName, member: member });
                 }
-                this.emit('queuesUpdated', Array.from(this.queues.values()));
             }
-        } catch (error) {
-            console.error('Erro ao atualizar filas:', error);
         }
+
+        for (const [queueName, freshQueue] of freshQueues.entries()) {
+            let queue = this.queues.get(queueName);
+
+            if (!queue) {
+                queue = { ...freshQueue, members: [] };
+                this.queues.set(queueName, queue);
+                summary.queuesAdded.push(queueName);
+            } else {
+                // Parâmetros e chamadores em espera vêm sempre do Asterisk
+                const { members, ...params } = freshQueue;
+                Object.assign(queue, params);
+            }
+
+            // Membros removidos enquanto o cache estava desatualizado
+            for (const member of [...queue.members]) {
+                if (!freshQueue.members.some(m => m.extension === member.extension)) {
+                    queue.members.splice(queue.members.indexOf(member), 1);
+                    summary.membersRemoved.push({ queue: queueName, extension: member.extension });
+                    this.emit('memberRemoved', { queue: queueName, member: member });
+                }
+            }
+
+            for (const freshMember of freshQueue.members) {
+                const memberIndex = queue.members.findIndex(m => m.extension === freshMember.extension);
+
+                if (memberIndex === -1) {
+                    queue.members.push(freshMember);
+                    summary.membersAdded.push({ queue: queueName, extension: freshMember.extension });
+                    this.emit('memberAdded', { queue: queueName, member: freshMember });
+                    continue;
+                }
+
+                const oldMember = queue.members[memberIndex];
+                const changedFields = memberFields.filter(f => !Object.is(oldMember[f], freshMember[f]));
+                const changedPauseFields = pauseFields.filter(f => !Object.is(oldMember[f], freshMember[f]));
+
+                if (changedFields.length === 0 && changedPauseFields.length === 0) continue;
+
+                queue.members[memberIndex] = {
+                    ...freshMember,
+                    // O QueueStatus não informa o ringinuse, conhecido apenas pelos eventos
+                    ringInUse: freshMember.ringInUse !== null ? freshMember.ringInUse : oldMember.ringInUse,
+                    currentCall: oldMember.currentCall || null,
+                    presence: oldMember.presence
+                };
+                summary.membersChanged.push({
+                    queue: queueName,
+                    extension: freshMember.extension,
+                    fields: changedFields.concat(changedPauseFields)
+                });
+
+                if (changedFields.length > 0) {
+                    if (!statusChanged.has(freshMember.extension)) statusChanged.set(freshMember.extension, []);
+                    statusChanged.get(freshMember.extension).push(queueName);
+                }
+                if (changedPauseFields.length > 0) {
+                    if (!pauseChanged.has(freshMember.extension)) pauseChanged.set(freshMember.extension, []);
+                    pauseChanged.get(freshMember.extension).push(queueName);
+                }
+            }
+        }
+
+        this.trackAllAgents();
+
+        // Emitir um evento único por agente com todas as filas corrigidas
+        for (const [eventName, changes] of [['memberStatusChanged', statusChanged], ['memberPauseChanged', pauseChanged]]) {
+            for (const [extension, queues] of changes.entries()) {
+                const member = this.queues.get(queues[0]).members.find(m => m.extension === extension);
+                this.emit(eventName, {
+                    queues: queues,
+                    member: member,
+                    paused: member.paused
+                });
+            }
+        }
+
+        const corrections = summary.queuesAdded.length + summary.queuesRemoved.length +
+            summary.membersAdded.length + summary.membersRemoved.length + summary.membersChanged.length;
+        if (corrections > 0) {
+            this.publishQueues();
+        } else {
+            // Parâmetros e chamadores atualizados pelo QueueStatus
+            this.publishChanges();
+        }
+
+        return summary;
     }
 
     getQueues() {
@@ -554,6 +1874,135 @@ class AsteriskCache extends EventEmitter {
         return this.queues.get(queueName);
     }
 
+    // Canais ativos, com a interface de origem, a ponte e as relações de discagem
+    getChannels() {
+        return this.channels.getChannels();
+    }
+
+    getChannel(channelName) {
+        return this.channels.getChannel(channelName);
+    }
+
+    // Canais do outro lado: os da mesma ponte ou, antes do atendimento, os ligados pela discagem
+    getChannelPeers(channelName) {
+        return this.channels.getPeers(channelName);
+    }
+
+    getBridges() {
+        return this.channels.getBridges();
+    }
+
+    /**
+     * @description Chamadas em andamento de uma interface (ex: SIP/1001)
+     * @param {string} iface - Interface de origem dos canais
+     * @returns {Object[]} { channel, peers, remoteNum, remoteName, answered, duration, bridgeId }
+     */
+    getCallsForInterface(iface) {
+        return this.channels.getCallsForInterface(iface, Math.floor(this.clock() / 1000));
+    }
+
+    // Chamadas em andamento do membro, pelos canais do seu stateInterface (ou da própria interface)
+    getMemberCalls(memberInterface) {
+        for (const queue of this.queues.values()) {
+            const member = queue.members.find(m => m.extension === memberInterface);
+            if (member) {
+                return this.getCallsForInterface(member.stateInterface || member.extension);
+            }
+        }
+        return [];
+    }
+
+    // Interfaces dos membros ligados ao canal pelo stateInterface
+    getChannelMembers(channelName) {
+        const channelInterface = getChannelInterface(channelName).toLowerCase();
+        const members = new Set();
+
+        for (const queue of this.queues.values()) {
+            for (const member of queue.members) {
+                const stateInterface = member.stateInterface || member.extension;
+                if (String(stateInterface).toLowerCase() === channelInterface) {
+                    members.add(member.extension);
+                }
+            }
+        }
+
+        return Array.from(members);
+    }
+
+    // Avalia as regras de alerta sobre o estado atual das filas e dos agentes
+    evaluateAlerts() {
+        if (!this.alerts) return;
+
+        this.alerts.evaluate({
+            queues: Array.from(this.queues.values()).map(queue => ({
+                queue: queue,
+                availableAgents: this.getAvailableAgents(queue.name).length
+            })),
+            agents: this.getAllAgents()
+        }, Math.floor(this.clock() / 1000));
+    }
+
+    // Alertas levantados no momento
+    getAlerts() {
+        return this.alerts ? this.alerts.getActive() : [];
+    }
+
+    /**
+     * @description Registra uma nova revisão se as filas mudaram desde a anterior e emite changes com as
+     * operações JSON Patch da revisão
+     * @param {string[]} [queueNames] - Filas alteradas (padrão: todas), as únicas copiadas e comparadas
+     * @returns {Object|null} { revision, timestamp, patch } ou null se nada mudou
+     */
+    publishChanges(queueNames) {
+        const record = this.changeFeed.publish(this.queues.values(), this.clock(), queueNames);
+        if (record) {
+            this.emit('changes', record);
+        }
+        return record;
+    }
+
+    // Fim de toda alteração das filas: publica as diferenças (changes) das filas informadas (padrão: todas)
+    // e o estado completo (queuesUpdated)
+    publishQueues(queueNames) {
+        this.publishChanges(queueNames);
+        this.emit('queuesUpdated', Array.from(this.queues.values()));
+    }
+
+    // Filas em que o agente é membro
+    getMemberQueueNames(extension) {
+        const queueNames = [];
+        for (const [queueName, queue] of this.queues.entries()) {
+            if (queue.members.some(m => m.extension === extension)) {
+                queueNames.push(queueName);
+            }
+        }
+        return queueNames;
+    }
+
+    // Revisão atual do estado das filas (aumenta a cada alteração publicada)
+    getRevision() {
+        return this.changeFeed.revision;
+    }
+
+    /**
+     * @description Cópia imutável das filas, indexada por nome (membros por interface e chamadores por
+     * canal), com a revisão a que corresponde. As operações do evento changes se aplicam a ela
+     * @returns {Object} { revision, timestamp, queues }
+     */
+    getSnapshot() {
+        return this.changeFeed.getSnapshot();
+    }
+
+    /**
+     * @description Alterações posteriores a uma revisão, para o cliente que perdeu alguns eventos changes
+     * @param {number} revision - Última revisão aplicada pelo cliente
+     * @returns {Object[]|null} Revisões { revision, timestamp, patch } em ordem, ou null quando a revisão não
+     * está mais guardada (ou é desconhecida) e o cliente deve recarregar pelo getSnapshot
+     */
+    getChangesSince(revision) {
+        return this.changeFeed.getChangesSince(revision);
+    }
+
     // Método para obter dados de um agente pelo ramal
     getAgentByExtension(extension) {
         const allQueues = this.getQueues();
@@ -581,7 +2030,8 @@ class AsteriskCache extends EventEmitter {
         return agentData;
     }
 
-    // Método para obter apenas os agentes disponíveis (status=1 e pausa=0) de uma fila específica
+    // Método para obter apenas os agentes disponíveis de uma fila específica (presença available,
+    // ou as presenças configuradas em presence.available)
     getAvailableAgents(queueName) {
         const queue = this.queues.get(queueName);
         
@@ -589,7 +2039,8 @@ class AsteriskCache extends EventEmitter {
             return [];
         }
         
-        const availableMembers = queue.members.filter(m => m.status === 1 && m.paused === 0);
+        const now = Math.floor(this.clock() / 1000);
+        const availableMembers = queue.members.filter(m => this.presence.isAvailable(m, now));
         
         return availableMembers.map(member => ({
             ...member,
@@ -597,72 +2048,314 @@ class AsteriskCache extends EventEmitter {
         }));
     }
 
-    async pauseMember(memberInterface, reason = '') {
-        try {
-            const response = await this._send(new Actions.QueuePause(memberInterface, undefined, reason));
-            
-            if (response && response.response === 'Success') {
-                console.log(`Membro ${memberInterface} pausado`);
-                return true;
-            } else {
-                console.error(`Erro ao pausar membro ${memberInterface}:`, response);
-                return false;
+    /**
+     * @description Consulta os agentes por critérios, com ordenação e paginação
+     * @param {Object} [criteria] - status, paused, pausedReason, anyQueue, allQueues, penalty { min, max },
+     * search, idleFor, membership, inCall, presence (ver lib/agent-query.js)
+     * @param {Object} [options]
+     * @param {string} [options.queue] - Usa os valores do membro nessa fila (penalty, paused, callsTaken...)
+     * em vez dos valores da primeira fila do agente, e considera apenas os membros dela
+     * @param {string} [options.sortBy] - Campo do agente ou 'idle'
+     * @param {string} [options.order='asc'] - asc ou desc
+     * @param {number} [options.offset=0]
+     * @param {number} [options.limit]
+     * @returns {Object} { total, offset, limit, agents }
+     */
+    queryAgents(criteria = {}, options = {}) {
+        let agents = this.getAllAgents();
+
+        if (options.queue) {
+            const queue = this.queues.get(options.queue);
+            const members = new Map((queue ? queue.members : []).map(member => [member.extension, member]));
+            agents = agents
+                .filter(agent => members.has(agent.extension))
+                .map(agent => ({ ...agent, ...members.get(agent.extension), queue: options.queue }));
+        }
+
+        return agentQuery.queryAgents(agents, criteria, { ...options, clock: () => this.clock() });
+    }
+
+    /**
+     * @description Registra um listener que recebe o evento apenas quando o agente do evento atende aos
+     * critérios do queryAgents. Funciona com os eventos que trazem member (memberStatusChanged,
+     * memberPauseChanged...) ou interface (agentRinging, agentConnected, agentCallEnded)
+     * @param {string} eventName - Nome do evento
+     * @param {Object} criteria - Critérios do queryAgents
+     * @param {Function} listener - Recebe o payload original do evento
+     * @returns {Function} Remove a assinatura
+     */
+    subscribe(eventName, criteria, listener) {
+        const matches = agentQuery.compileFilter(criteria, () => this.clock());
+        const filtered = (data) => {
+            const agent = this.getAgentFromPayload(data);
+            if (agent && matches(agent)) {
+                listener(data);
             }
-        } catch (error) {
-            console.error(`Erro ao pausar membro ${memberInterface}:`, error);
-            return false;
+        };
+
+        this.on(eventName, filtered);
+        return () => this.removeListener(eventName, filtered);
+    }
+
+    // Agente do payload de um evento, com os valores do membro do evento sobre os do agente
+    getAgentFromPayload(data) {
+        if (!data) return null;
+
+        const extension = data.member ? data.member.extension : data.interface;
+        const agent = extension ? this.getAgentByExtension(extension) : null;
+
+        if (agent) {
+            return { ...agent, ...(data.member || {}), queues: agent.queues };
+        }
+
+        // Membro já removido de todas as filas (memberRemoved)
+        if (data.member) {
+            return { ...data.member, queues: data.queues || (data.queue ? [data.queue] : []) };
         }
+        return null;
     }
 
-    async unpauseMember(memberInterface) {
-        try {
-            const response = await this._send(new Actions.QueueUnpause(memberInterface));
-            
-            if (response && response.response === 'Success') {
-                console.log(`Membro ${memberInterface} despausado`);
-                return true;
-            } else {
-                console.error(`Erro ao despausar membro ${memberInterface}:`, response);
-                return false;
+    // Método para obter os chamadores em espera de uma fila, ordenados pela posição
+    getQueueCallers(queueName) {
+        const queue = this.queues.get(queueName);
+
+        if (!queue) {
+            return [];
+        }
+
+        return queue.callers.map(caller => ({
+            ...this.withWait(caller),
+            queue: queueName
+        }));
+    }
+
+    // Método para obter o chamador que está há mais tempo esperando em uma fila
+    getLongestWaitingCaller(queueName) {
+        const callers = this.getQueueCallers(queueName);
+
+        if (callers.length === 0) {
+            return null;
+        }
+
+        return callers.reduce((longest, caller) => caller.wait > longest.wait ? caller : longest);
+    }
+
+    // Método para obter as estatísticas móveis de uma fila em uma janela (ex: '15m', '1h', 'today')
+    getQueueStats(queueName, window = '15m') {
+        const queue = this.queues.get(queueName);
+
+        if (!queue) {
+            return null;
+        }
+
+        return this.stats.getQueueStats(queueName, window, queue.members.length);
+    }
+
+    // Método para obter as estatísticas móveis de um agente em uma janela
+    getAgentStats(extension, window = '15m') {
+        return this.stats.getAgentStats(extension, window);
+    }
+
+    // Emite as estatísticas de todas as filas em todas as janelas configuradas
+    emitStats() {
+        const queues = {};
+
+        for (const queueName of this.queues.keys()) {
+            queues[queueName] = {};
+            for (const window of this.stats.getWindowNames()) {
+                queues[queueName][window] = this.getQueueStats(queueName, window);
             }
-        } catch (error) {
-            console.error(`Erro ao despausar membro ${memberInterface}:`, error);
-            return false;
         }
+
+        this.emit('statsUpdated', {
+            timestamp: this.clock(),
+            queues: queues
+        });
     }
 
-    async addMemberToQueue(memberInterface, memberName, queueName, paused = 0, penalty = 0) {
+    /**
+     * @description Envia uma ação de fila e converte o resultado conforme o actionMode:
+     * 'boolean' retorna true/false, 'result' retorna { success, response, error } e
+     * 'throw' retorna a resposta do Asterisk ou rejeita com o erro tipado
+     * @param {Object} action - Ação a ser enviada
+     * @param {string} successMessage - Mensagem de log em caso de sucesso
+     * @param {string} errorMessage - Mensagem de log em caso de erro
+     * @param {Object} fields - Campos estruturados do log
+     * @param {Object} [hooks]
+     * @param {Function} [hooks.revert] - Desfaz a atualização otimista do cache caso a ação falhe
+     * @param {Function} [hooks.confirm] - Confirma a ação quando o Asterisk não gera evento (ex: ressincronizar)
+     */
+    async runAction(action, successMessage, errorMessage, fields, hooks = {}) {
+        let response;
+        let error = null;
+
+        // Parâmetros opcionais não informados (ex: queue) não vão para o log
+        const logFields = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+
         try {
-            const response = await this._send(new Actions.QueueAdd(memberInterface, queueName, paused, memberName, penalty));
-            
-            if (response && response.response === 'Success') {
-                console.log(`Membro ${memberInterface} adicionado à fila ${queueName}`);
-                return true;
-            } else {
-                console.error(`Erro ao adicionar membro ${memberInterface} à fila ${queueName}:`, response);
-                return false;
+            response = await this._send(action);
+            if (!response || response.response !== 'Success') {
+                error = new AmiResponseError(action.Action, action.ActionID, response);
             }
-        } catch (error) {
-            console.error(`Erro ao adicionar membro ${memberInterface} à fila ${queueName}:`, error);
-            return false;
+        } catch (sendError) {
+            error = sendError;
+        }
+
+        if (error) {
+            if (hooks.revert) hooks.revert();
+            this.logger.error(errorMessage, { ...logFields, code: error.code, actionId: error.actionId, error: error.message });
+        } else {
+            this.logger.info(successMessage, logFields);
+            if (hooks.confirm) await hooks.confirm();
         }
+
+        switch (this.actionMode) {
+            case 'throw':
+                if (error) throw error;
+                return response;
+            case 'result':
+                return { success: !error, response: response || null, error: error };
+            default:
+                return !error;
+        }
+    }
+
+    // Pausa o agente na fila informada ou, sem queueName, em todas as filas em que ele está
+    async pauseMember(memberInterface, reason = '', queueName) {
+        const action = new Actions.QueuePause(memberInterface, queueName, reason);
+        const revert = this.applyMemberChanges(memberInterface, queueName, { paused: 1, pausedReason: reason });
+        return this.runAction(action, 'Membro pausado', 'Erro ao pausar membro',
+            { interface: memberInterface, reason: reason, queue: queueName }, { revert });
+    }
+
+    // Despausa o agente na fila informada ou, sem queueName, em todas as filas em que ele está
+    async unpauseMember(memberInterface, queueName) {
+        const action = new Actions.QueueUnpause(memberInterface, queueName);
+        const revert = this.applyMemberChanges(memberInterface, queueName, { paused: 0, pausedReason: '' });
+        return this.runAction(action, 'Membro despausado', 'Erro ao despausar membro',
+            { interface: memberInterface, queue: queueName }, { revert });
+    }
+
+    async addMemberToQueue(memberInterface, memberName, queueName, paused = 0, penalty = 0) {
+        const action = new Actions.QueueAdd(memberInterface, queueName, paused, memberName, penalty);
+        return this.runAction(action, 'Membro adicionado à fila', 'Erro ao adicionar membro à fila',
+            { interface: memberInterface, queue: queueName });
     }
 
     async removeMemberFromQueue(memberInterface, queueName) {
-        try {
-            const response = await this._send(new Actions.QueueRemove(memberInterface, queueName)); 
-            
-            if (response && response.response === 'Success') {
-                console.log(`Membro ${memberInterface} removido da fila ${queueName}`);
-                return true;
-            } else {
-                console.error(`Erro ao remover membro ${memberInterface} da fila ${queueName}:`, response);
-                return false;
+        const action = new Actions.QueueRemove(memberInterface, queueName);
+        return this.runAction(action, 'Membro removido da fila', 'Erro ao remover membro da fila',
+            { interface: memberInterface, queue: queueName });
+    }
+
+    // Altera a penalidade do agente na fila informada ou em todas as filas (QueuePenalty)
+    async setMemberPenalty(memberInterface, penalty, queueName) {
+        const action = createAction('QueuePenalty', { Interface: memberInterface, Penalty: penalty, Queue: queueName });
+        const revert = this.applyMemberChanges(memberInterface, queueName, { penalty: parseInt(penalty) });
+        return this.runAction(action, 'Penalidade do membro alterada', 'Erro ao alterar penalidade do membro',
+            { interface: memberInterface, penalty: penalty, queue: queueName }, { revert });
+    }
+
+    // Define se o agente recebe chamadas da fila quando já está em uso (QueueMemberRingInUse)
+    async setMemberRingInUse(memberInterface, ringInUse, queueName) {
+        const action = createAction('QueueMemberRingInUse', {
+            Interface: memberInterface,
+            RingInUse: ringInUse ? 'yes' : 'no',
+            Queue: queueName
+        });
+        const revert = this.applyMemberChanges(memberInterface, queueName, { ringInUse: Boolean(ringInUse) });
+        return this.runAction(action, 'Ringinuse do membro alterado', 'Erro ao alterar ringinuse do membro',
+            { interface: memberInterface, ringInUse: Boolean(ringInUse), queue: queueName }, { revert });
+    }
+
+    /**
+     * @description Zera as estatísticas do Asterisk da fila informada ou de todas as filas (QueueReset).
+     * O Asterisk não gera evento para essa ação, por isso o cache é ressincronizado após o sucesso
+     * @param {string} [queueName] - Nome da fila
+     */
+    async resetQueueStats(queueName) {
+        const action = createAction('QueueReset', { Queue: queueName });
+        const previous = [];
+
+        for (const queue of this.queues.values()) {
+            if (queueName && queue.name !== queueName) continue;
+
+            previous.push({
+                queue: queue,
+                params: {
+                    holdtime: queue.holdtime,
+                    talktime: queue.talktime,
+                    completed: queue.completed,
+                    abandoned: queue.abandoned,
+                    servicelevelperf: queue.servicelevelperf,
+                    servicelevelperf2: queue.servicelevelperf2
+                },
+                members: queue.members.map(m => ({ extension: m.extension, callsTaken: m.callsTaken, lastCall: m.lastCall }))
+            });
+
+            Object.assign(queue, {
+                holdtime: 0,
+                talktime: 0,
+                completed: 0,
+                abandoned: 0,
+                servicelevelperf: 0,
+                servicelevelperf2: 0
+            });
+            for (const member of queue.members) {
+                this.updateMember(queue.name, member.extension, { callsTaken: 0, lastCall: 0 });
             }
-        } catch (error) {
-            console.error(`Erro ao remover membro ${memberInterface} da fila ${queueName}:`, error);
-            return false;
         }
+        const queueNames = previous.map(({ queue }) => queue.name);
+        this.publishQueues(queueNames);
+
+        const revert = () => {
+            for (const { queue, params, members } of previous) {
+                Object.assign(queue, params);
+                for (const { extension, ...values } of members) {
+                    this.updateMember(queue.name, extension, values);
+                }
+            }
+            this.publishQueues(queueNames);
+        };
+
+        return this.runAction(action, 'Estatísticas da fila zeradas', 'Erro ao zerar estatísticas da fila',
+            { queue: queueName }, { revert: revert, confirm: () => this.syncQueues() });
+    }
+
+    /**
+     * @description Recarrega a configuração das filas no Asterisk (QueueReload) e ressincroniza o cache
+     * @param {Object} [options]
+     * @param {string} [options.queue] - Nome da fila; sem ele, recarrega todas
+     * @param {boolean} [options.members] - Recarrega os membros
+     * @param {boolean} [options.rules] - Recarrega as regras (queuerules.conf)
+     * @param {boolean} [options.parameters] - Recarrega os parâmetros das filas
+     */
+    async reloadQueues(options = {}) {
+        const flag = (value) => value === undefined ? undefined : (value ? 'yes' : 'no');
+        const action = new Actions.QueueReload(options.queue, flag(options.members), flag(options.rules), flag(options.parameters));
+        return this.runAction(action, 'Filas recarregadas', 'Erro ao recarregar filas', { ...options },
+            { confirm: () => this.syncQueues() });
+    }
+
+    /**
+     * @description Grava uma entrada personalizada no queue_log do Asterisk (QueueLog)
+     * @param {string} queueName - Nome da fila
+     * @param {string} eventName - Nome do evento no queue_log (ex: SUPERVISOR)
+     * @param {Object} [options]
+     * @param {string} [options.uniqueId] - Uniqueid da chamada
+     * @param {string} [options.interface] - Interface do agente
+     * @param {string} [options.message] - Texto da entrada
+     */
+    async logQueueEvent(queueName, eventName, options = {}) {
+        const action = createAction('QueueLog', {
+            Queue: queueName,
+            Event: eventName,
+            Uniqueid: options.uniqueId,
+            Interface: options.interface,
+            Message: options.message
+        });
+        return this.runAction(action, 'Entrada gravada no queue_log', 'Erro ao gravar entrada no queue_log',
+            { queue: queueName, event: eventName });
     }
 
     // Método para obter todos os agentes de uma fila específica
@@ -703,4 +2396,13 @@ class AsteriskCache extends EventEmitter {
     }
 }
 
-module.exports = AsteriskCache; 
\ No newline at end of file
+module.exports = AsteriskCache;
+module.exports.CacheServer = require('./lib/server');
+module.exports.FederatedCache = require('./lib/federated-cache');
+module.exports.PresenceResolver = PresenceResolver;
+module.exports.CacheMetrics = CacheMetrics;
+module.exports.EventJournal = EventJournal;
+module.exports.AmiCapture = AmiCapture;
+module.exports.replayJournal = require('./lib/journal').replayJournal;
+module.exports.playCapture = require('./lib/ami-capture').playCapture;
+Object.assign(module.exports, require('./lib/errors'));
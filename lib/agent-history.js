@@ -0,0 +1,143 @@
+/**
+ * @description Histórico de estados e pausas dos agentes
+ * @abstract
+ * Registra o instante de cada mudança de status do dispositivo e de pausa de cada agente, mantendo
+ * um número limitado de transições por agente, e calcula quanto tempo o agente passou em cada
+ * status e em cada motivo de pausa dentro de um intervalo. Os instantes são epochs em segundos,
+ * como os campos lastPause e loginTime do Asterisk.
+ */
+
+const DEFAULT_MAX_TRANSITIONS = 100;
+
+class AgentHistory {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxTransitions=100] - Transições mantidas por agente
+     * @param {Function} [options.clock] - Fonte de tempo em ms (padrão: Date.now); o cache informa o seu relógio
+     */
+    constructor(options = {}) {
+        this.maxTransitions = options.maxTransitions || DEFAULT_MAX_TRANSITIONS;
+        this.clock = options.clock || Date.now;
+        this.agents = new Map(); // extension -> { stateSince, pauseSince, transitions }
+    }
+
+    /**
+     * @description Registra o estado atual do agente. Uma transição só é gravada quando o status,
+     * a pausa ou o motivo da pausa mudam em relação ao último estado conhecido
+     * @param {string} extension - Interface do agente
+     * @param {Object} state - { status, paused, pausedReason, lastPause }
+     * @param {number} [at] - Instante da mudança (epoch em segundos, padrão: agora pelo relógio)
+     * @returns {Object} { stateSince, pauseSince } do agente
+     */
+    update(extension, state, at = this.nowSeconds()) {
+        const paused = state.paused ? 1 : 0;
+        const pausedReason = paused ? (state.pausedReason || '') : '';
+        let agent = this.agents.get(extension);
+
+        if (!agent) {
+            // Na primeira vez o início real do status é desconhecido; a pausa usa o lastPause do Asterisk
+            agent = {
+                stateSince: at,
+                pauseSince: paused ? (state.lastPause > 0 ? state.lastPause : at) : null,
+                transitions: []
+            };
+            this.agents.set(extension, agent);
+            this.push(agent, { at: at, status: state.status, paused: paused, pausedReason: pausedReason });
+            return this.getSince(extension);
+        }
+
+        const last = agent.transitions[agent.transitions.length - 1];
+        const statusChanged = last.status !== state.status;
+        const pauseChanged = last.paused !== paused || last.pausedReason !== pausedReason;
+
+        if (!statusChanged && !pauseChanged) {
+            return this.getSince(extension);
+        }
+
+        if (statusChanged) {
+            agent.stateSince = at;
+        }
+        if (pauseChanged) {
+            agent.pauseSince = paused ? at : null;
+        }
+
+        this.push(agent, { at: at, status: state.status, paused: paused, pausedReason: pausedReason });
+        return this.getSince(extension);
+    }
+
+    push(agent, transition) {
+        agent.transitions.push(transition);
+        if (agent.transitions.length > this.maxTransitions) {
+            agent.transitions.splice(0, agent.transitions.length - this.maxTransitions);
+        }
+    }
+
+    getSince(extension) {
+        const agent = this.agents.get(extension);
+        if (!agent) return { stateSince: null, pauseSince: null };
+
+        return {
+            stateSince: agent.stateSince,
+            pauseSince: agent.pauseSince
+        };
+    }
+
+    // Transições registradas do agente, da mais antiga para a mais recente
+    getTransitions(extension) {
+        const agent = this.agents.get(extension);
+        return agent ? agent.transitions.map(transition => ({ ...transition })) : [];
+    }
+
+    /**
+     * @description Soma o tempo do agente em cada status e em cada motivo de pausa no intervalo.
+     * Apenas o período coberto pelas transições mantidas é contabilizado
+     * @param {string} extension - Interface do agente
+     * @param {number} [from] - Início (epoch em segundos, padrão: primeira transição mantida)
+     * @param {number} [to] - Fim (epoch em segundos, padrão: agora pelo relógio)
+     * @returns {Object|null} null se o agente não tiver histórico
+     */
+    getTimeInState(extension, from, to = this.nowSeconds()) {
+        const agent = this.agents.get(extension);
+        if (!agent) return null;
+
+        const transitions = agent.transitions;
+        const start = from !== undefined && from !== null ? from : transitions[0].at;
+        const result = {
+            extension: extension,
+            from: start,
+            to: to,
+            total: 0,
+            paused: 0,
+            byStatus: {},
+            byPauseReason: {}
+        };
+
+        transitions.forEach((transition, index) => {
+            const next = transitions[index + 1];
+            const begin = Math.max(transition.at, start);
+            const end = Math.min(next ? next.at : to, to);
+            const duration = end - begin;
+            if (duration <= 0) return;
+
+            result.total += duration;
+            result.byStatus[transition.status] = (result.byStatus[transition.status] || 0) + duration;
+
+            if (transition.paused) {
+                result.paused += duration;
+                result.byPauseReason[transition.pausedReason] = (result.byPauseReason[transition.pausedReason] || 0) + duration;
+            }
+        });
+
+        return result;
+    }
+
+    clear() {
+        this.agents.clear();
+    }
+
+    nowSeconds() {
+        return Math.floor(this.clock() / 1000);
+    }
+}
+
+module.exports = AgentHistory;
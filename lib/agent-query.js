@@ -0,0 +1,162 @@
+/**
+ * @description Consulta de agentes por critérios
+ * @abstract
+ * Converte um objeto de critérios em um predicado sobre os agentes (como retornados por
+ * getAllAgents, com a lista queues), usado tanto nas consultas com ordenação e paginação
+ * quanto nas assinaturas de eventos filtradas.
+ */
+
+// Campos aceitos em sortBy, além dos campos numéricos e textuais do agente
+const VIRTUAL_SORT_FIELDS = {
+    idle: (agent, now) => getIdleSeconds(agent, now)
+};
+
+function toArray(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * @description Segundos desde a última atividade do agente: a última chamada ou, sem chamadas,
+ * o login ou o início do status atual. Agentes em chamada estão ociosos há 0 segundos
+ * @param {Object} agent - Agente ou membro
+ * @param {number} [now] - Instante atual (epoch em segundos)
+ * @returns {number}
+ */
+function getIdleSeconds(agent, now = Math.floor(Date.now() / 1000)) {
+    if (agent.inCall || agent.currentCall) return 0;
+
+    const since = agent.lastCall || agent.loginTime || agent.stateSince || now;
+    return Math.max(0, now - since);
+}
+
+/**
+ * @description Cria o predicado dos critérios. Critérios ausentes não filtram
+ * @param {Object} [criteria]
+ * @param {number|number[]} [criteria.status] - Status do dispositivo aceitos
+ * @param {string|string[]} [criteria.presence] - Presenças aceitas (available, on-call, ringing...)
+ * @param {boolean} [criteria.paused] - Pausado ou não
+ * @param {string|string[]} [criteria.pausedReason] - Motivos de pausa aceitos
+ * @param {string[]} [criteria.anyQueue] - Membro de pelo menos uma das filas
+ * @param {string[]} [criteria.allQueues] - Membro de todas as filas
+ * @param {Object} [criteria.penalty] - Faixa de penalidade { min, max }
+ * @param {string} [criteria.search] - Trecho do nome ou da interface, sem diferenciar maiúsculas
+ * @param {number} [criteria.idleFor] - Ocioso há mais de N segundos
+ * @param {string} [criteria.membership] - static ou dynamic
+ * @param {boolean} [criteria.inCall] - Em chamada ou não
+ * @param {boolean} [criteria.registered] - Endpoint do stateInterface registrado ou não
+ * @param {Function} [clock] - Fonte de tempo em ms (padrão: Date.now)
+ * @returns {Function} (agent) => boolean
+ */
+function compileFilter(criteria = {}, clock = Date.now) {
+    const checks = [];
+
+    if (criteria.status !== undefined) {
+        const statuses = toArray(criteria.status);
+        checks.push(agent => statuses.includes(agent.status));
+    }
+
+    if (criteria.presence !== undefined) {
+        const presences = toArray(criteria.presence);
+        checks.push(agent => presences.includes(agent.presence));
+    }
+
+    if (criteria.paused !== undefined) {
+        checks.push(agent => Boolean(agent.paused) === Boolean(criteria.paused));
+    }
+
+    if (criteria.pausedReason !== undefined) {
+        const reasons = toArray(criteria.pausedReason);
+        checks.push(agent => Boolean(agent.paused) && reasons.includes(agent.pausedReason));
+    }
+
+    if (criteria.anyQueue) {
+        checks.push(agent => criteria.anyQueue.some(queue => (agent.queues || []).includes(queue)));
+    }
+
+    if (criteria.allQueues) {
+        checks.push(agent => criteria.allQueues.every(queue => (agent.queues || []).includes(queue)));
+    }
+
+    if (criteria.penalty) {
+        const { min = -Infinity, max = Infinity } = criteria.penalty;
+        checks.push(agent => agent.penalty >= min && agent.penalty <= max);
+    }
+
+    if (criteria.search) {
+        const search = criteria.search.toLowerCase();
+        checks.push(agent => [agent.name, agent.extension]
+            .some(value => typeof value === 'string' && value.toLowerCase().includes(search)));
+    }
+
+    if (criteria.idleFor !== undefined) {
+        checks.push(agent => getIdleSeconds(agent, Math.floor(clock() / 1000)) > criteria.idleFor);
+    }
+
+    if (criteria.membership) {
+        checks.push(agent => agent.membership === criteria.membership);
+    }
+
+    if (criteria.inCall !== undefined) {
+        checks.push(agent => Boolean(agent.inCall) === Boolean(criteria.inCall));
+    }
+
+    if (criteria.registered !== undefined) {
+        checks.push(agent => agent.registered === Boolean(criteria.registered));
+    }
+
+    return (agent) => checks.every(check => check(agent));
+}
+
+/**
+ * @description Filtra, ordena e pagina os agentes
+ * @param {Object[]} agents - Agentes com a lista queues
+ * @param {Object} [criteria] - Critérios do compileFilter
+ * @param {Object} [options]
+ * @param {string} [options.sortBy] - Campo do agente ou 'idle'
+ * @param {string} [options.order='asc'] - asc ou desc
+ * @param {number} [options.offset=0]
+ * @param {number} [options.limit] - Sem limite quando omitido
+ * @param {Function} [options.clock] - Fonte de tempo em ms (padrão: Date.now)
+ * @returns {Object} { total, offset, limit, agents }
+ */
+function queryAgents(agents, criteria = {}, options = {}) {
+    const clock = options.clock || Date.now;
+    const filtered = agents.filter(compileFilter(criteria, clock));
+
+    if (options.sortBy) {
+        const now = Math.floor(clock() / 1000);
+        const getValue = VIRTUAL_SORT_FIELDS[options.sortBy]
+            ? (agent) => VIRTUAL_SORT_FIELDS[options.sortBy](agent, now)
+            : (agent) => agent[options.sortBy];
+        const direction = options.order === 'desc' ? -1 : 1;
+
+        filtered.sort((a, b) => {
+            const valueA = getValue(a);
+            const valueB = getValue(b);
+            if (valueA === valueB) return 0;
+            if (valueA === undefined || valueA === null) return 1;
+            if (valueB === undefined || valueB === null) return -1;
+
+            const result = typeof valueA === 'string'
+                ? valueA.localeCompare(valueB)
+                : valueA - valueB;
+            return result * direction;
+        });
+    }
+
+    const offset = options.offset || 0;
+    const limit = options.limit !== undefined ? options.limit : null;
+
+    return {
+        total: filtered.length,
+        offset: offset,
+        limit: limit,
+        agents: filtered.slice(offset, limit !== null ? offset + limit : undefined)
+    };
+}
+
+module.exports = {
+    compileFilter,
+    queryAgents,
+    getIdleSeconds
+};
@@ -0,0 +1,258 @@
+/**
+ * @description Regras de alerta sobre o estado das filas e dos agentes
+ * @abstract
+ * Cada regra compara uma métrica de uma fila ou de um agente com um limite. O alerta é levantado
+ * quando a comparação vale (por pelo menos `for` segundos) e só é encerrado quando a comparação com
+ * o limite de encerramento (clearThreshold) deixa de valer, o que evita alertas oscilando em torno do
+ * limite (histerese). Depois de levantado, o mesmo alerta só volta a ser levantado após `cooldown`
+ * segundos. Cada alerta é identificado pela regra e pelo alvo: a fila ou a interface do agente.
+ */
+const { ConfigError } = require('./errors');
+const { compileFilter, getIdleSeconds } = require('./agent-query');
+
+const SCOPES = ['queue', 'agent'];
+const OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Métricas de fila: (contexto, now) => número. O contexto tem queue e availableAgents
+const QUEUE_METRICS = {
+    callers: ({ queue }) => queue.callers.length,
+    longestWait: ({ queue }, now) => queue.callers.reduce((max, caller) => Math.max(max, now - caller.joinTime), 0),
+    members: ({ queue }) => queue.members.length,
+    availableAgents: ({ availableAgents }) => availableAgents,
+    pausedMembers: ({ queue }) => queue.members.filter(member => member.paused).length,
+    pausedRatio: ({ queue }) => queue.members.length > 0
+        ? queue.members.filter(member => member.paused).length / queue.members.length
+        : 0
+};
+
+// Métricas de agente: (agente, now) => número, ou null quando não se aplica
+const AGENT_METRICS = {
+    pausedFor: (agent, now) => agent.paused && agent.pauseSince ? now - agent.pauseSince : null,
+    stateFor: (agent, now) => agent.stateSince ? now - agent.stateSince : null,
+    idleFor: (agent, now) => getIdleSeconds(agent, now),
+    roundtripMs: (agent) => agent.roundtripMs !== undefined ? agent.roundtripMs : null
+};
+
+const METRICS = { queue: QUEUE_METRICS, agent: AGENT_METRICS };
+
+// Valida as regras, reunindo todos os problemas em um único ConfigError
+function validateRules(rules) {
+    const errors = [];
+    const ids = new Set();
+
+    rules.forEach((rule, index) => {
+        const path = `alerts.rules[${index}]`;
+        const scope = rule.scope || 'queue';
+
+        if (typeof rule.id !== 'string' || rule.id === '') {
+            errors.push(`${path}.id é obrigatório`);
+        } else if (ids.has(rule.id)) {
+            errors.push(`${path}.id repetido: ${rule.id}`);
+        }
+        ids.add(rule.id);
+
+        if (!SCOPES.includes(scope)) {
+            errors.push(`${path}.scope inválido: ${scope} (use ${SCOPES.join(', ')})`);
+        } else if (typeof rule.metric !== 'function' && !METRICS[scope][rule.metric]) {
+            errors.push(`${path}.metric inválido: ${rule.metric} (use ${Object.keys(METRICS[scope]).join(', ')} ou uma função)`);
+        }
+        if (!OPERATORS[rule.op]) {
+            errors.push(`${path}.op inválido: ${rule.op} (use ${Object.keys(OPERATORS).join(', ')})`);
+        }
+        for (const field of ['threshold', 'clearThreshold', 'for', 'cooldown']) {
+            const value = rule[field];
+            if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value))) {
+                errors.push(`${path}.${field} deve ser um número`);
+            }
+        }
+        if (typeof rule.threshold !== 'number') {
+            errors.push(`${path}.threshold é obrigatório`);
+        }
+        if (rule.severity !== undefined && !SEVERITIES.includes(rule.severity)) {
+            errors.push(`${path}.severity inválido: ${rule.severity} (use ${SEVERITIES.join(', ')})`);
+        }
+        for (const [conditionIndex, condition] of (Array.isArray(rule.when) ? rule.when : []).entries()) {
+            if (!OPERATORS[condition.op] || (typeof condition.metric !== 'function' && !(METRICS[scope] || {})[condition.metric])) {
+                errors.push(`${path}.when[${conditionIndex}] inválido: informe metric, op e value`);
+            }
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+}
+
+class AlertEngine {
+    /**
+     * @param {Object[]} rules - Regras de alerta
+     * @param {string} rules[].id - Identificador único da regra
+     * @param {string} [rules[].scope='queue'] - queue (avaliada por fila) ou agent (por agente)
+     * @param {string|Function} rules[].metric - Métrica (ex: callers, pausedRatio, pausedFor) ou (alvo, now) => número
+     * @param {string} rules[].op - Comparação com o limite: >, >=, <, <=, == ou !=
+     * @param {number} rules[].threshold - Limite para levantar o alerta
+     * @param {number} [rules[].clearThreshold] - Limite para encerrar o alerta (padrão: threshold)
+     * @param {number} [rules[].for=0] - Segundos que a condição precisa durar antes do alerta
+     * @param {number} [rules[].cooldown=0] - Segundos mínimos entre dois alertas da regra para o mesmo alvo
+     * @param {string[]} [rules[].queues] - Filas avaliadas (padrão: todas)
+     * @param {Object} [rules[].filter] - Critérios do queryAgents para os agentes avaliados (scope agent)
+     * @param {Object[]|Function} [rules[].when] - Condições adicionais: [{ metric, op, value }] ou (alvo, now) => boolean
+     * @param {string} [rules[].severity='warning'] - info, warning ou critical
+     * @param {Object} [options]
+     * @param {Function} [options.onRaise] - Recebe cada alerta levantado
+     * @param {Function} [options.onClear] - Recebe cada alerta encerrado
+     * @throws {ConfigError} Se alguma regra for inválida
+     */
+    constructor(rules = [], options = {}) {
+        validateRules(rules);
+
+        this.rules = rules.map(rule => ({
+            scope: 'queue',
+            for: 0,
+            cooldown: 0,
+            severity: 'warning',
+            ...rule,
+            clearThreshold: rule.clearThreshold !== undefined ? rule.clearThreshold : rule.threshold,
+            // Os critérios que dependem do tempo (idleFor) usam o instante da avaliação, que segue o relógio do cache
+            matches: rule.filter ? compileFilter(rule.filter, () => this.now * 1000) : () => true
+        }));
+        this.now = null; // Instante da avaliação em andamento (epoch em segundos)
+        this.onRaise = options.onRaise || (() => {});
+        this.onClear = options.onClear || (() => {});
+        this.states = new Map(); // "regra|alvo" -> { pendingSince, lastRaisedAt, alert }
+    }
+
+    getValue(scope, metric, target, now) {
+        const value = typeof metric === 'function' ? metric(target, now) : METRICS[scope][metric](target, now);
+        return typeof value === 'number' && !Number.isNaN(value) ? value : null;
+    }
+
+    checkConditions(rule, target, now) {
+        if (typeof rule.when === 'function') {
+            return Boolean(rule.when(target, now));
+        }
+        return (rule.when || []).every(condition => {
+            const value = this.getValue(rule.scope, condition.metric, target, now);
+            return value !== null && OPERATORS[condition.op](value, condition.value);
+        });
+    }
+
+    /**
+     * @description Avalia todas as regras e levanta ou encerra os alertas
+     * @param {Object} state
+     * @param {Object[]} state.queues - { queue, availableAgents } de cada fila
+     * @param {Object[]} state.agents - Agentes com a lista queues (como no getAllAgents)
+     * @param {number} now - Instante atual (epoch em segundos)
+     */
+    evaluate(state, now) {
+        const seen = new Set();
+        this.now = now;
+
+        for (const rule of this.rules) {
+            const targets = rule.scope === 'queue'
+                ? state.queues
+                    .filter(({ queue }) => !rule.queues || rule.queues.includes(queue.name))
+                    .map(context => ({ key: context.queue.name, target: context }))
+                : state.agents
+                    .filter(agent => (!rule.queues || rule.queues.some(queue => agent.queues.includes(queue))) && rule.matches(agent))
+                    .map(agent => ({ key: agent.extension, target: agent }));
+
+            for (const { key, target } of targets) {
+                const stateKey = `${rule.id}|${key}`;
+                seen.add(stateKey);
+                this.evaluateTarget(rule, stateKey, key, target, now);
+            }
+        }
+
+        // Alvos que deixaram de existir ou de atender ao filtro encerram os seus alertas
+        for (const [stateKey, targetState] of this.states.entries()) {
+            if (seen.has(stateKey)) continue;
+            if (targetState.alert) {
+                this.clearAlert(targetState, null, now);
+            }
+            this.states.delete(stateKey);
+        }
+    }
+
+    evaluateTarget(rule, stateKey, key, target, now) {
+        if (!this.states.has(stateKey)) {
+            this.states.set(stateKey, { pendingSince: null, lastRaisedAt: null, alert: null });
+        }
+        const targetState = this.states.get(stateKey);
+        const value = this.getValue(rule.scope, rule.metric, target, now);
+        const conditions = value !== null && this.checkConditions(rule, target, now);
+
+        if (targetState.alert) {
+            if (conditions && OPERATORS[rule.op](value, rule.clearThreshold)) {
+                targetState.alert.value = value;
+            } else {
+                this.clearAlert(targetState, value, now);
+            }
+            return;
+        }
+
+        if (!conditions || !OPERATORS[rule.op](value, rule.threshold)) {
+            targetState.pendingSince = null;
+            return;
+        }
+
+        if (targetState.pendingSince === null) {
+            targetState.pendingSince = now;
+        }
+        if (now - targetState.pendingSince < rule.for) return;
+        if (targetState.lastRaisedAt !== null && now - targetState.lastRaisedAt < rule.cooldown) return;
+
+        targetState.lastRaisedAt = now;
+        targetState.alert = {
+            id: stateKey,
+            ruleId: rule.id,
+            scope: rule.scope,
+            severity: rule.severity,
+            ...(rule.scope === 'queue' ? { queue: key } : { agent: key }),
+            metric: typeof rule.metric === 'function' ? (rule.metric.name || 'custom') : rule.metric,
+            op: rule.op,
+            threshold: rule.threshold,
+            value: value,
+            since: targetState.pendingSince,
+            raisedAt: now,
+            description: rule.description || null
+        };
+        this.onRaise({ ...targetState.alert });
+    }
+
+    clearAlert(targetState, value, now) {
+        const alert = targetState.alert;
+        targetState.alert = null;
+        targetState.pendingSince = null;
+        this.onClear({
+            ...alert,
+            value: value,
+            clearedAt: now,
+            duration: now - alert.raisedAt
+        });
+    }
+
+    // Alertas levantados no momento
+    getActive() {
+        return Array.from(this.states.values())
+            .filter(targetState => targetState.alert)
+            .map(targetState => ({ ...targetState.alert }));
+    }
+
+    clear() {
+        this.states.clear();
+    }
+}
+
+module.exports = AlertEngine;
+module.exports.QUEUE_METRICS = QUEUE_METRICS;
+module.exports.AGENT_METRICS = AGENT_METRICS;
+module.exports.OPERATORS = OPERATORS;
@@ -0,0 +1,264 @@
+/**
+ * @description Gravação do tráfego AMI bruto e reprodução em um cache sem conexão
+ * @abstract
+ * O AmiCapture grava, uma linha JSON por quadro, as mensagens recebidas pela conexão Nami e as ações
+ * enviadas, exatamente como trafegaram, com o instante relativo ao início da gravação. As credenciais
+ * (cabeçalhos como Secret e Username e o valor do secret configurado) são substituídas por *** antes da
+ * gravação, para que o arquivo possa ser anexado a um chamado ou usado como fixture de teste.
+ *
+ * O playCapture alimenta um AsteriskCache sem conexão com os quadros recebidos: os eventos vão para o
+ * handleEvent e as respostas do QueueStatus, CoreShowChannels, PJSIPShowEndpoints, PJSIPShowContacts e
+ * SIPpeers carregam o estado inicial. Os intervalos originais são mantidos ou comprimidos pelo speed,
+ * com as janelas do agrupamento de eventos comprimidas na mesma proporção, de modo que os eventos são
+ * agrupados como foram no campo.
+ *
+ * Formato do arquivo (t = ms desde o início da gravação):
+ *   { type: 'capture', version: 1, startedAt }    - Cabeçalho (startedAt = epoch em ms)
+ *   { t, dir: 'in', frame }                        - Mensagem recebida do Asterisk
+ *   { t, dir: 'out', frame }                       - Ação enviada ao Asterisk
+ */
+const fs = require('fs');
+const { Event } = require('nami');
+const { readJournal, toPlainMessage } = require('./journal');
+
+const CAPTURE_VERSION = 1;
+const REDACTED = '***';
+const EOL = '\r\n';
+
+// Cabeçalhos cujos valores nunca são gravados
+const REDACTED_HEADERS = ['secret', 'md5secret', 'remotesecret', 'password', 'username', 'accountid', 'key', 'authorization'];
+
+// Eventos das respostas de lista que carregam o estado inicial (os demais eventos vão para o handleEvent)
+const LIST_EVENTS = [
+    'QueueParams', 'QueueMember', 'QueueEntry', 'QueueStatusComplete',
+    'CoreShowChannel', 'CoreShowChannelsComplete',
+    'EndpointList', 'EndpointListComplete', 'ContactList', 'ContactListComplete',
+    'PeerEntry', 'PeerlistComplete'
+];
+
+class AmiCapture {
+    /**
+     * @param {Object} options
+     * @param {string} [options.path] - Arquivo da gravação (sobrescrito)
+     * @param {Object} [options.stream] - Ou qualquer stream gravável
+     * @param {string[]} [options.redact] - Cabeçalhos adicionais cujos valores são ocultados
+     * @param {string[]} [options.secrets] - Valores ocultados em qualquer parte dos quadros (ex: o secret do AMI)
+     * @param {Function} [options.onError] - Chamada com o erro do stream (ex: diretório inexistente);
+     * após o erro a gravação é interrompida, sem afetar a conexão
+     */
+    constructor(options = {}) {
+        if (!options.path && !options.stream) {
+            throw new Error('Informe o path ou o stream da gravação');
+        }
+
+        this.ownsStream = !options.stream;
+        this.stream = options.stream || fs.createWriteStream(options.path);
+        this.error = null;
+        this.stream.on('error', (error) => {
+            if (this.error) return;
+            this.error = error;
+            if (options.onError) {
+                options.onError(error);
+            }
+        });
+        this.redactedHeaders = REDACTED_HEADERS.concat((options.redact || []).map(header => header.toLowerCase()));
+        this.secrets = (options.secrets || []).filter(secret => typeof secret === 'string' && secret !== '');
+        this.startedAt = Date.now();
+
+        this.write({ type: 'capture', version: CAPTURE_VERSION, startedAt: this.startedAt });
+    }
+
+    /**
+     * @description Passa a gravar as mensagens recebidas e as ações enviadas por uma conexão Nami
+     * @param {Nami} nami
+     */
+    attach(nami) {
+        nami.on('namiRawMessage', (frame) => this.record('in', frame));
+
+        const send = nami.send;
+        nami.send = (action, callback) => {
+            this.record('out', action.marshall());
+            return send.call(nami, action, callback);
+        };
+    }
+
+    /**
+     * @description Grava um quadro AMI
+     * @param {string} direction - 'in' (recebido) ou 'out' (enviado)
+     * @param {string} frame - Mensagem AMI com as linhas separadas por \r\n
+     */
+    record(direction, frame) {
+        this.write({
+            t: Date.now() - this.startedAt,
+            dir: direction,
+            frame: this.redactFrame(frame.replace(/(\r\n)+$/, ''))
+        });
+    }
+
+    // Oculta os valores dos cabeçalhos sensíveis e os secrets conhecidos
+    redactFrame(frame) {
+        let redacted = frame.split(EOL).map(line => {
+            const separator = line.indexOf(':');
+            if (separator === -1) return line;
+            const header = line.substring(0, separator);
+            return this.redactedHeaders.includes(header.trim().toLowerCase()) ? `${header}: ${REDACTED}` : line;
+        }).join(EOL);
+
+        for (const secret of this.secrets) {
+            redacted = redacted.split(secret).join(REDACTED);
+        }
+        return redacted;
+    }
+
+    write(entry) {
+        if (this.error) return;
+        this.stream.write(JSON.stringify(entry) + '\n');
+    }
+
+    // Encerra o arquivo da gravação (streams recebidos nas opções continuam abertos)
+    close() {
+        return new Promise((resolve) => {
+            if (!this.ownsStream || this.error || this.stream.writableEnded) {
+                resolve();
+                return;
+            }
+            this.stream.end(() => resolve());
+        });
+    }
+}
+
+/**
+ * @description Reproduz uma gravação do tráfego AMI em um AsteriskCache sem conexão com o Asterisk
+ * @param {string|Object[]|AsyncIterable<Object>} source - Arquivo da gravação ou lista de entradas
+ * @param {Object} [options]
+ * @param {number} [options.speed=1] - Aceleração: 1 mantém os intervalos originais, 10 os divide por 10
+ * (as janelas do agrupamento de eventos são divididas na mesma proporção durante a reprodução)
+ * @param {number} [options.maxGap] - Intervalo máximo entre dois quadros em ms do tempo original. Valores
+ * acima da maior janela e do maxWait do agrupamento encurtam os períodos ociosos sem alterar os grupos
+ * @param {number} [options.until] - Para antes do primeiro quadro posterior a este instante (ms desde o início)
+ * @param {AsteriskCache} [options.cache] - Cache de destino (padrão: um novo cache com options.config)
+ * @param {Object} [options.config] - Configuração do novo cache (ex: logger)
+ * @param {Function} [options.onFrame] - Chamada após cada quadro recebido: (entry, cache)
+ * @returns {Promise<AsteriskCache>} Cache com o estado reconstruído; chame destroy() ao terminar
+ */
+async function playCapture(source, options = {}) {
+    // Importado aqui para evitar dependência circular com o index
+    const AsteriskCache = require('../index');
+
+    const speed = options.speed !== undefined ? options.speed : 1;
+    if (typeof speed !== 'number' || !(speed > 0)) {
+        throw new Error(`Velocidade inválida: ${speed} (use um número maior que 0)`);
+    }
+    const maxGap = options.maxGap !== undefined ? options.maxGap : Infinity;
+
+    const cache = options.cache || new AsteriskCache({ offline: true, ...options.config });
+    const entries = typeof source === 'string' ? readJournal(source) : source;
+    const coalescer = cache.coalescer;
+    const original = { window: coalescer.window, windows: coalescer.windows, maxWait: coalescer.maxWait };
+    const lists = new Map(); // ActionID -> eventos da resposta de lista
+    const endpointLists = { endpoints: null, contacts: null, peers: null };
+    let startedAt = null;
+    let currentTime = null;
+    let previousTime = null;
+
+    // O tempo do cache segue a gravação, para que joinTime, ringStart e stateSince sejam os originais
+    cache.clock = () => (currentTime !== null ? currentTime : Date.now());
+    scaleCoalescer(coalescer, original, speed);
+
+    try {
+        for await (const entry of entries) {
+            if (entry.type === 'capture') {
+                if (entry.version !== CAPTURE_VERSION) {
+                    throw new Error(`Versão de gravação não suportada: ${entry.version}`);
+                }
+                startedAt = entry.startedAt;
+                continue;
+            }
+            if (entry.dir !== 'in') continue;
+            if (options.until !== undefined && entry.t > options.until) break;
+
+            if (previousTime !== null && entry.t > previousTime) {
+                const gap = Math.min(entry.t - previousTime, maxGap) / speed;
+                await new Promise(resolve => setTimeout(resolve, gap));
+            }
+            previousTime = entry.t;
+            currentTime = (startedAt !== null ? startedAt : 0) + entry.t;
+
+            await playFrame(cache, entry.frame, lists, endpointLists);
+
+            if (options.onFrame) {
+                options.onFrame(entry, cache);
+            }
+        }
+
+        // Os grupos ainda abertos no fim da gravação são entregues ao terminar
+        cache.flushEvents();
+    } finally {
+        Object.assign(coalescer, original);
+    }
+
+    return cache;
+}
+
+function scaleCoalescer(coalescer, original, speed) {
+    coalescer.window = original.window / speed;
+    coalescer.maxWait = original.maxWait / speed;
+    coalescer.windows = {};
+    for (const [eventType, window] of Object.entries(original.windows)) {
+        coalescer.windows[eventType] = window / speed;
+    }
+}
+
+async function playFrame(cache, frame, lists, endpointLists) {
+    // As respostas (Response: Success...) não alteram o cache; o resultado das listas chega como evento
+    if (!/^Event: /.test(frame)) return;
+
+    const event = new Event.Event(frame);
+
+    if (event.actionid !== undefined && LIST_EVENTS.includes(event.event)) {
+        if (!lists.has(event.actionid)) lists.set(event.actionid, []);
+        lists.get(event.actionid).push(event);
+        if (event.event.indexOf('Complete') !== -1) {
+            applyList(cache, event.event, lists.get(event.actionid), endpointLists);
+            lists.delete(event.actionid);
+        }
+        return;
+    }
+
+    // A ressincronização disparada pelo FullyBooted está gravada nas respostas de lista seguintes
+    if (event.event !== 'FullyBooted') {
+        await cache.handleEvent(event);
+    }
+}
+
+function applyList(cache, completeEvent, events, endpointLists) {
+    const items = (eventName) => events.filter(event => event.event === eventName).map(event => toPlainMessage(event));
+
+    switch (completeEvent) {
+        case 'QueueStatusComplete':
+            cache.applyQueues(cache.parseQueueStatus(events));
+            break;
+        case 'CoreShowChannelsComplete':
+            cache.applyChannels(items('CoreShowChannel'));
+            break;
+        // Os endpoints PJSIP são aplicados com a lista e de novo com os contatos, quando gravados
+        case 'EndpointListComplete':
+            endpointLists.endpoints = items('EndpointList');
+            cache.applyEndpoints({ endpoints: endpointLists.endpoints, contacts: null, peers: null });
+            break;
+        case 'ContactListComplete':
+            if (endpointLists.endpoints) {
+                cache.applyEndpoints({ endpoints: endpointLists.endpoints, contacts: items('ContactList'), peers: null });
+            }
+            break;
+        case 'PeerlistComplete':
+            cache.applyEndpoints({ endpoints: null, contacts: null, peers: items('PeerEntry') });
+            break;
+    }
+}
+
+module.exports = {
+    AmiCapture,
+    playCapture,
+    REDACTED_HEADERS
+};
@@ -0,0 +1,207 @@
+/**
+ * @description Revisões do estado das filas e alterações incrementais
+ * @abstract
+ * A cada publicação, as filas alteradas são copiadas para uma estrutura indexada (filas por nome, membros
+ * por interface e chamadores por canal), comparadas com a cópia anterior e, se houver diferenças, o estado
+ * recebe uma nova revisão com a lista mínima de operações JSON Patch (RFC 6902: add, remove e replace) que
+ * transforma a cópia anterior na nova. Apenas as filas informadas na publicação são copiadas e comparadas;
+ * as demais são reaproveitadas da revisão anterior. As cópias publicadas são congeladas e podem ser
+ * entregues sem risco de alteração; as últimas revisões ficam guardadas para que um cliente que perdeu
+ * algumas alterações se atualize sem recarregar todo o estado.
+ *
+ * Formato da cópia (as operações se aplicam a ele):
+ *   { queues: { [nome]: { ...parâmetros, members: { [interface]: membro }, callers: { [canal]: chamador } } } }
+ */
+
+const DEFAULT_MAX_REVISIONS = 1000;
+
+// Escapa um segmento do caminho JSON Pointer (RFC 6901)
+function escapePointer(segment) {
+    return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Cópia em JSON (campos undefined são omitidos, como na serialização)
+function toJson(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function indexBy(items, key) {
+    const indexed = {};
+    for (const item of items || []) {
+        indexed[item[key]] = toJson(item);
+    }
+    return indexed;
+}
+
+/**
+ * @description Estrutura indexada das filas, usada nas revisões e no getSnapshot
+ * @param {Iterable<Object>} queues - Filas do cache
+ * @returns {Object} { queues: { [nome]: fila } }
+ */
+function toIndexedState(queues) {
+    const indexed = {};
+    for (const queue of queues) {
+        indexed[queue.name] = toIndexedQueue(queue);
+    }
+    return { queues: indexed };
+}
+
+function toIndexedQueue(queue) {
+    const { members, callers, ...params } = queue;
+    return {
+        ...toJson(params),
+        members: indexBy(members, 'extension'),
+        callers: indexBy(callers, 'channel')
+    };
+}
+
+/**
+ * @description Operações JSON Patch que transformam before em after. Objetos são comparados campo a
+ * campo; listas e valores simples são substituídos por inteiro quando diferentes
+ * @param {Object} before
+ * @param {Object} after
+ * @param {string} [path='']
+ * @param {Object[]} [patch=[]]
+ * @returns {Object[]} patch
+ */
+function diff(before, after, path = '', patch = []) {
+    for (const key of Object.keys(before)) {
+        if (!(key in after)) {
+            patch.push({ op: 'remove', path: `${path}/${escapePointer(key)}` });
+        }
+    }
+
+    for (const [key, value] of Object.entries(after)) {
+        const childPath = `${path}/${escapePointer(key)}`;
+        if (!(key in before)) {
+            patch.push({ op: 'add', path: childPath, value: value });
+        } else if (isPlainObject(before[key]) && isPlainObject(value)) {
+            diff(before[key], value, childPath, patch);
+        } else if (JSON.stringify(before[key]) !== JSON.stringify(value)) {
+            patch.push({ op: 'replace', path: childPath, value: value });
+        }
+    }
+
+    return patch;
+}
+
+function deepFreeze(value) {
+    if (typeof value === 'object' && value !== null && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+class ChangeFeed {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxRevisions=1000] - Revisões guardadas para o getChangesSince
+     */
+    constructor(options = {}) {
+        this.maxRevisions = options.maxRevisions || DEFAULT_MAX_REVISIONS;
+        this.revision = 0;
+        this.state = deepFreeze({ queues: {} });
+        this.updatedAt = null;
+        this.history = []; // Últimas revisões: { revision, timestamp, patch }
+    }
+
+    /**
+     * @description Compara as filas com a última revisão e registra uma nova se houver diferenças
+     * @param {Iterable<Object>} queues - Filas do cache
+     * @param {number} timestamp - Instante da publicação (epoch em ms)
+     * @param {string[]} [queueNames] - Filas que podem ter mudado (incluindo as removidas); as demais não são
+     * copiadas nem comparadas. Sem a lista, todas as filas são comparadas
+     * @returns {Object|null} { revision, timestamp, patch } ou null se nada mudou
+     */
+    publish(queues, timestamp, queueNames) {
+        const current = new Map();
+        for (const queue of queues) {
+            if (!queueNames || queueNames.includes(queue.name)) {
+                current.set(queue.name, queue);
+            }
+        }
+
+        const patch = [];
+        let nextQueues;
+
+        if (queueNames) {
+            nextQueues = { ...this.state.queues };
+        } else {
+            // Comparação completa: as filas que deixaram de existir são removidas primeiro
+            nextQueues = {};
+            for (const queueName of Object.keys(this.state.queues)) {
+                if (!current.has(queueName)) {
+                    patch.push({ op: 'remove', path: `/queues/${escapePointer(queueName)}` });
+                }
+            }
+        }
+
+        for (const queueName of queueNames ? new Set(queueNames) : current.keys()) {
+            const queue = current.get(queueName);
+            const before = this.state.queues[queueName];
+            const path = `/queues/${escapePointer(queueName)}`;
+
+            if (!queue) {
+                if (before) {
+                    patch.push({ op: 'remove', path: path });
+                    delete nextQueues[queueName];
+                }
+                continue;
+            }
+
+            const indexed = toIndexedQueue(queue);
+            const operations = patch.length;
+            if (before) {
+                diff(before, indexed, path, patch);
+            } else {
+                patch.push({ op: 'add', path: path, value: indexed });
+            }
+            // Filas sem diferenças mantêm a cópia congelada anterior
+            nextQueues[queueName] = patch.length > operations ? indexed : before;
+        }
+
+        if (patch.length === 0) return null;
+
+        this.revision++;
+        this.state = deepFreeze({ queues: nextQueues });
+        this.updatedAt = timestamp;
+
+        const record = deepFreeze({ revision: this.revision, timestamp: timestamp, patch: patch });
+        this.history.push(record);
+        if (this.history.length > this.maxRevisions) {
+            this.history.shift();
+        }
+        return record;
+    }
+
+    // Cópia congelada da última revisão
+    getSnapshot() {
+        return { revision: this.revision, timestamp: this.updatedAt, queues: this.state.queues };
+    }
+
+    /**
+     * @description Revisões posteriores à informada
+     * @param {number} revision - Última revisão conhecida pelo cliente
+     * @returns {Object[]|null} Revisões em ordem, ou null se as revisões guardadas não alcançam a informada
+     * (o cliente deve recarregar com o getSnapshot)
+     */
+    getChangesSince(revision) {
+        if (!Number.isInteger(revision) || revision < 0 || revision > this.revision) return null;
+        if (revision === this.revision) return [];
+
+        const oldest = this.history.length > 0 ? this.history[0].revision : this.revision + 1;
+        if (revision < oldest - 1) return null;
+
+        return this.history.filter(record => record.revision > revision);
+    }
+}
+
+module.exports = ChangeFeed;
+module.exports.diff = diff;
+module.exports.toIndexedState = toIndexedState;
+module.exports.escapePointer = escapePointer;
@@ -0,0 +1,289 @@
+/**
+ * @description Cache dos canais ativos e das chamadas em andamento
+ * @abstract
+ * Mantém os canais do Asterisk carregados pelo CoreShowChannels e atualizados pelos eventos
+ * Newchannel, Newstate, NewConnectedLine, DialBegin, DialEnd, BridgeEnter, BridgeLeave e Hangup,
+ * com as pontes (bridges) e as relações de discagem entre os canais. Cada canal guarda a interface
+ * de origem (SIP/1001-00000001 -> SIP/1001), usada para relacionar os canais aos membros das filas
+ * pelo stateInterface. Os instantes são epochs em segundos, como nos membros.
+ */
+
+// Estados de canal do Asterisk (enum ast_channel_state)
+const CHANNEL_STATES = {
+    0: 'Down',
+    1: 'Rsrvd',
+    2: 'OffHook',
+    3: 'Dialing',
+    4: 'Ring',
+    5: 'Ringing',
+    6: 'Up',
+    7: 'Busy',
+    8: 'Dialing Offhook',
+    9: 'Pre-ring'
+};
+
+const STATE_UP = 6;
+
+/**
+ * @description Interface de origem do canal: remove o sufixo único do nome do canal
+ * (SIP/1001-0000001a -> SIP/1001, Local/1001@from-queue-00000012;1 -> Local/1001@from-queue)
+ * @param {string} channel - Nome do canal
+ * @returns {string}
+ */
+function getChannelInterface(channel) {
+    return String(channel || '').replace(/;\d+$/, '').replace(/-[0-9a-f]+$/i, '');
+}
+
+// Converte a duração do CoreShowChannel (HH:MM:SS ou segundos) em segundos
+function parseDuration(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const parts = String(value).split(':').map(part => parseInt(part) || 0);
+    return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+class ChannelCache {
+    constructor() {
+        this.channels = new Map(); // nome do canal -> canal
+        this.bridges = new Map(); // bridgeId -> Set de nomes de canais
+    }
+
+    // Monta o canal a partir do CoreShowChannel ou do Newchannel
+    buildChannel(event, now) {
+        const state = parseInt(event.channelstate);
+        const duration = parseDuration(event.duration);
+        return {
+            channel: event.channel,
+            interface: getChannelInterface(event.channel),
+            uniqueId: event.uniqueid,
+            linkedId: event.linkedid || event.uniqueid,
+            state: state,
+            stateDesc: event.channelstatedesc || CHANNEL_STATES[state] || '',
+            callerIdNum: event.calleridnum || '',
+            callerIdName: event.calleridname || '',
+            connectedLineNum: event.connectedlinenum || '',
+            connectedLineName: event.connectedlinename || '',
+            context: event.context || '',
+            exten: event.exten || '',
+            application: event.application || null,
+            createdAt: now - duration,
+            answeredAt: state === STATE_UP ? now - duration : null,
+            bridgeId: event.bridgeid || null,
+            dialedBy: null, // Canal que discou para este (DialBegin)
+            dialing: [], // Canais discados por este, ainda sem resposta
+            dialStatus: null // Resultado do último DialEnd deste canal como destino
+        };
+    }
+
+    /**
+     * @description Substitui o conteúdo pelos canais do CoreShowChannels
+     * @param {Object[]} events - Eventos CoreShowChannel (chaves em minúsculas, como no Nami)
+     * @param {number} now - Instante atual (epoch em segundos)
+     */
+    load(events, now) {
+        this.channels.clear();
+        this.bridges.clear();
+
+        for (const event of events) {
+            const channel = this.buildChannel(event, now);
+            this.channels.set(channel.channel, channel);
+            if (channel.bridgeId) {
+                this.joinBridge(channel, channel.bridgeId);
+            }
+        }
+    }
+
+    /**
+     * @description Aplica um evento de canal
+     * @param {Object} event - Evento AMI (chaves em minúsculas)
+     * @param {number} now - Instante atual (epoch em segundos)
+     * @returns {Object|null} { type: 'added' | 'changed' | 'removed', channel, peers? } ou null se o evento
+     * não alterou nenhum canal conhecido
+     */
+    handle(event, now) {
+        switch (event.event) {
+            case 'Newchannel': {
+                const channel = this.buildChannel({ ...event, duration: 0 }, now);
+                this.channels.set(channel.channel, channel);
+                return { type: 'added', channel: channel };
+            }
+            case 'Newstate':
+            case 'NewConnectedLine':
+            case 'NewCallerid': {
+                const channel = this.channels.get(event.channel);
+                if (!channel) return null;
+
+                const state = parseInt(event.channelstate);
+                if (!Number.isNaN(state)) {
+                    if (state === STATE_UP && channel.state !== STATE_UP) {
+                        channel.answeredAt = now;
+                    }
+                    channel.state = state;
+                    channel.stateDesc = event.channelstatedesc || CHANNEL_STATES[state] || '';
+                }
+                for (const [field, key] of [['callerIdNum', 'calleridnum'], ['callerIdName', 'calleridname'],
+                    ['connectedLineNum', 'connectedlinenum'], ['connectedLineName', 'connectedlinename']]) {
+                    if (event[key] !== undefined) channel[field] = event[key];
+                }
+                return { type: 'changed', channel: channel };
+            }
+            case 'DialBegin': {
+                const destination = this.channels.get(event.destchannel);
+                const source = event.channel ? this.channels.get(event.channel) : null;
+                if (!destination) return null;
+
+                destination.dialedBy = source ? source.channel : null;
+                destination.dialStatus = null;
+                if (source && !source.dialing.includes(destination.channel)) {
+                    source.dialing.push(destination.channel);
+                }
+                return { type: 'changed', channel: destination };
+            }
+            case 'DialEnd': {
+                const destination = this.channels.get(event.destchannel);
+                if (!destination) return null;
+
+                destination.dialStatus = event.dialstatus || null;
+                const source = destination.dialedBy ? this.channels.get(destination.dialedBy) : null;
+                if (source) {
+                    source.dialing = source.dialing.filter(name => name !== destination.channel);
+                }
+                return { type: 'changed', channel: destination };
+            }
+            case 'BridgeEnter': {
+                const channel = this.channels.get(event.channel);
+                if (!channel) return null;
+
+                this.joinBridge(channel, event.bridgeuniqueid);
+                return { type: 'changed', channel: channel };
+            }
+            case 'BridgeLeave': {
+                const channel = this.channels.get(event.channel);
+                if (!channel) return null;
+
+                this.leaveBridge(channel);
+                return { type: 'changed', channel: channel };
+            }
+            case 'Hangup': {
+                const channel = this.channels.get(event.channel);
+                if (!channel) return null;
+
+                this.leaveBridge(channel);
+                this.channels.delete(channel.channel);
+                for (const other of this.channels.values()) {
+                    if (other.dialedBy === channel.channel) other.dialedBy = null;
+                    other.dialing = other.dialing.filter(name => name !== channel.channel);
+                }
+                return {
+                    type: 'removed',
+                    channel: { ...channel, cause: parseInt(event.cause) || 0, causeText: event.cause_txt || '' }
+                };
+            }
+            default:
+                return null;
+        }
+    }
+
+    joinBridge(channel, bridgeId) {
+        if (channel.bridgeId && channel.bridgeId !== bridgeId) {
+            this.leaveBridge(channel);
+        }
+        channel.bridgeId = bridgeId;
+        if (!this.bridges.has(bridgeId)) {
+            this.bridges.set(bridgeId, new Set());
+        }
+        this.bridges.get(bridgeId).add(channel.channel);
+    }
+
+    leaveBridge(channel) {
+        const members = channel.bridgeId ? this.bridges.get(channel.bridgeId) : null;
+        if (members) {
+            members.delete(channel.channel);
+            if (members.size === 0) {
+                this.bridges.delete(channel.bridgeId);
+            }
+        }
+        channel.bridgeId = null;
+    }
+
+    // Canais ativos (cópias)
+    getChannels() {
+        return Array.from(this.channels.values()).map(channel => this.copy(channel));
+    }
+
+    getChannel(name) {
+        const channel = this.channels.get(name);
+        return channel ? this.copy(channel) : null;
+    }
+
+    // Canais na mesma ponte do canal ou, sem ponte, ligados a ele pela discagem
+    getPeers(name) {
+        const channel = this.channels.get(name);
+        if (!channel) return [];
+
+        const peers = new Set();
+        if (channel.bridgeId) {
+            for (const other of this.bridges.get(channel.bridgeId) || []) {
+                if (other !== name) peers.add(other);
+            }
+        } else {
+            if (channel.dialedBy) peers.add(channel.dialedBy);
+            channel.dialing.forEach(other => peers.add(other));
+        }
+
+        return Array.from(peers)
+            .filter(other => this.channels.has(other))
+            .map(other => this.copy(this.channels.get(other)));
+    }
+
+    // Pontes ativas com os canais de cada uma
+    getBridges() {
+        return Array.from(this.bridges.entries()).map(([bridgeId, channels]) => ({
+            bridgeId: bridgeId,
+            channels: Array.from(channels)
+        }));
+    }
+
+    /**
+     * @description Chamadas da interface: cada canal ativo dela com os canais do outro lado
+     * @param {string} iface - Interface (ex: SIP/1001), sem diferenciar maiúsculas
+     * @param {number} now - Instante atual (epoch em segundos)
+     * @returns {Object[]} { channel, peers, remoteNum, remoteName, answered, duration, bridgeId }
+     */
+    getCallsForInterface(iface, now) {
+        const wanted = String(iface || '').toLowerCase();
+        const calls = [];
+
+        for (const channel of this.channels.values()) {
+            if (channel.interface.toLowerCase() !== wanted) continue;
+
+            calls.push({
+                channel: this.copy(channel),
+                peers: this.getPeers(channel.channel),
+                remoteNum: channel.connectedLineNum,
+                remoteName: channel.connectedLineName,
+                answered: channel.state === STATE_UP,
+                duration: Math.max(0, now - channel.createdAt),
+                bridgeId: channel.bridgeId
+            });
+        }
+
+        return calls;
+    }
+
+    copy(channel) {
+        return { ...channel, dialing: [...channel.dialing] };
+    }
+
+    clear() {
+        this.channels.clear();
+        this.bridges.clear();
+    }
+
+    get size() {
+        return this.channels.size;
+    }
+}
+
+module.exports = ChannelCache;
+module.exports.CHANNEL_STATES = CHANNEL_STATES;
+module.exports.getChannelInterface = getChannelInterface;
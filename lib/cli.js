@@ -0,0 +1,409 @@
+/**
+ * @description Ferramenta de linha de comando do asterisk-cache
+ * @abstract
+ * Conecta ao AMI, aguarda a primeira sincronização das filas e executa um subcomando: consultas
+ * (queues, agents, agent), ações (pause, unpause, add, remove) ou o acompanhamento dos eventos (watch).
+ * A configuração vem das opções, das variáveis de ambiente ASTERISK_* e de um arquivo JSON ou JS, nessa
+ * ordem de prioridade. A saída é uma tabela ou, com --json, JSON; o código de saída indica o tipo de falha.
+ */
+const path = require('path');
+const { parseArgs } = require('util');
+const AsteriskCache = require('../index');
+const { STREAM_EVENTS } = require('./server');
+
+// Códigos de saída
+const EXIT_CODES = {
+    OK: 0,
+    ACTION_FAILED: 1, // O Asterisk recusou a ação
+    USAGE: 2, // Subcomando, opção ou configuração inválidos
+    CONNECTION: 3, // Falha ao conectar ou conexão perdida
+    NOT_FOUND: 4, // Fila ou agente inexistente
+    TIMEOUT: 5 // O Asterisk não respondeu à ação
+};
+
+// Código de saída pelo code dos erros do cache
+const ERROR_EXIT_CODES = {
+    AMI_ERROR: EXIT_CODES.ACTION_FAILED,
+    INVALID_CONFIG: EXIT_CODES.USAGE,
+    NOT_CONNECTED: EXIT_CODES.CONNECTION,
+    ACTION_TIMEOUT: EXIT_CODES.TIMEOUT
+};
+
+// Variáveis de ambiente -> campos da configuração
+const ENV_CONFIG = {
+    ASTERISK_HOST: 'host',
+    ASTERISK_PORT: 'port',
+    ASTERISK_USERNAME: 'username',
+    ASTERISK_SECRET: 'secret'
+};
+
+const OPTIONS = {
+    host: { type: 'string' },
+    port: { type: 'string' },
+    username: { type: 'string', short: 'u' },
+    secret: { type: 'string' },
+    config: { type: 'string', short: 'c' },
+    json: { type: 'boolean' },
+    queue: { type: 'string', short: 'q' },
+    available: { type: 'boolean' },
+    reason: { type: 'string', short: 'r' },
+    name: { type: 'string' },
+    penalty: { type: 'string' },
+    paused: { type: 'boolean' },
+    events: { type: 'string' },
+    limit: { type: 'string' },
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const USAGE = `Uso: asterisk-cache <comando> [opções]
+
+Consultas:
+  queues                                 Filas com chamadores, membros e agentes disponíveis
+  agents [--queue F] [--available]       Agentes (de uma fila, apenas os disponíveis)
+  agent <interface>                      Um agente com suas filas
+
+Ações:
+  pause <interface> [--reason M] [--queue F]
+  unpause <interface> [--queue F]
+  add <interface> --queue F [--name N] [--penalty P] [--paused]
+  remove <interface> --queue F
+
+Eventos:
+  watch [--queue F] [--events e1,e2] [--limit N]
+
+Conexão (prioridade: opções, variáveis de ambiente, arquivo):
+  --host, --port, --username, --secret   ou ASTERISK_HOST, ASTERISK_PORT, ASTERISK_USERNAME, ASTERISK_SECRET
+  -c, --config <arquivo>                 Configuração em JSON ou JS (ou ASTERISK_CACHE_CONFIG)
+
+Saída:
+  --json                                 JSON em vez de tabela (watch: uma linha JSON por evento)
+  -v, --verbose                          Logs do cache no stderr
+
+Códigos de saída: 0 sucesso, 1 ação recusada pelo Asterisk, 2 uso ou configuração inválidos,
+3 falha de conexão, 4 fila ou agente não encontrado, 5 timeout da ação
+`;
+
+class UsageError extends Error {}
+
+class NotFoundError extends Error {}
+
+/**
+ * @description Monta a configuração do cache: arquivo, depois variáveis de ambiente, depois opções
+ * @param {Object} values - Opções da linha de comando
+ * @param {Object} env - Variáveis de ambiente
+ * @returns {Object} Configuração do AsteriskCache
+ */
+function loadConfig(values, env) {
+    const file = values.config || env.ASTERISK_CACHE_CONFIG;
+    let config = {};
+
+    if (file) {
+        try {
+            config = { ...require(path.resolve(file)) };
+        } catch (error) {
+            throw new UsageError(`Não foi possível ler a configuração ${file}: ${error.message}`);
+        }
+    }
+
+    for (const [variable, field] of Object.entries(ENV_CONFIG)) {
+        if (env[variable] !== undefined && env[variable] !== '') {
+            config[field] = env[variable];
+        }
+    }
+    for (const field of Object.values(ENV_CONFIG)) {
+        if (values[field] !== undefined) {
+            config[field] = values[field];
+        }
+    }
+
+    if (typeof config.port === 'string' && /^\d+$/.test(config.port)) {
+        config.port = parseInt(config.port);
+    }
+
+    return {
+        logLevel: values.verbose ? 'debug' : 'silent',
+        ...config,
+        // A ferramenta precisa dos erros tipados das ações e não deve tentar reconectar
+        actionMode: 'throw',
+        handleSignals: false,
+        reconnect: { ...config.reconnect, maxAttempts: 1 },
+        stats: { ...config.stats, interval: 0 }
+    };
+}
+
+// Conecta e aguarda a primeira sincronização das filas; rejeita no primeiro erro de conexão ou se o
+// QueueStatus inicial falhar (o código do erro da ação, como AMI_ERROR ou ACTION_TIMEOUT, é mantido)
+function connect(cache) {
+    return new Promise((resolve, reject) => {
+        const onConnected = () => {
+            cache.removeListener('connectionError', onError);
+            // Com a sincronização já em andamento, o updateQueues devolve a mesma consulta
+            cache.updateQueues().then(() => resolve(), (error) => {
+                reject(Object.assign(new Error(`Falha ao sincronizar as filas: ${error.message}`), { code: error.code }));
+            });
+        };
+        const onError = (error) => {
+            cache.removeListener('connected', onConnected);
+            reject(Object.assign(new Error(`Falha ao conectar ao Asterisk: ${error.message}`), { code: 'NOT_CONNECTED' }));
+        };
+        cache.once('connected', onConnected);
+        cache.once('connectionError', onError);
+        cache.connect().catch(onError);
+    });
+}
+
+function parseInteger(value, option) {
+    if (value === undefined) return undefined;
+    if (!/^\d+$/.test(value)) {
+        throw new UsageError(`--${option} deve ser um inteiro`);
+    }
+    return parseInt(value);
+}
+
+function requireArgument(value, description) {
+    if (!value) {
+        throw new UsageError(`Informe ${description}`);
+    }
+    return value;
+}
+
+/**
+ * @description Alinha as linhas em colunas
+ * @param {Object[]} rows - Linhas
+ * @param {Array<[string, Function]>} columns - [título, (linha) => valor]
+ * @returns {string}
+ */
+function formatTable(rows, columns) {
+    const cells = [columns.map(([title]) => title)]
+        .concat(rows.map(row => columns.map(([, value]) => {
+            const cell = value(row);
+            return cell === null || cell === undefined ? '' : String(cell);
+        })));
+    const widths = columns.map((column, index) => Math.max(...cells.map(line => line[index].length)));
+
+    return cells
+        .map(line => line.map((cell, index) => cell.padEnd(widths[index])).join('  ').trimEnd())
+        .join('\n') + '\n';
+}
+
+const AGENT_COLUMNS = [
+    ['INTERFACE', agent => agent.extension],
+    ['NOME', agent => agent.name],
+    ['STATUS', agent => agent.statusName],
+    ['PRESENÇA', agent => agent.presence],
+    ['PAUSA', agent => agent.paused ? (agent.pausedReason || 'sim') : ''],
+    ['FILAS', agent => (agent.queues || [agent.queue]).join(',')]
+];
+
+// Resumo de uma linha de um evento para a saída em tabela do watch
+function describeEvent(data) {
+    const parts = [];
+    const subject = (data.member && data.member.extension) || data.interface
+        || (data.channel && data.channel.channel) || (data.caller && data.caller.channel)
+        || (data.endpoint && data.endpoint.interface) || data.id;
+    if (subject) parts.push(subject);
+    if (data.queue) parts.push(`fila=${data.queue}`);
+    if (Array.isArray(data.queues)) parts.push(`filas=${data.queues.join(',')}`);
+    for (const field of ['paused', 'presence', 'penalty', 'reason', 'severity', 'value']) {
+        if (data[field] !== undefined && data[field] !== null) parts.push(`${field}=${data[field]}`);
+    }
+    return parts.join(' ');
+}
+
+// Evento de interesse para a fila informada no watch (eventos sem fila passam)
+function matchesQueue(data, queue) {
+    if (!queue || !data || typeof data !== 'object') return true;
+    if (data.queue !== undefined) return data.queue === queue;
+    if (Array.isArray(data.queues)) return data.queues.includes(queue);
+    return true;
+}
+
+const COMMANDS = {
+    queues(cache, values, positionals, output) {
+        const queues = cache.getQueues().map(queue => ({
+            name: queue.name,
+            strategy: queue.strategy,
+            callers: queue.callers.length,
+            members: queue.members.length,
+            available: cache.getAvailableAgents(queue.name).length,
+            paused: queue.members.filter(member => member.paused).length
+        }));
+
+        output(queues, () => formatTable(queues, [
+            ['FILA', queue => queue.name],
+            ['ESTRATÉGIA', queue => queue.strategy],
+            ['CHAMADORES', queue => queue.callers],
+            ['MEMBROS', queue => queue.members],
+            ['DISPONÍVEIS', queue => queue.available],
+            ['PAUSADOS', queue => queue.paused]
+        ]));
+    },
+
+    agents(cache, values, positionals, output) {
+        let agents;
+
+        if (values.queue) {
+            if (!cache.getQueue(values.queue)) {
+                throw new NotFoundError(`Fila não encontrada: ${values.queue}`);
+            }
+            agents = values.available ? cache.getAvailableAgents(values.queue) : cache.getQueueAgents(values.queue);
+        } else {
+            const now = Math.floor(cache.clock() / 1000);
+            agents = cache.getAllAgents().filter(agent => !values.available || cache.presence.isAvailable(agent, now));
+        }
+
+        output(agents, () => formatTable(agents, AGENT_COLUMNS));
+    },
+
+    agent(cache, values, positionals, output) {
+        const extension = requireArgument(positionals[0], 'a interface do agente');
+        const agent = cache.getAgentByExtension(extension);
+        if (!agent) {
+            throw new NotFoundError(`Agente não encontrado: ${extension}`);
+        }
+
+        output(agent, () => formatTable([agent], AGENT_COLUMNS));
+    },
+
+    async pause(cache, values, positionals, output) {
+        const extension = requireArgument(positionals[0], 'a interface do agente');
+        await cache.pauseMember(extension, values.reason || '', values.queue);
+        output({ success: true }, () => `Agente ${extension} pausado\n`);
+    },
+
+    async unpause(cache, values, positionals, output) {
+        const extension = requireArgument(positionals[0], 'a interface do agente');
+        await cache.unpauseMember(extension, values.queue);
+        output({ success: true }, () => `Agente ${extension} despausado\n`);
+    },
+
+    async add(cache, values, positionals, output) {
+        const extension = requireArgument(positionals[0], 'a interface do agente');
+        const queue = requireArgument(values.queue, 'a fila com --queue');
+        const penalty = parseInteger(values.penalty, 'penalty') || 0;
+        await cache.addMemberToQueue(extension, values.name || extension, queue, values.paused ? 1 : 0, penalty);
+        output({ success: true }, () => `Agente ${extension} adicionado à fila ${queue}\n`);
+    },
+
+    async remove(cache, values, positionals, output) {
+        const extension = requireArgument(positionals[0], 'a interface do agente');
+        const queue = requireArgument(values.queue, 'a fila com --queue');
+        await cache.removeMemberFromQueue(extension, queue);
+        output({ success: true }, () => `Agente ${extension} removido da fila ${queue}\n`);
+    },
+
+    // Transmite os eventos até SIGINT/SIGTERM, a perda da conexão ou --limit eventos
+    watch(cache, values, positionals, output, io) {
+        const eventNames = values.events
+            ? values.events.split(',').filter(Boolean)
+            : STREAM_EVENTS.filter(eventName => eventName !== 'queuesUpdated' && eventName !== 'changes');
+        const limit = parseInteger(values.limit, 'limit');
+        const listeners = new Map();
+        let count = 0;
+
+        return new Promise((resolve, reject) => {
+            const stop = (error) => {
+                for (const [eventName, listener] of listeners.entries()) {
+                    cache.removeListener(eventName, listener);
+                }
+                cache.removeListener('disconnected', onDisconnected);
+                io.signals.removeListener('SIGINT', onSignal);
+                io.signals.removeListener('SIGTERM', onSignal);
+                if (error) reject(error); else resolve();
+            };
+            const onSignal = () => stop();
+            const onDisconnected = () => stop(Object.assign(new Error('Conexão com o Asterisk perdida'), { code: 'NOT_CONNECTED' }));
+
+            for (const eventName of eventNames) {
+                const listener = (data) => {
+                    if (!matchesQueue(data, values.queue)) return;
+
+                    const time = new Date();
+                    if (values.json) {
+                        io.stdout.write(JSON.stringify({ event: eventName, time: time.toISOString(), data: data }) + '\n');
+                    } else {
+                        io.stdout.write(`${time.toTimeString().substring(0, 8)}  ${eventName}  ${describeEvent(data)}\n`);
+                    }
+
+                    count++;
+                    if (limit && count >= limit) stop();
+                };
+                listeners.set(eventName, listener);
+                cache.on(eventName, listener);
+            }
+            cache.once('disconnected', onDisconnected);
+            io.signals.once('SIGINT', onSignal);
+            io.signals.once('SIGTERM', onSignal);
+        });
+    }
+};
+
+/**
+ * @description Executa a ferramenta de linha de comando
+ * @param {string[]} argv - Argumentos, sem o node e o script
+ * @param {Object} [io] - Entrada e saída (substituídas nos testes)
+ * @param {Object} [io.stdout=process.stdout]
+ * @param {Object} [io.stderr=process.stderr]
+ * @param {Object} [io.env=process.env]
+ * @param {EventEmitter} [io.signals=process] - Emissor de SIGINT e SIGTERM para encerrar o watch
+ * @returns {Promise<number>} Código de saída
+ */
+async function run(argv, io = {}) {
+    io = { stdout: process.stdout, stderr: process.stderr, env: process.env, signals: process, ...io };
+
+    let values;
+    let command;
+    let positionals;
+
+    try {
+        const parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+        values = parsed.values;
+        [command, ...positionals] = parsed.positionals;
+    } catch (error) {
+        io.stderr.write(`${error.message}\n\n${USAGE}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    if (values.help) {
+        io.stdout.write(USAGE);
+        return EXIT_CODES.OK;
+    }
+    if (!COMMANDS[command]) {
+        io.stderr.write(`${command ? `Comando desconhecido: ${command}\n\n` : ''}${USAGE}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    const output = (data, formatTableOutput) => {
+        io.stdout.write(values.json ? JSON.stringify(data, null, 2) + '\n' : formatTableOutput());
+    };
+
+    let cache = null;
+    try {
+        cache = new AsteriskCache(loadConfig(values, io.env));
+        await connect(cache);
+        await COMMANDS[command](cache, values, positionals, output, io);
+        return EXIT_CODES.OK;
+    } catch (error) {
+        const exitCode = error instanceof UsageError ? EXIT_CODES.USAGE
+            : error instanceof NotFoundError ? EXIT_CODES.NOT_FOUND
+                : ERROR_EXIT_CODES[error.code] || EXIT_CODES.ACTION_FAILED;
+
+        if (values.json && !(error instanceof UsageError)) {
+            io.stdout.write(JSON.stringify({ success: false, error: { code: error.code || null, message: error.message } }, null, 2) + '\n');
+        }
+        io.stderr.write(`${error.message}\n`);
+        return exitCode;
+    } finally {
+        if (cache) {
+            await cache.destroy();
+        }
+    }
+}
+
+module.exports = {
+    run,
+    loadConfig,
+    formatTable,
+    EXIT_CODES
+};
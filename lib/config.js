@@ -0,0 +1,237 @@
+/**
+ * @description Esquema e validação da configuração do AsteriskCache
+ * @abstract
+ * Descreve cada opção aceita pelo construtor (tipo, limites e opções aninhadas) e valida a
+ * configuração antes de qualquer conexão, reunindo todos os problemas em um único ConfigError.
+ * Opções desconhecidas não são erro (podem ser repassadas ao Nami), mas são devolvidas para que
+ * o cache avise sobre possíveis erros de digitação.
+ */
+const { ConfigError } = require('./errors');
+const { LEVELS } = require('./logger');
+
+const ACTION_MODES = ['boolean', 'result', 'throw'];
+
+const TYPE_LABELS = {
+    string: 'um texto',
+    number: 'um número',
+    integer: 'um inteiro',
+    boolean: 'true ou false',
+    object: 'um objeto',
+    array: 'uma lista',
+    function: 'uma função'
+};
+
+// Opções aceitas. required: obrigatória (exceto no modo offline); fields: opções do objeto;
+// values: valores aceitos; min/max: limites; items: regra de cada item da lista ou do mapa
+const SCHEMA = {
+    host: { type: 'string', required: true },
+    port: { type: 'port', required: true },
+    username: { type: 'string', required: true },
+    secret: { type: 'string', required: true },
+    offline: { type: 'boolean' },
+    connectTimeout: { type: 'number', min: 1 },
+    reconnectInterval: { type: 'number', min: 1 },
+    actionTimeout: { type: 'number', min: 1 },
+    eventTimeout: { type: 'number', min: 0 },
+    actionMode: { type: 'enum', values: ACTION_MODES },
+    logLevel: { type: 'enum', values: Object.keys(LEVELS) },
+    logger: { type: 'object' },
+    handleSignals: { type: 'boolean' },
+    reconcileInterval: { type: 'number', min: 0 },
+    reconnect: {
+        type: 'object',
+        fields: {
+            initialDelay: { type: 'number', min: 1 },
+            factor: { type: 'number', min: 1 },
+            maxDelay: { type: 'number', min: 1 },
+            jitter: { type: 'number', min: 0, max: 1 },
+            maxAttempts: { type: 'integer', min: 0 }
+        }
+    },
+    heartbeat: {
+        type: 'object',
+        fields: {
+            interval: { type: 'number', min: 0 },
+            timeout: { type: 'number', min: 1 },
+            maxMissed: { type: 'integer', min: 1 }
+        }
+    },
+    coalescing: {
+        type: 'object',
+        fields: {
+            window: { type: 'number', min: 0 },
+            windows: { type: 'object', items: { type: 'number', min: 0 } },
+            maxWait: { type: 'number', min: 0 }
+        }
+    },
+    snapshot: {
+        type: 'object',
+        fields: {
+            path: { type: 'string' },
+            store: { type: 'object' },
+            interval: { type: 'number', min: 1 }
+        }
+    },
+    journal: {
+        type: 'object',
+        fields: {
+            path: { type: 'string' },
+            stream: { type: 'object' }
+        }
+    },
+    capture: {
+        type: 'object',
+        fields: {
+            path: { type: 'string' },
+            stream: { type: 'object' },
+            redact: { type: 'array', items: { type: 'string' } }
+        }
+    },
+    history: {
+        type: 'object',
+        fields: {
+            maxTransitions: { type: 'integer', min: 1 }
+        }
+    },
+    metrics: {
+        type: 'object',
+        fields: {
+            buckets: { type: 'array', items: { type: 'number', min: 0 } }
+        }
+    },
+    stats: {
+        type: 'object',
+        fields: {
+            windows: { type: 'object' },
+            serviceLevel: { type: 'number', min: 0 },
+            interval: { type: 'number', min: 0 }
+        }
+    },
+    presence: {
+        type: 'object',
+        fields: {
+            rules: { type: 'array', items: { type: 'object' } },
+            available: { type: 'array', items: { type: 'string' } },
+            labels: { type: 'object' }
+        }
+    },
+    changes: {
+        type: 'object',
+        fields: {
+            maxRevisions: { type: 'integer', min: 1 }
+        }
+    },
+    alerts: {
+        type: 'object',
+        fields: {
+            rules: { type: 'array', items: { type: 'object' } },
+            interval: { type: 'number', min: 0 }
+        }
+    }
+};
+
+function checkType(type, value) {
+    switch (type) {
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return typeof value === 'object' && value !== null && !Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+// Valida um valor pela regra, acrescentando os problemas em errors e as opções desconhecidas em unknown
+function validateValue(path, rule, value, errors, unknown) {
+    if (rule.type === 'port') {
+        const port = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            errors.push(`${path} deve ser um inteiro entre 1 e 65535`);
+        }
+        return;
+    }
+
+    if (rule.type === 'enum') {
+        if (!rule.values.includes(value)) {
+            errors.push(`${path} inválido: ${value} (use ${rule.values.join(', ')})`);
+        }
+        return;
+    }
+
+    if (!checkType(rule.type, value)) {
+        errors.push(`${path} deve ser ${TYPE_LABELS[rule.type]}`);
+        return;
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+        errors.push(`${path} deve ser maior ou igual a ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        errors.push(`${path} deve ser menor ou igual a ${rule.max}`);
+    }
+
+    if (rule.fields) {
+        validateFields(path, rule.fields, value, errors, unknown);
+    }
+
+    if (rule.items) {
+        const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+        for (const [key, item] of entries) {
+            validateValue(Array.isArray(value) ? `${path}[${key}]` : `${path}.${key}`, rule.items, item, errors, unknown);
+        }
+    }
+}
+
+function validateFields(prefix, fields, object, errors, unknown) {
+    for (const [name, rule] of Object.entries(fields)) {
+        const value = object[name];
+        if (value === undefined || value === null) continue;
+        validateValue(prefix ? `${prefix}.${name}` : name, rule, value, errors, unknown);
+    }
+
+    for (const name of Object.keys(object)) {
+        if (!fields[name]) {
+            unknown.push(prefix ? `${prefix}.${name}` : name);
+        }
+    }
+}
+
+/**
+ * @description Valida a configuração do AsteriskCache
+ * @param {Object} config - Configuração passada ao construtor
+ * @returns {string[]} Opções desconhecidas (ex: ['reconect', 'heartbeat.intreval'])
+ * @throws {ConfigError} Com a lista errors de todos os problemas encontrados
+ */
+function validateConfig(config) {
+    if (!checkType('object', config)) {
+        throw new ConfigError(['a configuração deve ser um objeto']);
+    }
+
+    const errors = [];
+    const unknown = [];
+
+    if (!config.offline) {
+        for (const [name, rule] of Object.entries(SCHEMA)) {
+            if (rule.required && (config[name] === undefined || config[name] === null || config[name] === '')) {
+                errors.push(`${name} é obrigatório`);
+            }
+        }
+    }
+
+    validateFields('', SCHEMA, config, errors, unknown);
+
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    return unknown;
+}
+
+module.exports = {
+    SCHEMA,
+    ACTION_MODES,
+    validateConfig
+};
@@ -0,0 +1,265 @@
+/**
+ * @description Registro e alcance dos endpoints SIP e PJSIP
+ * @abstract
+ * Mantém, por interface (PJSIP/1001, SIP/1001), se o endpoint está registrado, o contato atual, o tempo de
+ * resposta do qualify e o user agent. É carregado pelo PJSIPShowEndpoints e PJSIPShowContacts (PJSIP) e pelo
+ * SIPpeers (chan_sip) e atualizado pelos eventos PeerStatus, ContactStatus e DeviceStateChange. No PJSIP o
+ * endpoint está registrado enquanto tiver algum contato alcançável; no chan_sip o registro vem do status do
+ * peer. As interfaces são comparadas sem diferenciar maiúsculas.
+ */
+
+// Campos copiados para os membros das filas ligados ao endpoint pelo stateInterface
+const MEMBER_FIELDS = ['registered', 'contactUri', 'roundtripMs', 'userAgent'];
+
+// PeerStatus -> registrado (os demais, como Unknown, não alteram o registro)
+const PEER_STATUS_REGISTERED = {
+    Registered: true,
+    Reachable: true,
+    Lagged: true,
+    Unregistered: false,
+    Unreachable: false,
+    Rejected: false
+};
+
+// Estados de dispositivo que não informam nada sobre o registro
+const UNINFORMATIVE_DEVICE_STATES = ['UNKNOWN', 'INVALID'];
+
+function usecToMs(value) {
+    const usec = parseInt(value);
+    return Number.isNaN(usec) ? null : Math.round(usec / 1000);
+}
+
+// Tempo do status do SIPpeers: 'OK (12 ms)' -> 12
+function parsePeerLatency(status) {
+    const match = /\((\d+) ms\)/.exec(status || '');
+    return match ? parseInt(match[1]) : null;
+}
+
+class EndpointRegistry {
+    constructor() {
+        this.endpoints = new Map(); // interface em minúsculas -> endpoint
+    }
+
+    getKey(iface) {
+        return String(iface || '').toLowerCase();
+    }
+
+    ensure(technology, name) {
+        const iface = `${technology}/${name}`;
+        const key = this.getKey(iface);
+        if (!this.endpoints.has(key)) {
+            this.endpoints.set(key, {
+                interface: iface,
+                technology: technology,
+                name: name,
+                registered: null, // null enquanto desconhecido
+                status: null, // Último status informado pelo Asterisk (Reachable, Unreachable, OK (12 ms)...)
+                contactUri: null,
+                roundtripMs: null,
+                userAgent: null,
+                address: null,
+                deviceState: null,
+                contacts: new Map() // PJSIP: uri -> { uri, status, roundtripMs, userAgent }
+            });
+        }
+        return this.endpoints.get(key);
+    }
+
+    // Recalcula o registro do endpoint PJSIP pelos seus contatos
+    refreshFromContacts(endpoint) {
+        const contacts = Array.from(endpoint.contacts.values());
+        const reachable = contacts.filter(contact => contact.status !== 'Unreachable');
+        const contact = reachable[0] || contacts[0] || null;
+
+        endpoint.registered = reachable.length > 0;
+        endpoint.contactUri = contact ? contact.uri : null;
+        endpoint.roundtripMs = contact ? contact.roundtripMs : null;
+        endpoint.userAgent = contact ? contact.userAgent : null;
+    }
+
+    // Aplica uma alteração e registra a mudança se algum campo dos membros mudou
+    track(changes, endpoint, apply) {
+        const previous = this.pick(endpoint);
+        apply();
+        if (MEMBER_FIELDS.some(field => !Object.is(previous[field], endpoint[field]))) {
+            changes.push({ endpoint: this.copy(endpoint), previous: previous });
+        }
+    }
+
+    /**
+     * @description Substitui os endpoints PJSIP pelo resultado do PJSIPShowEndpoints e do PJSIPShowContacts
+     * @param {Object[]} endpointEvents - Eventos EndpointList
+     * @param {Object[]} [contactEvents] - Eventos ContactList; sem eles, os contatos vêm do campo Contacts
+     * @returns {Object[]} Mudanças: { endpoint, previous }
+     */
+    loadPjsip(endpointEvents, contactEvents) {
+        return this.load('PJSIP', endpointEvents, (endpoint, event) => {
+            endpoint.deviceState = event.devicestate || null;
+            endpoint.contacts.clear();
+
+            if (contactEvents) {
+                for (const contact of contactEvents.filter(c => c.endpoint === endpoint.name)) {
+                    endpoint.contacts.set(contact.uri, {
+                        uri: contact.uri,
+                        status: contact.status || null,
+                        roundtripMs: usecToMs(contact.roundtripusec),
+                        userAgent: contact.useragent || null
+                    });
+                }
+            } else {
+                // Contacts: "1001/sip:1001@10.0.0.5:5060,1001/sip:1001@10.0.0.6:5060,"
+                for (const item of String(event.contacts || '').split(',').filter(Boolean)) {
+                    const uri = item.substring(item.indexOf('/') + 1);
+                    endpoint.contacts.set(uri, { uri: uri, status: null, roundtripMs: null, userAgent: null });
+                }
+            }
+
+            this.refreshFromContacts(endpoint);
+            endpoint.status = endpoint.registered ? 'Reachable' : 'Unreachable';
+        });
+    }
+
+    /**
+     * @description Substitui os peers do chan_sip pelo resultado do SIPpeers
+     * @param {Object[]} peerEvents - Eventos PeerEntry
+     * @returns {Object[]} Mudanças: { endpoint, previous }
+     */
+    loadSipPeers(peerEvents) {
+        return this.load('SIP', peerEvents, (endpoint, event) => {
+            const hasAddress = Boolean(event.ipaddress) && event.ipaddress !== '-none-';
+            endpoint.status = event.status || null;
+            endpoint.address = hasAddress ? `${event.ipaddress}:${event.ipport}` : null;
+            endpoint.registered = hasAddress && !/^(UNREACHABLE|UNKNOWN)/.test(endpoint.status || '');
+            endpoint.roundtripMs = parsePeerLatency(event.status);
+        });
+    }
+
+    load(technology, events, apply) {
+        const changes = [];
+        const loaded = new Set();
+
+        for (const event of events) {
+            const endpoint = this.ensure(technology, event.objectname);
+            loaded.add(this.getKey(endpoint.interface));
+            this.track(changes, endpoint, () => apply(endpoint, event));
+        }
+
+        // Endpoints da tecnologia que deixaram de existir
+        for (const [key, endpoint] of this.endpoints.entries()) {
+            if (endpoint.technology === technology && !loaded.has(key)) {
+                this.track(changes, endpoint, () => Object.assign(endpoint, {
+                    registered: false, contactUri: null, roundtripMs: null, userAgent: null
+                }));
+                this.endpoints.delete(key);
+            }
+        }
+
+        return changes;
+    }
+
+    /**
+     * @description Aplica um evento PeerStatus, ContactStatus ou DeviceStateChange
+     * @param {Object} event - Evento AMI (chaves em minúsculas)
+     * @returns {Object[]} Mudanças: { endpoint, previous }
+     */
+    handle(event) {
+        const changes = [];
+
+        switch (event.event) {
+            case 'PeerStatus': {
+                const [technology, name] = String(event.peer || '').split('/');
+                if (!name) break;
+
+                const endpoint = this.ensure(technology, name);
+                this.track(changes, endpoint, () => {
+                    endpoint.status = event.peerstatus;
+                    if (event.address) endpoint.address = event.address;
+
+                    // No PJSIP, com contatos conhecidos, o registro segue os ContactStatus
+                    if (endpoint.contacts.size > 0) return;
+
+                    if (PEER_STATUS_REGISTERED[event.peerstatus] !== undefined) {
+                        endpoint.registered = PEER_STATUS_REGISTERED[event.peerstatus];
+                    }
+                    endpoint.roundtripMs = endpoint.registered && event.time !== undefined
+                        ? parseInt(event.time)
+                        : (endpoint.registered ? endpoint.roundtripMs : null);
+                });
+                break;
+            }
+            case 'ContactStatus': {
+                if (!event.endpointname || !event.uri) break;
+
+                const endpoint = this.ensure('PJSIP', event.endpointname);
+                this.track(changes, endpoint, () => {
+                    if (event.contactstatus === 'Removed') {
+                        endpoint.contacts.delete(event.uri);
+                    } else {
+                        const contact = endpoint.contacts.get(event.uri) || { uri: event.uri, userAgent: null };
+                        endpoint.contacts.set(event.uri, {
+                            ...contact,
+                            status: event.contactstatus,
+                            roundtripMs: usecToMs(event.roundtripusec),
+                            userAgent: event.useragent || contact.userAgent
+                        });
+                    }
+                    endpoint.status = event.contactstatus;
+                    this.refreshFromContacts(endpoint);
+                });
+                break;
+            }
+            case 'DeviceStateChange': {
+                const endpoint = this.endpoints.get(this.getKey(event.device));
+                if (!endpoint) break;
+
+                this.track(changes, endpoint, () => {
+                    endpoint.deviceState = event.state;
+                    if (event.state === 'UNAVAILABLE') {
+                        endpoint.registered = false;
+                    } else if (!UNINFORMATIVE_DEVICE_STATES.includes(event.state) && endpoint.registered === false) {
+                        endpoint.registered = true;
+                    }
+                });
+                break;
+            }
+        }
+
+        return changes;
+    }
+
+    // Endpoint pela interface, ou null se não for um endpoint conhecido
+    get(iface) {
+        const endpoint = this.endpoints.get(this.getKey(iface));
+        return endpoint ? this.copy(endpoint) : null;
+    }
+
+    getEndpoints() {
+        return Array.from(this.endpoints.values()).map(endpoint => this.copy(endpoint));
+    }
+
+    // Campos do endpoint para o membro: todos null quando o endpoint não é conhecido
+    getMemberFields(iface) {
+        const endpoint = this.endpoints.get(this.getKey(iface));
+        return endpoint
+            ? this.pick(endpoint)
+            : { registered: null, contactUri: null, roundtripMs: null, userAgent: null };
+    }
+
+    pick(endpoint) {
+        const fields = {};
+        MEMBER_FIELDS.forEach(field => { fields[field] = endpoint[field]; });
+        return fields;
+    }
+
+    copy(endpoint) {
+        const { contacts, ...fields } = endpoint;
+        return { ...fields, contacts: Array.from(contacts.values()).map(contact => ({ ...contact })) };
+    }
+
+    clear() {
+        this.endpoints.clear();
+    }
+}
+
+module.exports = EndpointRegistry;
+module.exports.MEMBER_FIELDS = MEMBER_FIELDS;
@@ -0,0 +1,65 @@
+/**
+ * @description Erros tipados do cache
+ * @abstract
+ * Permitem diferenciar uma ação que não pôde ser enviada (sem conexão), que ficou sem resposta
+ * (timeout) ou que foi recusada pelo Asterisk. O ConfigError indica uma configuração recusada na
+ * criação do cache. Todos herdam de AsteriskCacheError e possuem um code estável para uso em logs,
+ * respostas HTTP e códigos de saída.
+ */
+
+class AsteriskCacheError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+// A ação não foi enviada porque não há conexão, ou a conexão caiu antes da resposta
+class NotConnectedError extends AsteriskCacheError {
+    constructor(message = 'Não conectado ao Asterisk', details = {}) {
+        super(message, 'NOT_CONNECTED');
+        this.action = details.action || null;
+        this.actionId = details.actionId || null;
+    }
+}
+
+// O Asterisk não respondeu à ação dentro do tempo limite
+class ActionTimeoutError extends AsteriskCacheError {
+    constructor(action, actionId, timeout) {
+        super(`Timeout ao enviar ação ${action} para o Asterisk`, 'ACTION_TIMEOUT');
+        this.action = action;
+        this.actionId = actionId;
+        this.timeout = timeout;
+    }
+}
+
+// O Asterisk respondeu à ação com erro (ou com uma resposta inválida)
+class AmiResponseError extends AsteriskCacheError {
+    constructor(action, actionId, response) {
+        const asteriskMessage = (response && response.message) || null;
+        super(response
+            ? `Erro do Asterisk: ${asteriskMessage || 'Erro desconhecido'}`
+            : `Resposta inválida do Asterisk para a ação ${action}`, 'AMI_ERROR');
+        this.action = action;
+        this.actionId = actionId;
+        this.asteriskMessage = asteriskMessage;
+        this.response = response || null;
+    }
+}
+
+// A configuração passada ao construtor não segue o esquema (ver lib/config.js)
+class ConfigError extends AsteriskCacheError {
+    constructor(errors) {
+        super(`Configuração inválida: ${errors.join('; ')}`, 'INVALID_CONFIG');
+        this.errors = errors;
+    }
+}
+
+module.exports = {
+    AsteriskCacheError,
+    ConfigError,
+    NotConnectedError,
+    ActionTimeoutError,
+    AmiResponseError
+};
@@ -0,0 +1,121 @@
+/**
+ * @description Agrupamento de eventos AMI por tipo e interface
+ * @abstract
+ * Cada par (tipo do evento, interface) tem seu próprio grupo: os eventos que chegam dentro da janela
+ * do tipo são combinados em um só, com a lista de filas afetadas e os dados do último evento. Cada novo
+ * evento reinicia a janela, mas o grupo é sempre entregue no máximo maxWait ms após o primeiro evento,
+ * para que uma sequência contínua de mudanças não adie a entrega indefinidamente. Com janela 0 os eventos
+ * são entregues imediatamente, um a um.
+ */
+
+const DEFAULT_WINDOW = 500;
+const DEFAULT_MAX_WAIT = 2000;
+
+class EventCoalescer {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.window=500] - Janela padrão em ms (0 entrega cada evento imediatamente)
+     * @param {Object} [options.windows] - Janelas por tipo de evento em ms (ex: { QueueMemberPause: 100 })
+     * @param {number} [options.maxWait=2000] - Atraso máximo desde o primeiro evento do grupo em ms
+     * @param {Function} options.onFlush - Recebe cada grupo: (eventType, key, event), com event.queues
+     */
+    constructor(options = {}) {
+        this.window = options.window !== undefined ? options.window : DEFAULT_WINDOW;
+        this.windows = { ...options.windows };
+        this.maxWait = options.maxWait !== undefined ? options.maxWait : DEFAULT_MAX_WAIT;
+        this.onFlush = options.onFlush;
+        this.autoFlush = true; // false mantém os grupos até um flush explícito (reprodução do diário)
+        this.buckets = new Map(); // "tipo|interface" -> { eventType, key, event, firstAt, timer }
+    }
+
+    // Janela do tipo de evento em ms
+    getWindow(eventType) {
+        return this.windows[eventType] !== undefined ? this.windows[eventType] : this.window;
+    }
+
+    /**
+     * @description Adiciona um evento ao grupo do seu tipo e interface
+     * @param {string} eventType - Tipo do evento (ex: QueueMemberStatus)
+     * @param {string} key - Interface do membro
+     * @param {Object} event - Evento com queue
+     */
+    add(eventType, key, event) {
+        const bucketKey = `${eventType}|${key}`;
+        const bucket = this.buckets.get(bucketKey);
+        const queues = bucket ? bucket.event.queues : [];
+
+        if (event.queue !== undefined && !queues.includes(event.queue)) {
+            queues.push(event.queue);
+        }
+
+        if (bucket) {
+            clearTimeout(bucket.timer);
+            bucket.event = { ...event, queues: queues };
+        } else {
+            this.buckets.set(bucketKey, {
+                eventType: eventType,
+                key: key,
+                event: { ...event, queues: queues },
+                firstAt: Date.now(),
+                timer: null
+            });
+        }
+
+        if (!this.autoFlush) return;
+
+        const window = this.getWindow(eventType);
+        if (window <= 0) {
+            this.flush(eventType, key);
+            return;
+        }
+
+        const current = this.buckets.get(bucketKey);
+        const delay = this.maxWait > 0
+            ? Math.min(window, Math.max(0, current.firstAt + this.maxWait - Date.now()))
+            : window;
+        current.timer = setTimeout(() => this.flush(eventType, key), delay);
+    }
+
+    /**
+     * @description Entrega imediatamente os grupos pendentes. Sem argumentos entrega todos;
+     * com eventType e key, apenas esse grupo
+     * @param {string} [eventType]
+     * @param {string} [key]
+     * @returns {number} Quantidade de grupos entregues
+     */
+    flush(eventType, key) {
+        const bucketKeys = eventType !== undefined
+            ? [`${eventType}|${key}`]
+            : Array.from(this.buckets.keys());
+        let flushed = 0;
+
+        for (const bucketKey of bucketKeys) {
+            const bucket = this.buckets.get(bucketKey);
+            if (!bucket) continue;
+
+            clearTimeout(bucket.timer);
+            this.buckets.delete(bucketKey);
+            flushed++;
+            this.onFlush(bucket.eventType, bucket.key, bucket.event);
+        }
+
+        return flushed;
+    }
+
+    // Descarta os grupos pendentes sem entregá-los
+    clear() {
+        for (const bucket of this.buckets.values()) {
+            clearTimeout(bucket.timer);
+        }
+        this.buckets.clear();
+    }
+
+    // Quantidade de grupos aguardando entrega
+    get size() {
+        return this.buckets.size;
+    }
+}
+
+module.exports = EventCoalescer;
+module.exports.DEFAULT_WINDOW = DEFAULT_WINDOW;
+module.exports.DEFAULT_MAX_WAIT = DEFAULT_MAX_WAIT;
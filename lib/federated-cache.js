@@ -0,0 +1,294 @@
+/**
+ * @description Cache federado de várias centrais Asterisk
+ * @abstract
+ * Mantém um AsteriskCache (com conexão e reconexão próprias) para cada servidor configurado
+ * e apresenta uma visão única das filas e agentes, com cada fila e membro marcado pelo id do
+ * servidor. As ações são encaminhadas automaticamente ao servidor dono da interface.
+ */
+const EventEmitter = require('events');
+const { createLogger } = require('./logger');
+const PresenceResolver = require('./presence');
+
+// Eventos repassados de cada servidor com o campo server adicionado
+const FORWARDED_EVENTS = [
+    'connectionError', 'reconnecting', 'resynced',
+    'memberStatusChanged', 'memberPauseChanged', 'memberAdded', 'memberRemoved',
+    'memberPenaltyChanged', 'memberRingInUseChanged', 'memberPresenceChanged',
+    'callerJoined', 'callerLeft', 'callerAbandoned',
+    'agentRinging', 'agentConnected', 'agentCallEnded',
+    'channelAdded', 'channelChanged', 'channelRemoved',
+    'endpointChanged', 'agentUnreachable', 'alertRaised', 'alertCleared',
+    'changes' // As revisões são de cada servidor
+];
+
+class FederatedCache extends EventEmitter {
+    /**
+     * @param {Object[]} servers - Configurações dos servidores, cada uma com um id único
+     * e os mesmos campos aceitos pelo AsteriskCache
+     * @param {Object} [options]
+     * @param {Object} [options.logger] - Logger usado pela federação e pelos servidores sem logger próprio
+     * @param {string} [options.logLevel] - Nível do logger de console padrão
+     */
+    constructor(servers, options = {}) {
+        super();
+
+        // Importado aqui para evitar dependência circular com o index
+        const AsteriskCache = require('../index');
+
+        this.caches = new Map();
+        this.health = null;
+        this.logger = createLogger(options);
+
+        // Os ids são conferidos antes de criar os caches, que validam cada configuração
+        const ids = new Set();
+        for (const server of servers) {
+            if (!server.id) {
+                throw new Error('Cada servidor precisa de um id');
+            }
+            if (ids.has(server.id)) {
+                throw new Error(`Servidor duplicado: ${server.id}`);
+            }
+            ids.add(server.id);
+        }
+
+        for (const server of servers) {
+            const { id, ...config } = server;
+            const cache = new AsteriskCache(config.logger || config.logLevel ? config : { ...config, logger: this.logger });
+            this.caches.set(id, cache);
+            this.bindEvents(id, cache);
+        }
+    }
+
+    bindEvents(serverId, cache) {
+        cache.on('connected', () => {
+            this.emit('connected', { server: serverId });
+            this.updateHealth();
+        });
+
+        cache.on('disconnected', () => {
+            this.emit('disconnected', { server: serverId });
+            this.updateHealth();
+        });
+
+        for (const eventName of FORWARDED_EVENTS) {
+            cache.on(eventName, (data) => this.emit(eventName, { ...data, server: serverId }));
+        }
+
+        cache.on('queuesUpdated', () => this.emit('queuesUpdated', this.getQueues()));
+    }
+
+    getCache(serverId) {
+        return this.caches.get(serverId);
+    }
+
+    async connect() {
+        await Promise.all(Array.from(this.caches.values()).map(cache => cache.connect()));
+    }
+
+    async disconnect() {
+        await Promise.all(Array.from(this.caches.values()).map(cache => cache.disconnect()));
+    }
+
+    async destroy() {
+        await Promise.all(Array.from(this.caches.values()).map(cache => cache.destroy()));
+        this.removeAllListeners();
+    }
+
+    /**
+     * @description Estado agregado das conexões
+     * @returns {Object} status: 'healthy' (todos conectados), 'degraded' (parte) ou 'down' (nenhum)
+     */
+    getHealth() {
+        const servers = Array.from(this.caches.entries()).map(([id, cache]) => ({
+            id: id,
+            connected: cache.isConnected
+        }));
+        const connected = servers.filter(s => s.connected).length;
+
+        let status = 'degraded';
+        if (connected === servers.length) status = 'healthy';
+        if (connected === 0) status = 'down';
+
+        return {
+            status: status,
+            connected: connected,
+            total: servers.length,
+            servers: servers
+        };
+    }
+
+    // Emite healthChanged quando o status agregado muda
+    updateHealth() {
+        const health = this.getHealth();
+        if (this.health && this.health.status === health.status) {
+            this.health = health;
+            return;
+        }
+
+        this.health = health;
+        this.emit('healthChanged', health);
+    }
+
+    tagQueue(serverId, queue) {
+        return {
+            ...queue,
+            server: serverId,
+            members: queue.members.map(member => ({ ...member, server: serverId })),
+            callers: (queue.callers || []).map(caller => ({ ...caller, server: serverId }))
+        };
+    }
+
+    getQueues() {
+        const queues = [];
+        for (const [serverId, cache] of this.caches.entries()) {
+            for (const queue of cache.getQueues()) {
+                queues.push(this.tagQueue(serverId, queue));
+            }
+        }
+        return queues;
+    }
+
+    // Retorna a fila pelo nome. Sem serverId, retorna a primeira fila encontrada com esse nome
+    getQueue(queueName, serverId) {
+        for (const [id, cache] of this.caches.entries()) {
+            if (serverId && id !== serverId) continue;
+
+            const queue = cache.getQueue(queueName);
+            if (queue) {
+                return this.tagQueue(id, queue);
+            }
+        }
+        return undefined;
+    }
+
+    // Retorna o agente pelo ramal. Sem serverId, retorna o primeiro servidor em que o ramal é membro
+    getAgentByExtension(extension, serverId) {
+        for (const [id, cache] of this.caches.entries()) {
+            if (serverId && id !== serverId) continue;
+
+            const agent = cache.getAgentByExtension(extension);
+            if (agent) {
+                return { ...agent, server: id };
+            }
+        }
+        return null;
+    }
+
+    getQueueAgents(queueName) {
+        return this.collect(cache => cache.getQueueAgents(queueName));
+    }
+
+    getAvailableAgents(queueName) {
+        return this.collect(cache => cache.getAvailableAgents(queueName));
+    }
+
+    getAllAgents() {
+        return this.collect(cache => cache.getAllAgents());
+    }
+
+    getChannels() {
+        return this.collect(cache => cache.getChannels());
+    }
+
+    getCallsForInterface(iface) {
+        return this.collect(cache => cache.getCallsForInterface(iface));
+    }
+
+    getMemberCalls(memberInterface) {
+        return this.collect(cache => cache.getMemberCalls(memberInterface));
+    }
+
+    getEndpoints() {
+        return this.collect(cache => cache.getEndpoints());
+    }
+
+    getAlerts() {
+        return this.collect(cache => cache.getAlerts());
+    }
+
+    // Rótulos de presença e status do primeiro servidor (sem servidores, os rótulos padrão)
+    getLabels(locale) {
+        const cache = this.caches.values().next().value;
+        return cache ? cache.getLabels(locale) : new PresenceResolver().getLabels(locale);
+    }
+
+    collect(getter) {
+        const result = [];
+        for (const [serverId, cache] of this.caches.entries()) {
+            for (const item of getter(cache)) {
+                result.push({ ...item, server: serverId });
+            }
+        }
+        return result;
+    }
+
+    // Servidores em que a interface é membro de alguma fila (ou da fila informada)
+    findOwners(memberInterface, queueName) {
+        const owners = [];
+        for (const [serverId, cache] of this.caches.entries()) {
+            const agent = cache.getAgentByExtension(memberInterface);
+            if (agent && (!queueName || agent.queues.includes(queueName))) {
+                owners.push(serverId);
+            }
+        }
+        return owners;
+    }
+
+    // Executa a ação em todos os servidores donos da interface e retorna o resultado conforme o actionMode
+    // do servidor: o da primeira falha, ou o do primeiro servidor quando todos tiveram sucesso
+    async route(memberInterface, queueName, action) {
+        const owners = this.findOwners(memberInterface, queueName);
+
+        if (owners.length === 0) {
+            this.logger.warn('Nenhum servidor possui a interface', { interface: memberInterface, queue: queueName });
+            return false;
+        }
+
+        const results = await Promise.all(owners.map(serverId => action(this.caches.get(serverId))));
+        const failed = results.find(result => result === false || (typeof result === 'object' && result !== null && result.success === false));
+        return failed !== undefined ? failed : results[0];
+    }
+
+    async pauseMember(memberInterface, reason = '', queueName) {
+        return this.route(memberInterface, queueName, cache => cache.pauseMember(memberInterface, reason, queueName));
+    }
+
+    async unpauseMember(memberInterface, queueName) {
+        return this.route(memberInterface, queueName, cache => cache.unpauseMember(memberInterface, queueName));
+    }
+
+    async setMemberPenalty(memberInterface, penalty, queueName) {
+        return this.route(memberInterface, queueName, cache => cache.setMemberPenalty(memberInterface, penalty, queueName));
+    }
+
+    async setMemberRingInUse(memberInterface, ringInUse, queueName) {
+        return this.route(memberInterface, queueName, cache => cache.setMemberRingInUse(memberInterface, ringInUse, queueName));
+    }
+
+    async removeMemberFromQueue(memberInterface, queueName) {
+        return this.route(memberInterface, queueName, cache => cache.removeMemberFromQueue(memberInterface, queueName));
+    }
+
+    // Adiciona o membro no servidor que possui a fila. Se a fila existir em mais de um servidor,
+    // usa o servidor em que a interface já é membro; sem isso é preciso informar o serverId
+    async addMemberToQueue(memberInterface, memberName, queueName, paused = 0, penalty = 0, serverId) {
+        let candidates = Array.from(this.caches.entries())
+            .filter(([id, cache]) => (!serverId || id === serverId) && cache.getQueue(queueName))
+            .map(([id]) => id);
+
+        if (candidates.length > 1) {
+            const owners = this.findOwners(memberInterface);
+            candidates = candidates.filter(id => owners.includes(id));
+        }
+
+        if (candidates.length !== 1) {
+            this.logger.warn('Não foi possível determinar o servidor da fila', { queue: queueName, interface: memberInterface });
+            return false;
+        }
+
+        return this.caches.get(candidates[0]).addMemberToQueue(memberInterface, memberName, queueName, paused, penalty);
+    }
+}
+
+module.exports = FederatedCache;
+module.exports.FORWARDED_EVENTS = FORWARDED_EVENTS;
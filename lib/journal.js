@@ -0,0 +1,174 @@
+/**
+ * @description Diário de eventos do cache em JSON lines e reprodução offline
+ * @abstract
+ * O EventJournal grava uma linha JSON por entrada com tudo o que altera o cache: os eventos AMI
+ * recebidos, os eventos agrupados processados, as ações enviadas e o resultado de cada QueueStatus,
+ * CoreShowChannels e consulta dos endpoints, que trazem o estado inicial que não chega como evento.
+ * O replayJournal aplica essas entradas a um AsteriskCache sem conexão e reconstrói o estado das
+ * filas em qualquer momento do diário.
+ *
+ * Formato das entradas (t = epoch em ms):
+ *   { t, type: 'event', event }                        - Evento AMI recebido
+ *   { t, type: 'coalesced', eventType, extension }     - Evento agrupado processado
+ *   { t, type: 'action', action }                      - Ação enviada ao Asterisk
+ *   { t, type: 'sync', queues }                        - Filas retornadas pelo QueueStatus
+ *   { t, type: 'channels', channels }                  - Canais retornados pelo CoreShowChannels
+ *   { t, type: 'endpoints', endpoints, contacts, peers } - Endpoints do PJSIPShowEndpoints, PJSIPShowContacts
+ *                                                        e SIPpeers (null quando indisponíveis)
+ */
+const fs = require('fs');
+const readline = require('readline');
+
+// Campos internos das mensagens do Nami que não fazem parte do protocolo
+const NAMI_INTERNAL_FIELDS = ['lines', 'EOL', 'variables', 'id'];
+
+class EventJournal {
+    /**
+     * @param {Object} options
+     * @param {string} [options.path] - Arquivo do diário, aberto para acréscimo
+     * @param {Object} [options.stream] - Ou qualquer stream gravável
+     * @param {Function} [options.onError] - Chamada com o erro do stream (ex: diretório inexistente);
+     * após o erro o diário deixa de gravar, sem interromper o cache
+     */
+    constructor(options = {}) {
+        if (!options.path && !options.stream) {
+            throw new Error('Informe o path ou o stream do diário');
+        }
+
+        this.ownsStream = !options.stream;
+        this.stream = options.stream || fs.createWriteStream(options.path, { flags: 'a' });
+        this.error = null;
+        this.stream.on('error', (error) => {
+            if (this.error) return;
+            this.error = error;
+            if (options.onError) {
+                options.onError(error);
+            }
+        });
+    }
+
+    /**
+     * @description Acrescenta uma entrada ao diário
+     * @param {Object} entry - Entrada com t e type
+     */
+    write(entry) {
+        if (this.error) return;
+        this.stream.write(JSON.stringify(entry) + '\n');
+    }
+
+    // Encerra o arquivo do diário (streams recebidos nas opções continuam abertos)
+    close() {
+        return new Promise((resolve) => {
+            if (!this.ownsStream || this.error || this.stream.writableEnded) {
+                resolve();
+                return;
+            }
+            this.stream.end(() => resolve());
+        });
+    }
+}
+
+// Copia os campos de uma ação ou evento do Nami sem os campos internos
+function toPlainMessage(message) {
+    const plain = {};
+    for (const [key, value] of Object.entries(message)) {
+        if (!NAMI_INTERNAL_FIELDS.includes(key) && typeof value !== 'function') {
+            plain[key] = value;
+        }
+    }
+    return plain;
+}
+
+// Lê as entradas de um arquivo de diário, uma por linha
+async function* readJournal(filePath) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+        crlfDelay: Infinity
+    });
+
+    for await (const line of lines) {
+        if (line.trim()) {
+            yield JSON.parse(line);
+        }
+    }
+}
+
+/**
+ * @description Reproduz um diário em um AsteriskCache sem conexão com o Asterisk
+ * @param {string|Object[]|AsyncIterable<Object>} source - Arquivo do diário ou lista de entradas
+ * @param {Object} [options]
+ * @param {string} [options.speed='fast'] - 'original' respeita os intervalos entre as entradas; 'fast' não espera
+ * @param {number} [options.until] - Para antes da primeira entrada posterior a este instante (epoch em ms)
+ * @param {AsteriskCache} [options.cache] - Cache de destino (padrão: um novo cache com options.config)
+ * @param {Object} [options.config] - Configuração do novo cache (ex: logger)
+ * @param {Function} [options.onEntry] - Chamada após cada entrada: (entry, cache)
+ * @returns {Promise<AsteriskCache>} Cache com o estado reconstruído; chame destroy() ao terminar
+ */
+async function replayJournal(source, options = {}) {
+    // Importado aqui para evitar dependência circular com o index
+    const AsteriskCache = require('../index');
+
+    const speed = options.speed || 'fast';
+    if (speed !== 'fast' && speed !== 'original') {
+        throw new Error(`Velocidade inválida: ${speed} (use 'fast' ou 'original')`);
+    }
+
+    const cache = options.cache || new AsteriskCache({ offline: true, ...options.config });
+    const entries = typeof source === 'string' ? readJournal(source) : source;
+    let currentTime = null;
+    let previousTime = null;
+
+    // O tempo do cache segue o diário, para que joinTime, ringStart e stateSince sejam os originais
+    cache.clock = () => (currentTime !== null ? currentTime : Date.now());
+    // Os eventos agrupados são processados nos mesmos pontos em que foram processados originalmente
+    cache.coalescer.autoFlush = false;
+
+    for await (const entry of entries) {
+        if (options.until !== undefined && entry.t > options.until) break;
+
+        if (speed === 'original' && previousTime !== null && entry.t > previousTime) {
+            await new Promise(resolve => setTimeout(resolve, entry.t - previousTime));
+        }
+        previousTime = entry.t;
+        currentTime = entry.t;
+
+        await applyEntry(cache, entry);
+
+        if (options.onEntry) {
+            options.onEntry(entry, cache);
+        }
+    }
+
+    return cache;
+}
+
+async function applyEntry(cache, entry) {
+    switch (entry.type) {
+        case 'event':
+            // A ressincronização disparada pelo FullyBooted está registrada na entrada sync seguinte
+            if (entry.event.event !== 'FullyBooted') {
+                await cache.handleEvent(structuredClone(entry.event));
+            }
+            break;
+        case 'coalesced':
+            cache.coalescer.flush(entry.eventType, entry.extension);
+            break;
+        case 'sync':
+            cache.applyQueues(new Map(structuredClone(entry.queues).map(queue => [queue.name, queue])));
+            break;
+        case 'channels':
+            cache.applyChannels(structuredClone(entry.channels));
+            break;
+        case 'endpoints':
+            cache.applyEndpoints(structuredClone(entry));
+            break;
+        // As ações enviadas são apenas informativas: o resultado delas chega como evento
+    }
+}
+
+module.exports = {
+    EventJournal,
+    readJournal,
+    replayJournal,
+    toPlainMessage
+};
@@ -0,0 +1,71 @@
+/**
+ * @description Logger padrão do cache
+ * @abstract
+ * O cache registra mensagens com campos estruturados: logger.info('Membro pausado', { interface }).
+ * Qualquer objeto com os métodos debug, info, warn e error pode ser passado em config.logger
+ * (ex: pino, winston ou o próprio console); os métodos ausentes são ignorados.
+ */
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: 100
+};
+
+const CONSOLE_METHODS = {
+    debug: 'debug',
+    info: 'log',
+    warn: 'warn',
+    error: 'error'
+};
+
+/**
+ * @description Cria um logger que escreve no console a partir do nível informado
+ * @param {string} [level='info'] - debug, info, warn, error ou silent
+ * @returns {Object} Logger com os métodos debug, info, warn e error
+ */
+function createConsoleLogger(level = 'info') {
+    if (LEVELS[level] === undefined) {
+        throw new Error(`Nível de log inválido: ${level}`);
+    }
+
+    const logger = {};
+    for (const method of Object.keys(CONSOLE_METHODS)) {
+        logger[method] = (message, fields) => {
+            if (LEVELS[method] < LEVELS[level]) return;
+
+            const output = console[CONSOLE_METHODS[method]];
+            if (fields && Object.keys(fields).length > 0) {
+                output(message, fields);
+            } else {
+                output(message);
+            }
+        };
+    }
+    return logger;
+}
+
+// Completa um logger externo com funções vazias para os níveis que ele não implementa
+function normalizeLogger(logger) {
+    const normalized = {};
+    for (const method of Object.keys(CONSOLE_METHODS)) {
+        normalized[method] = typeof logger[method] === 'function'
+            ? logger[method].bind(logger)
+            : () => {};
+    }
+    return normalized;
+}
+
+// Logger da configuração, ou o logger de console com config.logLevel
+function createLogger(config = {}) {
+    return config.logger ? normalizeLogger(config.logger) : createConsoleLogger(config.logLevel);
+}
+
+module.exports = {
+    LEVELS,
+    createLogger,
+    createConsoleLogger,
+    normalizeLogger
+};
@@ -0,0 +1,170 @@
+/**
+ * @description Métricas do cache no formato texto do Prometheus
+ * @abstract
+ * Acumula os contadores que só existem no momento em que acontecem (ações enviadas ao Asterisk,
+ * latência das respostas e eventos recebidos) e gera, sob demanda, os gauges das filas e da
+ * conexão a partir do estado atual do cache.
+ */
+const { DEVICE_STATES } = require('./presence');
+
+// Buckets padrão do histograma de latência das ações (segundos)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Nomes dos estados de dispositivo do Asterisk (campo Status dos membros), em minúsculas nos rótulos
+const DEVICE_STATUS = Object.fromEntries(
+    Object.entries(DEVICE_STATES).map(([status, name]) => [status, name.toLowerCase()])
+);
+
+const PREFIX = 'asterisk_cache_';
+
+class CacheMetrics {
+    /**
+     * @param {Object} [options]
+     * @param {number[]} [options.buckets] - Limites do histograma de latência das ações (segundos)
+     */
+    constructor(options = {}) {
+        this.buckets = (options.buckets || DEFAULT_BUCKETS).slice().sort((a, b) => a - b);
+        this.actions = new Map(); // "ação|resultado" -> quantidade
+        this.latencies = new Map(); // ação -> { counts, sum, count }
+        this.events = new Map(); // tipo do evento -> quantidade
+    }
+
+    /**
+     * @description Registra uma ação enviada ao Asterisk
+     * @param {string} action - Nome da ação (ex: QueuePause)
+     * @param {string} result - success, error, timeout ou not_connected
+     * @param {number} [duration] - Tempo até a resposta (segundos); omitido quando não houve resposta
+     */
+    recordAction(action, result, duration) {
+        const key = `${action}|${result}`;
+        this.actions.set(key, (this.actions.get(key) || 0) + 1);
+
+        if (duration === undefined || duration === null) return;
+
+        let latency = this.latencies.get(action);
+        if (!latency) {
+            latency = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.latencies.set(action, latency);
+        }
+
+        this.buckets.forEach((bucket, index) => {
+            if (duration <= bucket) latency.counts[index]++;
+        });
+        latency.sum += duration;
+        latency.count++;
+    }
+
+    recordEvent(eventName) {
+        const name = eventName || 'unknown';
+        this.events.set(name, (this.events.get(name) || 0) + 1);
+    }
+
+    clear() {
+        this.actions.clear();
+        this.latencies.clear();
+        this.events.clear();
+    }
+
+    /**
+     * @description Gera o texto de exposição do Prometheus
+     * @param {Object[]} queues - Filas do cache (getQueues)
+     * @param {Object} health - Estado da conexão (getHealth)
+     * @returns {string}
+     */
+    render(queues, health) {
+        const lines = [];
+
+        this.family(lines, 'up', 'gauge', 'Conexão com o Asterisk ativa (1) ou não (0)',
+            [[{}, health.connected ? 1 : 0]]);
+        this.family(lines, 'reconnects_total', 'counter', 'Reconexões bem-sucedidas com o Asterisk',
+            [[{}, health.reconnectCount]]);
+        this.family(lines, 'reconnect_attempts', 'gauge', 'Tentativas de reconexão consecutivas em andamento',
+            [[{}, health.reconnectAttempts]]);
+        this.family(lines, 'uptime_seconds', 'gauge', 'Tempo desde a última conexão com o Asterisk',
+            [[{}, health.uptime / 1000]]);
+
+        const callers = [];
+        const members = [];
+        const byStatus = [];
+        const paused = [];
+
+        for (const queue of queues) {
+            callers.push([{ queue: queue.name }, (queue.callers || []).length]);
+            members.push([{ queue: queue.name }, queue.members.length]);
+
+            const statusCounts = new Map();
+            const reasonCounts = new Map();
+            for (const member of queue.members) {
+                const status = DEVICE_STATUS[member.status] || String(member.status);
+                statusCounts.set(status, (statusCounts.get(status) || 0) + 1);
+
+                if (member.paused) {
+                    const reason = member.pausedReason || '';
+                    reasonCounts.set(reason, (reasonCounts.get(reason) || 0) + 1);
+                }
+            }
+
+            for (const [status, count] of statusCounts.entries()) {
+                byStatus.push([{ queue: queue.name, status: status }, count]);
+            }
+            for (const [reason, count] of reasonCounts.entries()) {
+                paused.push([{ queue: queue.name, reason: reason }, count]);
+            }
+        }
+
+        this.family(lines, 'queue_callers', 'gauge', 'Chamadas aguardando na fila', callers);
+        this.family(lines, 'queue_members', 'gauge', 'Membros da fila', members);
+        this.family(lines, 'queue_members_by_status', 'gauge', 'Membros da fila por estado do dispositivo', byStatus);
+        this.family(lines, 'queue_members_paused', 'gauge', 'Membros pausados na fila por motivo da pausa', paused);
+
+        this.family(lines, 'actions_total', 'counter', 'Ações enviadas ao Asterisk por resultado',
+            Array.from(this.actions.entries()).map(([key, count]) => {
+                const [action, result] = key.split('|');
+                return [{ action: action, result: result }, count];
+            }));
+
+        this.histogram(lines, 'action_duration_seconds', 'Tempo de resposta das ações enviadas ao Asterisk');
+
+        this.family(lines, 'events_total', 'counter', 'Eventos AMI processados por tipo',
+            Array.from(this.events.entries()).map(([event, count]) => [{ event: event }, count]));
+
+        return lines.join('\n') + '\n';
+    }
+
+    family(lines, name, type, help, samples) {
+        lines.push(`# HELP ${PREFIX}${name} ${help}`);
+        lines.push(`# TYPE ${PREFIX}${name} ${type}`);
+        for (const [labels, value] of samples) {
+            lines.push(`${PREFIX}${name}${formatLabels(labels)} ${value}`);
+        }
+    }
+
+    histogram(lines, name, help) {
+        lines.push(`# HELP ${PREFIX}${name} ${help}`);
+        lines.push(`# TYPE ${PREFIX}${name} histogram`);
+
+        for (const [action, latency] of this.latencies.entries()) {
+            this.buckets.forEach((bucket, index) => {
+                lines.push(`${PREFIX}${name}_bucket${formatLabels({ action: action, le: String(bucket) })} ${latency.counts[index]}`);
+            });
+            lines.push(`${PREFIX}${name}_bucket${formatLabels({ action: action, le: '+Inf' })} ${latency.count}`);
+            lines.push(`${PREFIX}${name}_sum${formatLabels({ action: action })} ${latency.sum}`);
+            lines.push(`${PREFIX}${name}_count${formatLabels({ action: action })} ${latency.count}`);
+        }
+    }
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+
+    const escaped = entries.map(([key, value]) => {
+        const text = String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+        return `${key}="${text}"`;
+    });
+    return `{${escaped.join(',')}}`;
+}
+
+module.exports = CacheMetrics;
+module.exports.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+module.exports.DEVICE_STATUS = DEVICE_STATUS;
@@ -0,0 +1,160 @@
+/**
+ * @description Nomes dos estados de dispositivo e presença dos membros
+ * @abstract
+ * Traduz o status numérico do Asterisk (campo Status dos membros) para o nome simbólico do
+ * estado do dispositivo e deriva a presença do membro (available, on-call, ringing, wrap-up,
+ * paused ou offline) a partir do status, de inCall, da chamada atual, da pausa e do wrapupTime.
+ * As regras são avaliadas em ordem e a primeira que se aplica define a presença; regras próprias
+ * podem ser adicionadas antes das padrão, assim como as presenças consideradas disponíveis.
+ */
+
+// Estados de dispositivo do Asterisk (enum ast_device_state)
+const DEVICE_STATES = {
+    0: 'UNKNOWN',
+    1: 'NOT_INUSE',
+    2: 'INUSE',
+    3: 'BUSY',
+    4: 'INVALID',
+    5: 'UNAVAILABLE',
+    6: 'RINGING',
+    7: 'RINGINUSE',
+    8: 'ONHOLD'
+};
+
+const PRESENCES = ['available', 'on-call', 'ringing', 'wrap-up', 'paused', 'offline'];
+
+const LABELS = {
+    pt: {
+        presence: {
+            'available': 'Disponível',
+            'on-call': 'Em chamada',
+            'ringing': 'Chamando',
+            'wrap-up': 'Pós-atendimento',
+            'paused': 'Em pausa',
+            'offline': 'Desconectado'
+        },
+        status: {
+            UNKNOWN: 'Desconhecido',
+            NOT_INUSE: 'Livre',
+            INUSE: 'Em uso',
+            BUSY: 'Ocupado',
+            INVALID: 'Inválido',
+            UNAVAILABLE: 'Indisponível',
+            RINGING: 'Chamando',
+            RINGINUSE: 'Chamando em uso',
+            ONHOLD: 'Em espera'
+        }
+    },
+    en: {
+        presence: {
+            'available': 'Available',
+            'on-call': 'On call',
+            'ringing': 'Ringing',
+            'wrap-up': 'Wrap-up',
+            'paused': 'Paused',
+            'offline': 'Offline'
+        },
+        status: {
+            UNKNOWN: 'Unknown',
+            NOT_INUSE: 'Not in use',
+            INUSE: 'In use',
+            BUSY: 'Busy',
+            INVALID: 'Invalid',
+            UNAVAILABLE: 'Unavailable',
+            RINGING: 'Ringing',
+            RINGINUSE: 'Ringing in use',
+            ONHOLD: 'On hold'
+        }
+    }
+};
+
+// Nome simbólico do status numérico; valores fora da tabela são UNKNOWN
+function getStatusName(status) {
+    return DEVICE_STATES[status] || 'UNKNOWN';
+}
+
+// Segundos de pós-atendimento restantes, ou 0 se o membro não estiver em pós-atendimento
+function getWrapupRemaining(member, now) {
+    if (!member.wrapupTime || !member.lastCall) return 0;
+    return Math.max(0, member.lastCall + member.wrapupTime - now);
+}
+
+// Regras padrão, na ordem de avaliação: (member, now) => boolean
+const DEFAULT_RULES = [
+    { presence: 'offline', when: (member) => ['UNKNOWN', 'INVALID', 'UNAVAILABLE'].includes(getStatusName(member.status)) },
+    { presence: 'ringing', when: (member) => ['RINGING', 'RINGINUSE'].includes(getStatusName(member.status))
+        || Boolean(member.currentCall && member.currentCall.state === 'ringing') },
+    { presence: 'on-call', when: (member) => Boolean(member.inCall || member.currentCall)
+        || ['INUSE', 'BUSY', 'ONHOLD'].includes(getStatusName(member.status)) },
+    { presence: 'paused', when: (member) => Boolean(member.paused) },
+    { presence: 'wrap-up', when: (member, now) => getWrapupRemaining(member, now) > 0 },
+    { presence: 'available', when: () => true }
+];
+
+class PresenceResolver {
+    /**
+     * @param {Object} [options]
+     * @param {Object[]} [options.rules] - Regras { presence, when(member, now) } avaliadas antes das padrão
+     * @param {string[]} [options.available=['available']] - Presenças consideradas disponíveis
+     * @param {Object} [options.labels] - Rótulos adicionais por idioma: { pt: { presence, status }, en: ... }
+     */
+    constructor(options = {}) {
+        this.rules = [...(options.rules || []), ...DEFAULT_RULES];
+        this.available = options.available || ['available'];
+        this.labels = mergeLabels(LABELS, options.labels || {});
+
+        for (const rule of this.rules) {
+            if (typeof rule.presence !== 'string' || typeof rule.when !== 'function') {
+                throw new Error('Regra de presença inválida: informe presence (string) e when (função)');
+            }
+        }
+    }
+
+    /**
+     * @description Presença do membro pela primeira regra que se aplica
+     * @param {Object} member - Membro de uma fila
+     * @param {number} [now] - Instante atual (epoch em segundos)
+     * @returns {string}
+     */
+    resolve(member, now = Math.floor(Date.now() / 1000)) {
+        const rule = this.rules.find(rule => rule.when(member, now));
+        return rule.presence;
+    }
+
+    // Indica se o membro está disponível para receber chamadas
+    isAvailable(member, now) {
+        return this.available.includes(this.resolve(member, now));
+    }
+
+    /**
+     * @description Rótulos das presenças e dos estados de dispositivo no idioma
+     * @param {string} [locale='pt'] - pt ou en (ex: 'pt-BR' usa pt)
+     * @returns {Object} { presence, status }
+     */
+    getLabels(locale = 'pt') {
+        const language = String(locale).toLowerCase().split(/[-_]/)[0];
+        const labels = this.labels[language] || this.labels.pt;
+        return {
+            presence: { ...labels.presence },
+            status: { ...labels.status }
+        };
+    }
+}
+
+function mergeLabels(base, extra) {
+    const merged = {};
+    for (const language of new Set([...Object.keys(base), ...Object.keys(extra)])) {
+        merged[language] = {
+            presence: { ...(base[language] || {}).presence, ...(extra[language] || {}).presence },
+            status: { ...(base[language] || {}).status, ...(extra[language] || {}).status }
+        };
+    }
+    return merged;
+}
+
+module.exports = PresenceResolver;
+module.exports.DEVICE_STATES = DEVICE_STATES;
+module.exports.PRESENCES = PRESENCES;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
+module.exports.getStatusName = getStatusName;
+module.exports.getWrapupRemaining = getWrapupRemaining;
@@ -0,0 +1,151 @@
+/**
+ * @description Estatísticas em tempo real das filas e agentes
+ * @abstract
+ * Mantém as amostras de chamadas atendidas, abandonadas e concluídas recebidas pelo cache
+ * e calcula métricas móveis por fila e por agente em janelas configuráveis
+ * (ex: últimos 15 minutos, última hora e desde a meia-noite).
+ */
+
+const DEFAULT_WINDOWS = {
+    '15m': 15 * 60,
+    '1h': 60 * 60,
+    'today': 'today'
+};
+
+class QueueStats {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.windows] - Janelas no formato { nome: segundos | 'today' }
+     * @param {number} [options.serviceLevel=20] - Limite de espera (segundos) para o nível de serviço
+     * @param {Function} [options.clock] - Fonte de tempo em ms (padrão: Date.now); o cache informa o seu relógio,
+     * que segue o diário e a gravação na reprodução
+     */
+    constructor(options = {}) {
+        this.windows = options.windows || DEFAULT_WINDOWS;
+        this.serviceLevel = options.serviceLevel !== undefined ? options.serviceLevel : 20;
+        this.clock = options.clock || Date.now;
+        this.startTime = null; // Início da coleta, marcado pelo relógio na primeira amostra ou consulta
+        this.samples = [];
+    }
+
+    // Registra um chamador atendido por um agente
+    recordAnswered(queue, agent, holdTime) {
+        this.addSample({ type: 'answered', queue, agent, holdTime: holdTime || 0 });
+    }
+
+    // Registra um chamador que abandonou a fila
+    recordAbandoned(queue, holdTime) {
+        this.addSample({ type: 'abandoned', queue, agent: null, holdTime: holdTime || 0 });
+    }
+
+    // Registra o fim de uma chamada atendida
+    recordCompleted(queue, agent, talkTime) {
+        this.addSample({ type: 'completed', queue, agent, talkTime: talkTime || 0 });
+    }
+
+    addSample(sample) {
+        const now = this.clock();
+        this.getStartTime(now);
+        this.samples.push({ ...sample, time: now });
+        this.prune(now);
+    }
+
+    getStartTime(now) {
+        if (this.startTime === null) {
+            this.startTime = now;
+        }
+        return this.startTime;
+    }
+
+    // Retorna o início (ms) de uma janela, ou null se a janela não existir
+    getWindowStart(windowName, now = this.clock()) {
+        const window = this.windows[windowName];
+
+        if (window === undefined) {
+            return null;
+        }
+
+        if (window === 'today') {
+            const midnight = new Date(now);
+            midnight.setHours(0, 0, 0, 0);
+            return midnight.getTime();
+        }
+
+        return now - window * 1000;
+    }
+
+    // Descarta amostras mais antigas que a maior janela configurada
+    prune(now = this.clock()) {
+        let oldest = now;
+
+        for (const windowName of Object.keys(this.windows)) {
+            oldest = Math.min(oldest, this.getWindowStart(windowName, now));
+        }
+
+        while (this.samples.length > 0 && this.samples[0].time < oldest) {
+            this.samples.shift();
+        }
+    }
+
+    /**
+     * @description Calcula as métricas de uma fila ou agente em uma janela
+     * @param {Function} filter - Seleciona as amostras consideradas
+     * @param {string} windowName - Nome da janela
+     * @param {number} [agents=1] - Quantidade de agentes usada no cálculo da ocupação
+     * @returns {Object|null} Métricas da janela, ou null se a janela não existir
+     */
+    compute(filter, windowName, agents = 1) {
+        const now = this.clock();
+        const start = this.getWindowStart(windowName, now);
+
+        if (start === null) {
+            return null;
+        }
+
+        const samples = this.samples.filter(s => s.time >= start && filter(s));
+        const answered = samples.filter(s => s.type === 'answered');
+        const abandoned = samples.filter(s => s.type === 'abandoned');
+        const completed = samples.filter(s => s.type === 'completed');
+
+        const waits = answered.concat(abandoned).map(s => s.holdTime);
+        const talkTotal = completed.reduce((total, s) => total + s.talkTime, 0);
+        const withinServiceLevel = answered.filter(s => s.holdTime <= this.serviceLevel).length;
+
+        // A ocupação considera apenas o período em que o cache estava coletando amostras
+        const elapsed = (now - Math.max(start, this.getStartTime(now))) / 1000;
+        const available = elapsed * Math.max(agents, 1);
+
+        return {
+            window: windowName,
+            answered: answered.length,
+            abandoned: abandoned.length,
+            completed: completed.length,
+            avgWait: waits.length > 0 ? Math.round(waits.reduce((a, b) => a + b, 0) / waits.length) : 0,
+            maxWait: waits.length > 0 ? Math.max(...waits) : 0,
+            avgTalk: completed.length > 0 ? Math.round(talkTotal / completed.length) : 0,
+            serviceLevel: waits.length > 0 ? Math.round(withinServiceLevel / waits.length * 10000) / 100 : 100,
+            serviceLevelThreshold: this.serviceLevel,
+            occupancy: available > 0 ? Math.min(100, Math.round(talkTotal / available * 10000) / 100) : 0
+        };
+    }
+
+    getQueueStats(queueName, windowName, agents) {
+        return this.compute(s => s.queue === queueName, windowName, agents);
+    }
+
+    getAgentStats(agent, windowName) {
+        return this.compute(s => s.agent === agent, windowName, 1);
+    }
+
+    getWindowNames() {
+        return Object.keys(this.windows);
+    }
+
+    clear() {
+        this.samples = [];
+        this.startTime = null;
+    }
+}
+
+module.exports = QueueStats;
+module.exports.DEFAULT_WINDOWS = DEFAULT_WINDOWS;
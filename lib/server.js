@@ -0,0 +1,371 @@
+/**
+ * @description Servidor HTTP com API REST e Server-Sent Events sobre o AsteriskCache
+ * @abstract
+ * Expõe as consultas e ações do cache como rotas REST e transmite os eventos de agentes
+ * e filas para navegadores via SSE. Utiliza apenas o módulo http do Node.
+ */
+const http = require('http');
+const { URL } = require('url');
+
+// Eventos do cache transmitidos aos clientes SSE
+const STREAM_EVENTS = [
+    'memberStatusChanged', 'memberPauseChanged', 'memberAdded', 'memberRemoved',
+    'memberPenaltyChanged', 'memberRingInUseChanged', 'memberPresenceChanged', 'queuesUpdated',
+    'channelAdded', 'channelChanged', 'channelRemoved', 'agentUnreachable',
+    'alertRaised', 'alertCleared', 'changes'
+];
+
+// Fila de uma operação do evento changes: /queues/<fila>/... (segmento escapado como JSON Pointer)
+function getPatchQueue(path) {
+    const segment = path.split('/')[2] || '';
+    return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+// Decodifica um parâmetro da rota; uma codificação malformada (ex: %E0) é recusada com 400
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        if (!(error instanceof URIError)) throw error;
+        const paramError = new Error('Parâmetro inválido na URL');
+        paramError.statusCode = 400;
+        throw paramError;
+    }
+}
+
+const MAX_BODY_SIZE = 1024 * 1024; // 1 MB
+const KEEPALIVE_INTERVAL = 15000; // 15 segundos
+
+// Status HTTP das ações que falharam, pelo code do erro
+const ERROR_STATUS = {
+    NOT_CONNECTED: 503,
+    ACTION_TIMEOUT: 504,
+    AMI_ERROR: 502
+};
+
+class CacheServer {
+    /**
+     * @param {AsteriskCache} cache - Instância do cache
+     * @param {Object} [options]
+     * @param {string} [options.token] - Token exigido em "Authorization: Bearer <token>" ou em ?token=
+     * @param {string} [options.cors] - Valor do cabeçalho Access-Control-Allow-Origin
+     * @param {boolean} [options.metrics=false] - Expõe as métricas do Prometheus em GET /metrics
+     */
+    constructor(cache, options = {}) {
+        this.cache = cache;
+        this.token = options.token || null;
+        this.cors = options.cors || null;
+        this.metrics = options.metrics === true;
+        this.clients = new Set();
+        this.listeners = new Map();
+        this.keepaliveTimer = null;
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        this.routes = [
+            ['GET', /^\/queues$/, () => this.cache.getQueues()],
+            ['GET', /^\/queues\/([^/]+)$/, (params) => this.cache.getQueue(params[0]) || null],
+            ['GET', /^\/queues\/([^/]+)\/agents$/, (params, query) => query.get('available') === '1'
+                ? this.cache.getAvailableAgents(params[0])
+                : this.cache.getQueueAgents(params[0])],
+            ['GET', /^\/queues\/([^/]+)\/callers$/, (params) => this.cache.getQueueCallers(params[0])],
+            ['GET', /^\/agents$/, () => this.cache.getAllAgents()],
+            ['GET', /^\/agents\/([^/]+)$/, (params) => this.cache.getAgentByExtension(params[0])],
+            ['GET', /^\/agents\/([^/]+)\/calls$/, (params) => this.cache.getMemberCalls(params[0])],
+            ['GET', /^\/channels$/, () => this.cache.getChannels()],
+            ['GET', /^\/endpoints$/, () => this.cache.getEndpoints()],
+            ['GET', /^\/alerts$/, () => this.cache.getAlerts()],
+            ['GET', /^\/snapshot$/, () => this.cache.getSnapshot()],
+            ['GET', /^\/changes$/, (params, query) => this.changesSince(query.get('since'))],
+            ['GET', /^\/labels$/, (params, query) => this.cache.getLabels(query.get('locale') || undefined)],
+            ['POST', /^\/agents\/([^/]+)\/pause$/, (params, query, body) => this.action(
+                this.cache.pauseMember(params[0], body.reason || '', body.queue))],
+            ['POST', /^\/agents\/([^/]+)\/unpause$/, (params, query, body) => this.action(
+                this.cache.unpauseMember(params[0], body.queue))],
+            ['POST', /^\/agents\/([^/]+)\/penalty$/, (params, query, body) => Number.isInteger(body.penalty)
+                ? this.action(this.cache.setMemberPenalty(params[0], body.penalty, body.queue))
+                : { status: 400, body: { error: 'Campo penalty obrigatório' } }],
+            ['POST', /^\/agents\/([^/]+)\/ringinuse$/, (params, query, body) => typeof body.ringInUse === 'boolean'
+                ? this.action(this.cache.setMemberRingInUse(params[0], body.ringInUse, body.queue))
+                : { status: 400, body: { error: 'Campo ringInUse obrigatório' } }],
+            ['POST', /^\/queues\/([^/]+)\/members$/, (params, query, body) => body.interface
+                ? this.action(this.cache.addMemberToQueue(body.interface, body.name, params[0], body.paused || 0, body.penalty || 0))
+                : { status: 400, body: { error: 'Campo interface obrigatório' } }],
+            ['DELETE', /^\/queues\/([^/]+)\/members\/([^/]+)$/, (params) => this.action(
+                this.cache.removeMemberFromQueue(params[1], params[0]))]
+        ];
+    }
+
+    // Alterações desde ?since=; 410 quando a revisão não está mais guardada e o cliente deve usar o /snapshot
+    changesSince(since) {
+        if (!/^\d+$/.test(since || '')) {
+            return { status: 400, body: { error: 'Parâmetro since obrigatório' } };
+        }
+
+        const changes = this.cache.getChangesSince(parseInt(since));
+        if (changes === null) {
+            return { status: 410, body: { error: 'Revisão indisponível, recarregue pelo /snapshot', revision: this.cache.getRevision() } };
+        }
+        return { revision: this.cache.getRevision(), changes: changes };
+    }
+
+    // Converte o resultado das ações do cache (em qualquer actionMode) em { status, body }
+    async action(promise) {
+        let success;
+        let error = null;
+
+        try {
+            const result = await promise;
+            success = result === true || (typeof result === 'object' && result !== null && result.success !== false);
+            error = (result && result.error) || null;
+        } catch (actionError) {
+            success = false;
+            error = actionError;
+        }
+
+        const body = { success: success };
+        if (error) {
+            body.error = { code: error.code || null, message: error.message };
+        }
+
+        return {
+            status: success ? 200 : (ERROR_STATUS[error && error.code] || 502),
+            body: body
+        };
+    }
+
+    /**
+     * @description Inicia o servidor e começa a transmitir os eventos do cache
+     * @param {number} port - Porta HTTP
+     * @param {string} [host] - Endereço de escuta
+     * @returns {Promise<Object>} Endereço em que o servidor está escutando
+     */
+    listen(port, host) {
+        for (const eventName of STREAM_EVENTS) {
+            const listener = (data) => this.broadcast(eventName, data);
+            this.listeners.set(eventName, listener);
+            this.cache.on(eventName, listener);
+        }
+
+        this.keepaliveTimer = setInterval(() => {
+            for (const client of this.clients) {
+                client.res.write(': keepalive\n\n');
+            }
+        }, KEEPALIVE_INTERVAL);
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => {
+                this.server.removeListener('error', reject);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    // Encerra o servidor, os clientes SSE e remove os listeners do cache
+    close() {
+        for (const [eventName, listener] of this.listeners.entries()) {
+            this.cache.removeListener(eventName, listener);
+        }
+        this.listeners.clear();
+
+        if (this.keepaliveTimer) {
+            clearInterval(this.keepaliveTimer);
+            this.keepaliveTimer = null;
+        }
+
+        for (const client of this.clients) {
+            client.res.end();
+        }
+        this.clients.clear();
+
+        return new Promise((resolve) => {
+            if (!this.server.listening) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+        });
+    }
+
+    isAuthorized(req, query) {
+        if (!this.token) return true;
+
+        const header = req.headers.authorization || '';
+        if (header === `Bearer ${this.token}`) return true;
+
+        // EventSource não permite cabeçalhos, por isso o token também é aceito na URL
+        return query.get('token') === this.token;
+    }
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (this.cors) {
+            res.setHeader('Access-Control-Allow-Origin', this.cors);
+            res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (!this.isAuthorized(req, url.searchParams)) {
+            this.send(res, 401, { error: 'Não autorizado' });
+            return;
+        }
+
+        if (req.method === 'GET' && url.pathname === '/events') {
+            this.openStream(req, res, url.searchParams);
+            return;
+        }
+
+        try {
+            if (this.metrics && req.method === 'GET' && url.pathname === '/metrics') {
+                const metrics = this.cache.getMetrics();
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(metrics);
+                return;
+            }
+
+            let pathMatched = false;
+
+            for (const [method, pattern, handler] of this.routes) {
+                const match = url.pathname.match(pattern);
+                if (!match) continue;
+
+                pathMatched = true;
+                if (req.method !== method) continue;
+
+                const params = match.slice(1).map(decodeParam);
+                const body = method === 'GET' ? {} : await this.readBody(req);
+                const result = await handler(params, url.searchParams, body);
+
+                if (result && result.status && result.body) {
+                    this.send(res, result.status, result.body);
+                } else if (result === null || result === undefined) {
+                    this.send(res, 404, { error: 'Não encontrado' });
+                } else {
+                    this.send(res, 200, result);
+                }
+                return;
+            }
+
+            if (pathMatched) {
+                this.send(res, 405, { error: 'Método não permitido' });
+            } else {
+                this.send(res, 404, { error: 'Rota não encontrada' });
+            }
+        } catch (error) {
+            this.send(res, error.statusCode || 500, { error: error.message });
+        }
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            let data = '';
+
+            req.setEncoding('utf8');
+            req.on('data', (chunk) => {
+                data += chunk;
+                if (data.length > MAX_BODY_SIZE) {
+                    const error = new Error('Corpo da requisição muito grande');
+                    error.statusCode = 413;
+                    reject(error);
+                    req.destroy();
+                }
+            });
+            req.on('end', () => {
+                if (!data) {
+                    resolve({});
+                    return;
+                }
+                let body;
+                try {
+                    body = JSON.parse(data);
+                } catch (error) {
+                    const parseError = new Error('JSON inválido');
+                    parseError.statusCode = 400;
+                    reject(parseError);
+                    return;
+                }
+                // As rotas leem os campos do corpo: null, listas e valores simples são recusados
+                if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+                    const typeError = new Error('O corpo deve ser um objeto JSON');
+                    typeError.statusCode = 400;
+                    reject(typeError);
+                    return;
+                }
+                resolve(body);
+            });
+            req.on('error', reject);
+        });
+    }
+
+    send(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(body));
+    }
+
+    // Abre um stream SSE. ?queues=fila1,fila2 limita os eventos às filas informadas e
+    // ?events=changes,memberAdded aos eventos informados
+    openStream(req, res, query) {
+        const queues = query.get('queues');
+        const events = query.get('events');
+        const client = {
+            res: res,
+            queues: queues ? queues.split(',').filter(Boolean) : null,
+            events: events ? events.split(',').filter(Boolean) : null
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write(': conectado\n\n');
+
+        this.clients.add(client);
+        req.on('close', () => this.clients.delete(client));
+    }
+
+    // Aplica o filtro de filas do cliente ao payload do evento; retorna null se não houver interesse
+    filterPayload(client, eventName, data) {
+        if (client.events && !client.events.includes(eventName)) return null;
+        if (!client.queues) return data;
+
+        if (eventName === 'queuesUpdated') {
+            return data.filter(queue => client.queues.includes(queue.name));
+        }
+
+        if (eventName === 'changes') {
+            const patch = data.patch.filter(operation => client.queues.includes(getPatchQueue(operation.path)));
+            return patch.length > 0 ? { ...data, patch: patch } : null;
+        }
+
+        if (data.queue !== undefined) {
+            return client.queues.includes(data.queue) ? data : null;
+        }
+
+        if (Array.isArray(data.queues)) {
+            const queues = data.queues.filter(queue => client.queues.includes(queue));
+            return queues.length > 0 ? { ...data, queues: queues } : null;
+        }
+
+        return data;
+    }
+
+    broadcast(eventName, data) {
+        for (const client of this.clients) {
+            const payload = this.filterPayload(client, eventName, data);
+            if (payload === null) continue;
+
+            client.res.write(`event: ${eventName}\ndata: ${JSON.stringify(payload)}\n\n`);
+        }
+    }
+}
+
+module.exports = CacheServer;
+module.exports.STREAM_EVENTS = STREAM_EVENTS;
@@ -0,0 +1,46 @@
+/**
+ * @description Armazenamento de snapshots do cache em arquivo
+ * @abstract
+ * Permite que o cache sirva os últimos dados conhecidos logo após reiniciar, antes da primeira
+ * sincronização com o Asterisk. Qualquer objeto com os métodos load() e save(snapshot) pode
+ * substituir esta implementação (load pode ser síncrono ou retornar uma Promise).
+ */
+const fs = require('fs');
+const path = require('path');
+
+class FileSnapshotStore {
+    /**
+     * @param {string} filePath - Caminho do arquivo JSON do snapshot
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    /**
+     * @description Lê o snapshot do disco
+     * @returns {Object|null} Snapshot salvo, ou null se o arquivo não existir ou for inválido
+     */
+    load() {
+        try {
+            const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return snapshot && Array.isArray(snapshot.queues) ? snapshot : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @description Grava o snapshot em um arquivo temporário e o renomeia, para nunca deixar
+     * um arquivo parcialmente escrito caso o processo seja encerrado durante a gravação
+     * @param {Object} snapshot - Snapshot a ser gravado
+     * @returns {Promise<void>}
+     */
+    async save(snapshot) {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(snapshot));
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+}
+
+module.exports = FileSnapshotStore;
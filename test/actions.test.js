@@ -0,0 +1,176 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { Actions } = require('nami');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, connectCache } = require('./helpers/cache');
+const { NotConnectedError, ActionTimeoutError, AmiResponseError } = require('../index');
+
+describe('ações', () => {
+    let server;
+    let cache;
+
+    beforeEach(async () => {
+        server = new FakeAmiServer({
+            queues: [
+                { name: 'suporte', members: [{ interface: 'SIP/1001' }] },
+                { name: 'vendas', members: [{ interface: 'SIP/1001' }] }
+            ]
+        });
+        await server.start();
+        cache = createCache(server.config);
+        await connectCache(cache);
+    });
+
+    afterEach(async () => {
+        await cache.destroy();
+        await server.stop();
+    });
+
+    describe('_send', () => {
+        it('rejeita quando não está conectado', async () => {
+            await cache.disconnect();
+
+            await assert.rejects(
+                cache._send(new Actions.Ping()),
+                (error) => error instanceof NotConnectedError && error.code === 'NOT_CONNECTED'
+                    && error.message === 'Não conectado ao Asterisk'
+            );
+        });
+
+        it('rejeita após o timeout quando o Asterisk não responde', async () => {
+            server.setHandler('Ping', null);
+            const startedAt = Date.now();
+
+            await assert.rejects(
+                cache._send(new Actions.Ping(), 150),
+                (error) => error instanceof ActionTimeoutError && error.timeout === 150
+                    && error.message === 'Timeout ao enviar ação Ping para o Asterisk'
+            );
+            assert.ok(Date.now() - startedAt >= 140);
+        });
+
+        it('rejeita com a mensagem de erro do Asterisk', async () => {
+            const action = new Actions.QueueRemove('SIP/9999', 'suporte');
+            await assert.rejects(cache._send(action), (error) => {
+                assert.ok(error instanceof AmiResponseError);
+                assert.strictEqual(error.message, 'Erro do Asterisk: Unable to remove interface: Not there');
+                assert.strictEqual(error.asteriskMessage, 'Unable to remove interface: Not there');
+                assert.strictEqual(error.actionId, action.ActionID);
+                assert.strictEqual(error.action, 'QueueRemove');
+                return true;
+            });
+        });
+
+        it('rejeita as ações pendentes quando a conexão cai', async () => {
+            server.setHandler('Ping', null);
+            const pending = cache._send(new Actions.Ping(), 2000);
+            server.dropConnections();
+
+            await assert.rejects(pending, (error) => error instanceof NotConnectedError && error.action === 'Ping');
+        });
+
+        it('resolve com a resposta do Asterisk', async () => {
+            const response = await cache._send(new Actions.Ping());
+            assert.strictEqual(response.response, 'Success');
+            assert.strictEqual(response.ping, 'Pong');
+        });
+    });
+
+    it('pausa e despausa o agente em todas as filas', async () => {
+        const paused = waitFor(cache, 'memberPauseChanged', 1500);
+        assert.strictEqual(await cache.pauseMember('SIP/1001', 'Almoco'), true);
+
+        const data = await paused;
+        assert.deepStrictEqual(data.queues, ['suporte', 'vendas']);
+        assert.strictEqual(data.member.pausedReason, 'Almoco');
+
+        const action = server.actions.find(a => a.action === 'QueuePause');
+        assert.strictEqual(action.interface, 'SIP/1001');
+        assert.strictEqual(action.queue, undefined);
+
+        const unpaused = waitFor(cache, 'memberPauseChanged', 1500);
+        assert.strictEqual(await cache.unpauseMember('SIP/1001'), true);
+        assert.strictEqual((await unpaused).paused, 0);
+    });
+
+    it('adiciona e remove um agente da fila', async () => {
+        const added = waitFor(cache, 'memberAdded');
+        assert.strictEqual(await cache.addMemberToQueue('SIP/1002', 'Maria', 'suporte'), true);
+        assert.strictEqual((await added).member.name, 'Maria');
+        assert.strictEqual(cache.getQueueAgents('suporte').length, 2);
+
+        const removed = waitFor(cache, 'memberRemoved');
+        assert.strictEqual(await cache.removeMemberFromQueue('SIP/1002', 'suporte'), true);
+        assert.strictEqual((await removed).member.extension, 'SIP/1002');
+        assert.strictEqual(cache.getQueueAgents('suporte').length, 1);
+    });
+
+    it('retorna false quando o Asterisk recusa a ação', async () => {
+        assert.strictEqual(await cache.addMemberToQueue('SIP/1001', 'Juca', 'suporte'), false);
+        assert.strictEqual(await cache.pauseMember('SIP/9999'), false);
+    });
+
+    describe('actionMode', () => {
+        it('result retorna o sucesso, a resposta e o erro tipado', async () => {
+            cache.actionMode = 'result';
+
+            const ok = await cache.addMemberToQueue('SIP/1002', 'Maria', 'suporte');
+            assert.strictEqual(ok.success, true);
+            assert.strictEqual(ok.response.response, 'Success');
+            assert.strictEqual(ok.error, null);
+
+            const failed = await cache.pauseMember('SIP/9999');
+            assert.strictEqual(failed.success, false);
+            assert.ok(failed.error instanceof AmiResponseError);
+            assert.strictEqual(failed.error.asteriskMessage, 'Interface not found');
+        });
+
+        it('throw resolve com a resposta ou rejeita com o erro tipado', async () => {
+            cache.actionMode = 'throw';
+
+            const response = await cache.addMemberToQueue('SIP/1002', 'Maria', 'suporte');
+            assert.strictEqual(response.response, 'Success');
+
+            await assert.rejects(cache.removeMemberFromQueue('SIP/9999', 'suporte'), AmiResponseError);
+
+            server.setHandler('QueuePause', null);
+            cache._send = ((send) => (action) => send.call(cache, action, 100))(cache._send);
+            await assert.rejects(cache.pauseMember('SIP/1001'), ActionTimeoutError);
+
+            await cache.disconnect();
+            await assert.rejects(cache.unpauseMember('SIP/1001'), NotConnectedError);
+        });
+
+        it('rejeita um modo inválido na construção', () => {
+            assert.throws(() => createCache({ ...server.config, actionMode: 'x' }), /actionMode inválido/);
+        });
+    });
+
+    describe('logger', () => {
+        it('registra as ações com campos estruturados no logger da configuração', async () => {
+            const entries = [];
+            const logger = {
+                info: (message, fields) => entries.push({ level: 'info', message, fields }),
+                error: (message, fields) => entries.push({ level: 'error', message, fields })
+            };
+            const logged = createCache({ ...server.config, logger: logger });
+            try {
+                await connectCache(logged);
+                await logged.pauseMember('SIP/1001', 'Almoco');
+                await logged.pauseMember('SIP/9999');
+            } finally {
+                await logged.destroy();
+            }
+
+            assert.deepStrictEqual(entries[0], {
+                level: 'info',
+                message: 'Membro pausado',
+                fields: { interface: 'SIP/1001', reason: 'Almoco' }
+            });
+            assert.strictEqual(entries[1].level, 'error');
+            assert.strictEqual(entries[1].message, 'Erro ao pausar membro');
+            assert.strictEqual(entries[1].fields.code, 'AMI_ERROR');
+            assert.strictEqual(entries[1].fields.error, 'Erro do Asterisk: Interface not found');
+        });
+    });
+});
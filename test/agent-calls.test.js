@@ -0,0 +1,141 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, connectCache } = require('./helpers/cache');
+
+const NOW = 1714321200000;
+
+const CALL = {
+    Queue: 'suporte', Interface: 'SIP/1001', Channel: 'SIP/trunk-0001', DestChannel: 'SIP/1001-0001',
+    Uniqueid: '1714321200.1', CallerIDNum: '4830001000', CallerIDName: 'Cliente'
+};
+
+describe('chamadas dos agentes', () => {
+    let server;
+    let cache;
+    let now;
+
+    beforeEach(async () => {
+        server = new FakeAmiServer({
+            queues: [
+                { name: 'suporte', members: [{ interface: 'SIP/1001' }, { interface: 'SIP/1002' }] },
+                { name: 'vendas', members: [{ interface: 'SIP/1001' }] }
+            ]
+        });
+        await server.start();
+        now = NOW;
+        cache = createCache(server.config, { clock: () => now });
+        await connectCache(cache);
+    });
+
+    afterEach(async () => {
+        await cache.destroy();
+        await server.stop();
+    });
+
+    // Chamada atual do membro em cada fila
+    function currentCalls(extension) {
+        return cache.getQueues()
+            .map(queue => queue.members.find(m => m.extension === extension))
+            .filter(Boolean)
+            .map(member => member.currentCall);
+    }
+
+    it('acompanha a chamada do toque ao fim com os tempos de espera e de conversação', async () => {
+        const ringing = waitFor(cache, 'agentRinging');
+        server.pushEvent({ Event: 'AgentCalled', ...CALL });
+
+        const ringingCall = {
+            state: 'ringing',
+            queue: 'suporte',
+            channel: 'SIP/trunk-0001',
+            destChannel: 'SIP/1001-0001',
+            uniqueId: '1714321200.1',
+            callerIdNum: '4830001000',
+            callerIdName: 'Cliente',
+            ringStart: NOW / 1000,
+            connectTime: null,
+            holdTime: null,
+            ringTime: null
+        };
+        assert.deepStrictEqual(await ringing, { interface: 'SIP/1001', queues: ['suporte', 'vendas'], call: ringingCall });
+        // A chamada é marcada em todas as filas do agente
+        assert.deepStrictEqual(currentCalls('SIP/1001'), [ringingCall, ringingCall]);
+        assert.strictEqual(cache.getAgentByExtension('SIP/1001').presence, 'ringing');
+
+        now += 3000;
+        const connected = waitFor(cache, 'agentConnected');
+        server.pushEvent({ Event: 'AgentConnect', ...CALL, HoldTime: 8, RingTime: 3 });
+
+        const connectedCall = { ...ringingCall, state: 'connected', connectTime: NOW / 1000 + 3, holdTime: 8, ringTime: 3 };
+        assert.deepStrictEqual(await connected, { interface: 'SIP/1001', queues: ['suporte', 'vendas'], call: connectedCall });
+        assert.strictEqual(cache.getAgentByExtension('SIP/1001').presence, 'on-call');
+
+        now += 90 * 1000;
+        const ended = waitFor(cache, 'agentCallEnded');
+        server.pushEvent({ Event: 'AgentComplete', ...CALL, HoldTime: 8, TalkTime: 90, Reason: 'agent' });
+
+        assert.deepStrictEqual(await ended, {
+            interface: 'SIP/1001',
+            queues: ['suporte', 'vendas'],
+            call: connectedCall,
+            holdTime: 8,
+            talkTime: 90,
+            ringTime: null,
+            reason: 'agent'
+        });
+        assert.deepStrictEqual(currentCalls('SIP/1001'), [null, null]);
+
+        const agent = cache.getAgentByExtension('SIP/1001');
+        assert.strictEqual(agent.inCall, 0);
+        assert.strictEqual(agent.presence, 'available');
+        // O fim da chamada atendida é o lastCall da fila da chamada
+        assert.strictEqual(cache.getQueue('suporte').members[0].lastCall, NOW / 1000 + 93);
+    });
+
+    it('encerra a chamada não atendida pelo AgentRingNoAnswer', async () => {
+        const ringing = waitFor(cache, 'agentRinging');
+        server.pushEvent({ Event: 'AgentCalled', ...CALL });
+        await ringing;
+
+        now += 15 * 1000;
+        const ended = waitFor(cache, 'agentCallEnded');
+        server.pushEvent({ Event: 'AgentRingNoAnswer', ...CALL, RingTime: 15 });
+
+        const { call, holdTime, talkTime, ringTime, reason } = await ended;
+        assert.strictEqual(call.state, 'ringing');
+        assert.strictEqual(holdTime, null);
+        assert.strictEqual(talkTime, 0);
+        assert.strictEqual(ringTime, 15);
+        assert.strictEqual(reason, 'ringnoanswer');
+
+        assert.deepStrictEqual(currentCalls('SIP/1001'), [null, null]);
+        assert.strictEqual(cache.getAgentByExtension('SIP/1001').presence, 'available');
+        // Sem atendimento o lastCall não muda
+        assert.strictEqual(cache.getQueue('suporte').members[0].lastCall, 0);
+        assert.strictEqual(cache.getQueueStats('suporte').completed, 0);
+    });
+
+    it('ignora o fim de outra chamada e as interfaces que não são membros', async () => {
+        const events = [];
+        for (const eventName of ['agentRinging', 'agentConnected', 'agentCallEnded']) {
+            cache.on(eventName, data => events.push([eventName, data.interface]));
+        }
+
+        const ringing = waitFor(cache, 'agentRinging');
+        server.pushEvent({ Event: 'AgentCalled', ...CALL });
+        await ringing;
+
+        const paused = waitFor(cache, 'memberPauseChanged');
+        server.pushEvents([
+            { Event: 'AgentRingNoAnswer', ...CALL, Channel: 'SIP/trunk-0002', RingTime: 15 },
+            { Event: 'AgentCalled', ...CALL, Interface: 'SIP/9999' },
+            { Event: 'QueueMemberPause', Queue: 'suporte', Interface: 'SIP/1002', Paused: 1, PausedReason: 'Almoco' }
+        ]);
+        await paused;
+
+        assert.deepStrictEqual(events, [['agentRinging', 'SIP/1001']]);
+        assert.deepStrictEqual(currentCalls('SIP/1001').map(call => call.channel), ['SIP/trunk-0001', 'SIP/trunk-0001']);
+        assert.strictEqual(cache.getAgentByExtension('SIP/9999'), null);
+    });
+});
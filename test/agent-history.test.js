@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const AgentHistory = require('../lib/agent-history');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { replayJournal } = require('../lib/journal');
+const { createCache, waitFor, connectCache } = require('./helpers/cache');
+
+describe('histórico dos agentes', () => {
+    it('grava apenas as mudanças de status e de pausa', () => {
+        const history = new AgentHistory();
+
+        history.update('SIP/1001', { status: 1, paused: 0 }, 1000);
+        history.update('SIP/1001', { status: 1, paused: 0 }, 1010);
+        const since = history.update('SIP/1001', { status: 1, paused: 1, pausedReason: 'Almoco' }, 1020);
+
+        assert.deepStrictEqual(since, { stateSince: 1000, pauseSince: 1020 });
+        assert.deepStrictEqual(history.getTransitions('SIP/1001'), [
+            { at: 1000, status: 1, paused: 0, pausedReason: '' },
+            { at: 1020, status: 1, paused: 1, pausedReason: 'Almoco' }
+        ]);
+
+        assert.deepStrictEqual(history.update('SIP/1001', { status: 2, paused: 1, pausedReason: 'Almoco' }, 1030),
+            { stateSince: 1030, pauseSince: 1020 });
+        assert.deepStrictEqual(history.update('SIP/1001', { status: 2, paused: 0 }, 1040),
+            { stateSince: 1030, pauseSince: null });
+    });
+
+    it('usa o lastPause do Asterisk quando o agente já está pausado na primeira vez', () => {
+        const history = new AgentHistory();
+        const since = history.update('SIP/1001', { status: 1, paused: 1, pausedReason: 'Almoco', lastPause: 900 }, 1000);
+        assert.deepStrictEqual(since, { stateSince: 1000, pauseSince: 900 });
+    });
+
+    it('limita o número de transições por agente', () => {
+        const history = new AgentHistory({ maxTransitions: 3 });
+        for (let i = 0; i < 10; i++) {
+            history.update('SIP/1001', { status: i % 2 ? 2 : 1, paused: 0 }, 1000 + i);
+        }
+
+        const transitions = history.getTransitions('SIP/1001');
+        assert.strictEqual(transitions.length, 3);
+        assert.strictEqual(transitions[0].at, 1007);
+    });
+
+    it('soma o tempo por status e por motivo de pausa dentro do intervalo', () => {
+        const history = new AgentHistory();
+        history.update('SIP/1001', { status: 1, paused: 0 }, 1000);
+        history.update('SIP/1001', { status: 2, paused: 0 }, 1100);
+        history.update('SIP/1001', { status: 1, paused: 0 }, 1300);
+        history.update('SIP/1001', { status: 1, paused: 1, pausedReason: 'Almoco' }, 1400);
+        history.update('SIP/1001', { status: 1, paused: 1, pausedReason: 'Treinamento' }, 1700);
+        history.update('SIP/1001', { status: 1, paused: 0 }, 1750);
+
+        assert.deepStrictEqual(history.getTimeInState('SIP/1001', 1050, 1800), {
+            extension: 'SIP/1001',
+            from: 1050,
+            to: 1800,
+            total: 750,
+            paused: 350,
+            byStatus: { 1: 550, 2: 200 },
+            byPauseReason: { Almoco: 300, Treinamento: 50 }
+        });
+
+        assert.strictEqual(history.getTimeInState('SIP/1001', undefined, 1200).total, 200);
+        assert.strictEqual(history.getTimeInState('SIP/9999'), null);
+    });
+
+    it('mede o intervalo atual até o relógio do cache na reprodução do diário', async () => {
+        const t0 = 1714321200000;
+        const member = {
+            name: 'SIP/1001', extension: 'SIP/1001', stateInterface: 'SIP/1001', membership: 'dynamic', penalty: 0,
+            callsTaken: 0, lastCall: 0, lastPause: 0, loginTime: 0, inCall: 0, status: 1, paused: 0,
+            pausedReason: '', wrapupTime: 0, ringInUse: true, currentCall: null
+        };
+        const entries = [
+            { t: t0, type: 'sync', queues: [{ name: 'suporte', members: [member], callers: [] }] },
+            { t: t0 + 60000, type: 'event', event: { event: 'QueueMemberPause', queue: 'suporte', interface: 'SIP/1001', paused: '1', pausedreason: 'Almoco', lastpause: '0' } },
+            { t: t0 + 60000, type: 'coalesced', eventType: 'QueueMemberPause', extension: 'SIP/1001' },
+            { t: t0 + 90000, type: 'event', event: { event: 'QueueCallerJoin', queue: 'suporte', channel: 'SIP/trunk-0001', position: '1' } }
+        ];
+
+        const replayed = await replayJournal(entries, { config: { logLevel: 'silent' } });
+        try {
+            // Sem o fim informado, o intervalo termina no instante da última entrada e não no horário real
+            assert.deepStrictEqual(replayed.getAgentTimeInState('SIP/1001'), {
+                extension: 'SIP/1001',
+                from: t0 / 1000,
+                to: t0 / 1000 + 90,
+                total: 90,
+                paused: 30,
+                byStatus: { 1: 90 },
+                byPauseReason: { Almoco: 30 }
+            });
+        } finally {
+            await replayed.destroy();
+        }
+    });
+
+    describe('no cache', () => {
+        let server;
+        let cache;
+
+        beforeEach(async () => {
+            server = new FakeAmiServer({
+                queues: [
+                    { name: 'suporte', members: [{ interface: 'SIP/1001' }] },
+                    { name: 'vendas', members: [{ interface: 'SIP/1001' }] }
+                ]
+            });
+            await server.start();
+            cache = createCache(server.config, { eventTimeout: 50 });
+            await connectCache(cache);
+        });
+
+        afterEach(async () => {
+            await cache.destroy();
+            await server.stop();
+        });
+
+        it('marca stateSince e pauseSince nos membros a cada transição processada', async () => {
+            const agent = cache.getAgentByExtension('SIP/1001');
+            assert.ok(agent.stateSince > 0);
+            assert.strictEqual(agent.pauseSince, null);
+
+            const paused = waitFor(cache, 'memberPauseChanged');
+            await cache.pauseMember('SIP/1001', 'Almoco', 'suporte');
+            const { member } = await paused;
+
+            assert.ok(member.pauseSince >= agent.stateSince);
+            assert.strictEqual(member.stateSince, agent.stateSince);
+            // O agente pausado em uma fila é considerado pausado em todas
+            assert.strictEqual(cache.getQueue('vendas').members[0].pauseSince, member.pauseSince);
+
+            const transitions = cache.getAgentHistory('SIP/1001');
+            assert.strictEqual(transitions.length, 2);
+            assert.strictEqual(transitions[1].pausedReason, 'Almoco');
+
+            const totals = cache.getAgentTimeInState('SIP/1001', agent.stateSince, member.pauseSince + 60);
+            assert.strictEqual(totals.byPauseReason.Almoco, 60);
+        });
+    });
+});
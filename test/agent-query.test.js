@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { compileFilter, queryAgents, getIdleSeconds } = require('../lib/agent-query');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, connectCache } = require('./helpers/cache');
+
+const NOW = 10000;
+const clock = () => NOW * 1000;
+
+const agents = [
+    { extension: 'SIP/1001', name: 'Ana', status: 1, paused: 0, penalty: 0, callsTaken: 5, lastCall: 9000, membership: 'dynamic', inCall: 0, queues: ['suporte', 'vendas'] },
+    { extension: 'SIP/1002', name: 'Bruno', status: 2, paused: 0, penalty: 1, callsTaken: 2, lastCall: 9900, membership: 'static', inCall: 1, queues: ['suporte'] },
+    { extension: 'SIP/1003', name: 'Carla', status: 1, paused: 1, pausedReason: 'Almoco', penalty: 2, callsTaken: 8, lastCall: 9500, membership: 'dynamic', inCall: 0, queues: ['vendas'] },
+    { extension: 'SIP/1004', name: 'Daniel', status: 5, paused: 0, penalty: 3, callsTaken: 0, lastCall: 0, loginTime: 9700, membership: 'dynamic', inCall: 0, queues: ['suporte'] }
+];
+
+function extensions(result) {
+    return result.agents.map(agent => agent.extension);
+}
+
+describe('consulta de agentes', () => {
+    it('combina os critérios', () => {
+        const match = (criteria) => agents.filter(compileFilter(criteria, clock)).map(agent => agent.extension);
+
+        assert.deepStrictEqual(match({ status: [1, 5] }), ['SIP/1001', 'SIP/1003', 'SIP/1004']);
+        assert.deepStrictEqual(match({ status: 1, paused: false }), ['SIP/1001']);
+        assert.deepStrictEqual(match({ pausedReason: ['Almoco', 'Treinamento'] }), ['SIP/1003']);
+        assert.deepStrictEqual(match({ anyQueue: ['vendas'] }), ['SIP/1001', 'SIP/1003']);
+        assert.deepStrictEqual(match({ allQueues: ['suporte', 'vendas'] }), ['SIP/1001']);
+        assert.deepStrictEqual(match({ penalty: { min: 1, max: 2 } }), ['SIP/1002', 'SIP/1003']);
+        assert.deepStrictEqual(match({ search: 'car' }), ['SIP/1003']);
+        assert.deepStrictEqual(match({ search: '1004' }), ['SIP/1004']);
+        assert.deepStrictEqual(match({ membership: 'static' }), ['SIP/1002']);
+        assert.deepStrictEqual(match({ idleFor: 300 }), ['SIP/1001', 'SIP/1003']);
+        assert.deepStrictEqual(match({}), agents.map(agent => agent.extension));
+    });
+
+    it('calcula a ociosidade pela última chamada ou pelo login', () => {
+        assert.strictEqual(getIdleSeconds(agents[0], NOW), 1000);
+        assert.strictEqual(getIdleSeconds(agents[1], NOW), 0);
+        assert.strictEqual(getIdleSeconds(agents[3], NOW), 300);
+    });
+
+    it('ordena e pagina', () => {
+        const longestIdle = queryAgents(agents, {}, { sortBy: 'idle', order: 'desc', clock });
+        assert.deepStrictEqual(extensions(longestIdle), ['SIP/1001', 'SIP/1003', 'SIP/1004', 'SIP/1002']);
+
+        const fewestCalls = queryAgents(agents, { paused: false }, { sortBy: 'callsTaken', offset: 1, limit: 1 });
+        assert.strictEqual(fewestCalls.total, 3);
+        assert.strictEqual(fewestCalls.offset, 1);
+        assert.strictEqual(fewestCalls.limit, 1);
+        assert.deepStrictEqual(extensions(fewestCalls), ['SIP/1002']);
+
+        const byName = queryAgents(agents, {}, { sortBy: 'name', order: 'desc' });
+        assert.deepStrictEqual(extensions(byName), ['SIP/1004', 'SIP/1003', 'SIP/1002', 'SIP/1001']);
+    });
+
+    describe('no cache', () => {
+        let server;
+        let cache;
+
+        beforeEach(async () => {
+            server = new FakeAmiServer({
+                queues: [
+                    { name: 'suporte', members: [{ interface: 'SIP/1001', penalty: 1 }, { interface: 'SIP/1002' }] },
+                    { name: 'vendas', members: [{ interface: 'SIP/1001', penalty: 3 }] }
+                ]
+            });
+            await server.start();
+            cache = createCache(server.config, { eventTimeout: 50 });
+            await connectCache(cache);
+        });
+
+        afterEach(async () => {
+            await cache.destroy();
+            await server.stop();
+        });
+
+        it('consulta os valores do membro na fila informada', () => {
+            assert.deepStrictEqual(extensions(cache.queryAgents({ penalty: { min: 2 } })), []);
+            assert.deepStrictEqual(extensions(cache.queryAgents({ penalty: { min: 2 } }, { queue: 'vendas' })), ['SIP/1001']);
+
+            const result = cache.queryAgents({ anyQueue: ['suporte'] }, { sortBy: 'penalty', order: 'desc' });
+            assert.strictEqual(result.total, 2);
+            assert.deepStrictEqual(extensions(result), ['SIP/1001', 'SIP/1002']);
+            assert.deepStrictEqual(result.agents[0].queues, ['suporte', 'vendas']);
+        });
+
+        it('entrega à assinatura apenas os eventos dos agentes que atendem aos critérios', async () => {
+            const received = [];
+            const unsubscribe = cache.subscribe('memberStatusChanged', { allQueues: ['suporte', 'vendas'], status: 2 },
+                data => received.push(data.member.extension));
+
+            for (const iface of ['SIP/1002', 'SIP/1001']) {
+                const changed = waitFor(cache, 'memberStatusChanged');
+                server.pushEvent({
+                    Event: 'QueueMemberStatus',
+                    ...server.memberFields('suporte', server.buildMember({ interface: iface, status: 2 }))
+                });
+                await changed;
+            }
+            assert.deepStrictEqual(received, ['SIP/1001']);
+
+            unsubscribe();
+            const changed = waitFor(cache, 'memberStatusChanged');
+            server.pushEvent({
+                Event: 'QueueMemberStatus',
+                ...server.memberFields('vendas', server.buildMember({ interface: 'SIP/1001', status: 2 }))
+            });
+            await changed;
+            assert.deepStrictEqual(received, ['SIP/1001']);
+        });
+    });
+});
@@ -0,0 +1,171 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const AlertEngine = require('../lib/alert-engine');
+const { ConfigError } = require('../lib/errors');
+const { createCache } = require('./helpers/cache');
+
+const NOW = 1714321200;
+
+function queueState(name, callers, availableAgents = 1, members = []) {
+    return {
+        queue: { name: name, members: members, callers: Array.from({ length: callers }, () => ({ joinTime: NOW })) },
+        availableAgents: availableAgents
+    };
+}
+
+function member(extension, fields = {}) {
+    return {
+        name: extension, extension: extension, stateInterface: extension, membership: 'dynamic', penalty: 0,
+        callsTaken: 0, lastCall: 0, lastPause: 0, loginTime: 0, inCall: 0, status: 1, paused: 0,
+        pausedReason: '', wrapupTime: 0, ringInUse: true, currentCall: null, ...fields
+    };
+}
+
+describe('alertas', () => {
+    it('aplica histerese, duração mínima e cooldown', () => {
+        const events = [];
+        const engine = new AlertEngine([
+            { id: 'fila-cheia', metric: 'callers', op: '>', threshold: 5, clearThreshold: 2, for: 10, cooldown: 60 }
+        ], {
+            onRaise: alert => events.push(['raised', alert.queue, alert.value, alert.raisedAt]),
+            onClear: alert => events.push(['cleared', alert.queue, alert.value, alert.duration])
+        });
+        const evaluate = (callers, at) => engine.evaluate({ queues: [queueState('suporte', callers)], agents: [] }, at);
+
+        evaluate(6, NOW);
+        evaluate(7, NOW + 5); // Ainda não completou os 10 segundos
+        assert.deepStrictEqual(events, []);
+        evaluate(7, NOW + 10);
+        assert.deepStrictEqual(events, [['raised', 'suporte', 7, NOW + 10]]);
+
+        // Entre o limite de encerramento e o de alerta, o alerta continua levantado
+        evaluate(4, NOW + 20);
+        assert.strictEqual(engine.getActive()[0].value, 4);
+        evaluate(2, NOW + 30);
+        assert.deepStrictEqual(events[1], ['cleared', 'suporte', 2, 20]);
+
+        // Cooldown: a condição volta, mas o alerta só é levantado 60 segundos após o anterior
+        evaluate(9, NOW + 40);
+        evaluate(9, NOW + 55);
+        assert.strictEqual(events.length, 2);
+        evaluate(9, NOW + 70);
+        assert.deepStrictEqual(events[2], ['raised', 'suporte', 9, NOW + 70]);
+        assert.strictEqual(engine.getActive()[0].since, NOW + 40);
+    });
+
+    it('avalia condições adicionais e encerra os alertas de filas que deixaram de existir', () => {
+        const events = [];
+        const engine = new AlertEngine([
+            {
+                id: 'sem-agentes',
+                metric: 'availableAgents',
+                op: '==',
+                threshold: 0,
+                when: [{ metric: 'callers', op: '>', value: 0 }],
+                severity: 'critical'
+            },
+            { id: 'muitas-pausas', queues: ['vendas'], metric: 'pausedRatio', op: '>', threshold: 0.4 }
+        ], {
+            onRaise: alert => events.push(['raised', alert.id, alert.severity]),
+            onClear: alert => events.push(['cleared', alert.id])
+        });
+        const members = [member('SIP/1'), member('SIP/2', { paused: 1 }), member('SIP/3', { paused: 1 })];
+
+        engine.evaluate({ queues: [queueState('suporte', 0, 0), queueState('vendas', 0, 1, members)], agents: [] }, NOW);
+        assert.deepStrictEqual(events, [['raised', 'muitas-pausas|vendas', 'warning']]);
+
+        engine.evaluate({ queues: [queueState('suporte', 1, 0), queueState('vendas', 0, 1, members)], agents: [] }, NOW);
+        assert.deepStrictEqual(events[1], ['raised', 'sem-agentes|suporte', 'critical']);
+
+        engine.evaluate({ queues: [queueState('suporte', 1, 0)], agents: [] }, NOW);
+        assert.deepStrictEqual(events[2], ['cleared', 'muitas-pausas|vendas']);
+        assert.deepStrictEqual(engine.getActive().map(alert => alert.id), ['sem-agentes|suporte']);
+    });
+
+    it('rejeita regras inválidas com todos os problemas', () => {
+        assert.throws(() => new AlertEngine([
+            { id: 'a', metric: 'callers', op: '>', threshold: 1 },
+            { id: 'a', metric: 'pausedFor', op: '=>', threshold: '1' }
+        ]), (error) => {
+            assert.ok(error instanceof ConfigError);
+            assert.deepStrictEqual(error.errors, [
+                'alerts.rules[1].id repetido: a',
+                'alerts.rules[1].metric inválido: pausedFor (use callers, longestWait, members, availableAgents, pausedMembers, pausedRatio ou uma função)',
+                'alerts.rules[1].op inválido: => (use >, >=, <, <=, ==, !=)',
+                'alerts.rules[1].threshold deve ser um número',
+                'alerts.rules[1].threshold é obrigatório'
+            ]);
+            return true;
+        });
+    });
+
+    describe('no cache', () => {
+        let cache;
+
+        afterEach(async () => {
+            await cache.destroy();
+        });
+
+        it('aplica os filtros que dependem do tempo pelo relógio do cache', () => {
+            let now = NOW * 1000;
+            cache = createCache({
+                offline: true,
+                eventTimeout: 0,
+                alerts: {
+                    rules: [{ id: 'ocioso', scope: 'agent', filter: { idleFor: 600 }, metric: 'idleFor', op: '>=', threshold: 0 }]
+                }
+            }, { clock: () => now });
+            const raised = [];
+            cache.on('alertRaised', alert => raised.push(alert.agent));
+
+            // Ocioso há 100 segundos no relógio do cache (e há muito mais no relógio do sistema)
+            const members = [member('SIP/1001', { lastCall: NOW - 100 })];
+            cache.applyQueues(new Map([['suporte', { name: 'suporte', members: members, callers: [] }]]));
+            assert.deepStrictEqual(raised, []);
+
+            now += 501 * 1000;
+            cache.evaluateAlerts();
+            assert.deepStrictEqual(raised, ['SIP/1001']);
+        });
+
+        it('emite alertRaised e alertCleared para agentes em pausa longa', async () => {
+            let now = NOW * 1000;
+            cache = createCache({
+                offline: true,
+                eventTimeout: 0,
+                alerts: {
+                    rules: [{
+                        id: 'banheiro-longo',
+                        scope: 'agent',
+                        filter: { pausedReason: 'Banheiro' },
+                        metric: 'pausedFor',
+                        op: '>',
+                        threshold: 900
+                    }]
+                }
+            }, { clock: () => now });
+            const raised = [];
+            const cleared = [];
+            cache.on('alertRaised', alert => raised.push(alert));
+            cache.on('alertCleared', alert => cleared.push(alert));
+
+            const members = [member('SIP/1001', { paused: 1, pausedReason: 'Banheiro' }), member('SIP/1002', { paused: 1, pausedReason: 'Almoco' })];
+            cache.applyQueues(new Map([['suporte', { name: 'suporte', members: members, callers: [] }]]));
+            assert.deepStrictEqual(raised, []);
+
+            now += 901 * 1000;
+            cache.evaluateAlerts();
+            assert.strictEqual(raised.length, 1);
+            assert.strictEqual(raised[0].ruleId, 'banheiro-longo');
+            assert.strictEqual(raised[0].agent, 'SIP/1001');
+            assert.strictEqual(raised[0].value, 901);
+            assert.deepStrictEqual(cache.getAlerts().map(alert => alert.id), ['banheiro-longo|SIP/1001']);
+
+            // Ao sair da pausa o agente deixa de atender ao filtro e o alerta é encerrado
+            await cache.handleEvent({ event: 'QueueMemberPause', queue: 'suporte', interface: 'SIP/1001', paused: '0', pausedreason: '', lastpause: '0' });
+            assert.strictEqual(cleared.length, 1);
+            assert.strictEqual(cleared[0].duration, 0);
+            assert.deepStrictEqual(cache.getAlerts(), []);
+        });
+    });
+});
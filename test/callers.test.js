@@ -0,0 +1,156 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, delay, connectCache } = require('./helpers/cache');
+
+const NOW = 1714321200000;
+
+function join(channel, position, fields = {}) {
+    return {
+        Event: 'QueueCallerJoin', Queue: 'suporte', Channel: channel, Uniqueid: `${channel}.1`,
+        CallerIDNum: '4830001000', CallerIDName: 'Cliente', Position: position, ...fields
+    };
+}
+
+function leave(channel, fields = {}) {
+    return { Event: 'QueueCallerLeave', Queue: 'suporte', Channel: channel, ...fields };
+}
+
+describe('chamadores em espera', () => {
+    let server;
+    let cache;
+    let now;
+
+    beforeEach(async () => {
+        server = new FakeAmiServer({
+            queues: [{ name: 'suporte', members: [{ interface: 'SIP/1001' }] }]
+        });
+        server.queues.get('suporte').callers.push({ channel: 'SIP/trunk-0001', callerIdNum: '4830001000', wait: 30 });
+        await server.start();
+        now = NOW;
+        cache = createCache(server.config, { clock: () => now });
+        await connectCache(cache);
+    });
+
+    afterEach(async () => {
+        await cache.destroy();
+        await server.stop();
+    });
+
+    it('carrega os chamadores do QueueStatus com o tempo de espera', () => {
+        now += 10 * 1000;
+
+        const [caller] = cache.getQueueCallers('suporte');
+        assert.strictEqual(caller.queue, 'suporte');
+        assert.strictEqual(caller.channel, 'SIP/trunk-0001');
+        assert.strictEqual(caller.position, 1);
+        assert.strictEqual(caller.joinTime, NOW / 1000 - 30);
+        assert.strictEqual(caller.wait, 40);
+        assert.deepStrictEqual(cache.getQueueCallers('inexistente'), []);
+        assert.strictEqual(cache.getLongestWaitingCaller('inexistente'), null);
+    });
+
+    it('emite callerJoined com os dados do chamador e encontra o que espera há mais tempo', async () => {
+        const joined = waitFor(cache, 'callerJoined');
+        server.pushEvent(join('SIP/trunk-0002', 2, { Count: 2 }));
+
+        assert.deepStrictEqual(await joined, {
+            queue: 'suporte',
+            caller: {
+                channel: 'SIP/trunk-0002',
+                uniqueId: 'SIP/trunk-0002.1',
+                callerIdNum: '4830001000',
+                callerIdName: 'Cliente',
+                position: 2,
+                joinTime: NOW / 1000,
+                abandoned: false,
+                wait: 0
+            }
+        });
+        assert.strictEqual(cache.getQueue('suporte').calls, 2);
+
+        now += 5 * 1000;
+        const longest = cache.getLongestWaitingCaller('suporte');
+        assert.strictEqual(longest.channel, 'SIP/trunk-0001');
+        assert.strictEqual(longest.wait, 35);
+    });
+
+    it('renumera as posições após a saída de um chamador', async () => {
+        const joined = waitFor(cache, 'callerJoined');
+        server.pushEvents([join('SIP/trunk-0002', 2), join('SIP/trunk-0003', 3)]);
+        await joined;
+        await delay(20);
+
+        const left = waitFor(cache, 'callerLeft');
+        now += 20 * 1000;
+        server.pushEvent(leave('SIP/trunk-0002', { Count: 2 }));
+        const { queue, caller, abandoned } = await left;
+
+        assert.strictEqual(queue, 'suporte');
+        assert.strictEqual(caller.channel, 'SIP/trunk-0002');
+        assert.strictEqual(caller.wait, 20);
+        assert.strictEqual(abandoned, false);
+        assert.deepStrictEqual(cache.getQueueCallers('suporte').map(c => [c.channel, c.position]),
+            [['SIP/trunk-0001', 1], ['SIP/trunk-0003', 2]]);
+        assert.strictEqual(cache.getQueue('suporte').calls, 2);
+    });
+
+    it('desempata pela entrada mais antiga quando a posição informada já está ocupada', async () => {
+        const joined = waitFor(cache, 'callerJoined');
+        server.pushEvent(join('SIP/trunk-0002', 2));
+        await joined;
+
+        // O trunk-0001 voltou para a fila atrás do trunk-0002 antes de a sua saída ser processada
+        now += 1000;
+        const rejoined = waitFor(cache, 'callerJoined');
+        server.pushEvent(join('SIP/trunk-0001', 2));
+        await rejoined;
+
+        assert.deepStrictEqual(cache.getQueueCallers('suporte').map(c => [c.channel, c.position, c.wait]),
+            [['SIP/trunk-0002', 1, 1], ['SIP/trunk-0001', 2, 0]]);
+    });
+
+    it('marca o abandono e o informa na saída do chamador', async () => {
+        const abandonedEvent = waitFor(cache, 'callerAbandoned');
+        const left = waitFor(cache, 'callerLeft');
+        server.pushEvents([
+            { Event: 'QueueCallerAbandon', Queue: 'suporte', Channel: 'SIP/trunk-0001', HoldTime: 30, OriginalPosition: 1, Position: 1 },
+            leave('SIP/trunk-0001', { Count: 0 })
+        ]);
+
+        const abandon = await abandonedEvent;
+        assert.strictEqual(abandon.queue, 'suporte');
+        assert.strictEqual(abandon.caller.abandoned, true);
+        assert.strictEqual(abandon.holdTime, 30);
+        assert.strictEqual(abandon.originalPosition, 1);
+
+        const { caller, abandoned } = await left;
+        assert.strictEqual(caller.channel, 'SIP/trunk-0001');
+        assert.strictEqual(abandoned, true);
+        assert.deepStrictEqual(cache.getQueueCallers('suporte'), []);
+        assert.strictEqual(cache.getQueue('suporte').calls, 0);
+        assert.strictEqual(cache.getLongestWaitingCaller('suporte'), null);
+    });
+
+    it('ignora a saída e o abandono de canais e filas desconhecidos', async () => {
+        const events = [];
+        for (const eventName of ['callerJoined', 'callerLeft', 'callerAbandoned']) {
+            cache.on(eventName, data => events.push([eventName, data.caller.channel]));
+        }
+
+        const paused = waitFor(cache, 'memberPauseChanged');
+        server.pushEvents([
+            leave('SIP/trunk-9999'),
+            { Event: 'QueueCallerAbandon', Queue: 'suporte', Channel: 'SIP/trunk-9999', HoldTime: 5, OriginalPosition: 2 },
+            join('SIP/trunk-0002', 1, { Queue: 'inexistente' }),
+            leave('SIP/trunk-0001', { Queue: 'inexistente' }),
+            { Event: 'QueueMemberPause', Queue: 'suporte', Interface: 'SIP/1001', Paused: 1, PausedReason: 'Almoco' }
+        ]);
+        await paused;
+
+        assert.deepStrictEqual(events, []);
+        assert.deepStrictEqual(cache.getQueueCallers('suporte').map(c => [c.channel, c.position, c.abandoned]),
+            [['SIP/trunk-0001', 1, false]]);
+        assert.strictEqual(cache.getQueue('inexistente'), undefined);
+    });
+});
@@ -0,0 +1,139 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { playCapture } = require('../lib/ami-capture');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, delay, connectCache } = require('./helpers/cache');
+
+function frame(fields) {
+    return Object.entries(fields).map(([key, value]) => `${key}: ${value}`).join('\r\n');
+}
+
+function pauseEvent(t, queue, paused) {
+    return {
+        t: t,
+        dir: 'in',
+        frame: frame({ Event: 'QueueMemberPause', Queue: queue, Interface: 'SIP/1001', MemberName: 'Agente 1', Paused: paused, PausedReason: paused ? 'Almoco' : '' })
+    };
+}
+
+// Gravação com o QueueStatus inicial de duas filas com o mesmo agente
+function captureEntries(events) {
+    const member = (queue) => ({ t: 5, dir: 'in', frame: frame({
+        Event: 'QueueMember', Queue: queue, Name: 'Agente 1', Location: 'SIP/1001', StateInterface: 'SIP/1001',
+        Membership: 'dynamic', Penalty: 0, CallsTaken: 0, LastCall: 0, LastPause: 0, LoginTime: 0, InCall: 0,
+        Status: 1, Paused: 0, PausedReason: '', Wrapuptime: 0, ActionID: 'qs-1'
+    }) });
+    const params = (queue) => ({ t: 5, dir: 'in', frame: frame({ Event: 'QueueParams', Queue: queue, Max: 0, Strategy: 'ringall', Calls: 0, ActionID: 'qs-1' }) });
+
+    return [
+        { type: 'capture', version: 1, startedAt: 1714321200000 },
+        { t: 0, dir: 'out', frame: frame({ Action: 'QueueStatus', ActionID: 'qs-1' }) },
+        { t: 5, dir: 'in', frame: frame({ Response: 'Success', ActionID: 'qs-1', Message: 'Queue status will follow' }) },
+        params('suporte'), member('suporte'), params('vendas'), member('vendas'),
+        { t: 5, dir: 'in', frame: frame({ Event: 'QueueStatusComplete', ActionID: 'qs-1', EventList: 'Complete', ListItems: 4 }) },
+        ...events
+    ];
+}
+
+describe('gravação do tráfego AMI', () => {
+    let server;
+    let cache;
+
+    afterEach(async () => {
+        if (cache) await cache.destroy();
+        if (server) await server.stop();
+        cache = null;
+        server = null;
+    });
+
+    it('grava os quadros recebidos e enviados com as credenciais ocultadas', async () => {
+        server = new FakeAmiServer({ secret: 'senha-secreta', queues: [{ name: 'suporte', members: [{ interface: 'SIP/1001' }] }] });
+        await server.start();
+
+        const stream = new PassThrough();
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+
+        cache = createCache({ ...server.config, capture: { stream: stream } });
+        await connectCache(cache);
+
+        const paused = waitFor(cache, 'memberPauseChanged');
+        server.pushEvent({ Event: 'QueueMemberPause', Queue: 'suporte', Interface: 'SIP/1001', Paused: 1, PausedReason: 'Almoco', Comment: 'senha-secreta' });
+        await paused;
+        await delay(20);
+
+        const content = Buffer.concat(chunks).toString();
+        const [header, ...entries] = content.trim().split('\n').map(line => JSON.parse(line));
+
+        assert.strictEqual(header.type, 'capture');
+        assert.strictEqual(header.version, 1);
+        assert.ok(!content.includes('senha-secreta'));
+
+        const login = entries.find(entry => entry.dir === 'out' && /^Action: Login$/m.test(entry.frame));
+        assert.match(login.frame, /Secret: \*\*\*/i);
+        assert.match(login.frame, /Username: \*\*\*/i);
+
+        const pause = entries.find(entry => entry.dir === 'in' && entry.frame.startsWith('Event: QueueMemberPause'));
+        assert.match(pause.frame, /Comment: \*\*\*/);
+        assert.ok(entries.some(entry => entry.dir === 'in' && entry.frame.startsWith('Event: QueueMember\r\n')));
+        assert.ok(entries.every((entry, index) => index === 0 || entry.t >= entries[index - 1].t));
+    });
+
+    it('registra a falha ao abrir o arquivo sem derrubar o processo', async () => {
+        server = new FakeAmiServer({ queues: [{ name: 'suporte', members: [{ interface: 'SIP/1001' }] }] });
+        await server.start();
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asterisk-cache-capture-'));
+        const errors = [];
+        const logger = { error: (message, fields) => errors.push([message, fields.error.code]) };
+        cache = createCache({ ...server.config, logger: logger, capture: { path: path.join(dir, 'inexistente', 'captura.jsonl') } });
+
+        try {
+            await connectCache(cache);
+            await delay(20);
+            assert.deepStrictEqual(errors, [['Erro ao gravar o tráfego AMI', 'ENOENT']]);
+            assert.strictEqual(cache.capture.error.code, 'ENOENT');
+
+            // A conexão segue recebendo os eventos
+            const paused = waitFor(cache, 'memberPauseChanged');
+            server.pushEvent({ Event: 'QueueMemberPause', Queue: 'suporte', Interface: 'SIP/1001', Paused: 1, PausedReason: 'Almoco' });
+            await paused;
+            assert.strictEqual(cache.getAgentByExtension('SIP/1001').paused, 1);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('reproduz a gravação agrupando os eventos como no campo', async () => {
+        const changes = [];
+        cache = createCache({ offline: true });
+        cache.on('memberPauseChanged', data => changes.push([data.queues, data.paused]));
+
+        // Eventos a 100ms um do outro formam um grupo; a 900ms, com a janela de 500ms, não
+        await playCapture(captureEntries([
+            pauseEvent(1000, 'suporte', 1),
+            pauseEvent(1100, 'vendas', 1),
+            pauseEvent(2000, 'suporte', 0),
+            pauseEvent(60000, 'vendas', 0)
+        ]), {
+            speed: 10,
+            maxGap: 3000,
+            cache: cache
+        });
+
+        assert.deepStrictEqual(changes, [
+            [['suporte', 'vendas'], 1],
+            [['suporte'], 0],
+            [['vendas'], 0]
+        ]);
+        assert.strictEqual(cache.getAgentByExtension('SIP/1001').paused, 0);
+        // O relógio do cache segue a gravação
+        assert.strictEqual(cache.clock(), 1714321200000 + 60000);
+        // As janelas do agrupamento voltam às configuradas
+        assert.strictEqual(cache.coalescer.window, 500);
+    });
+});
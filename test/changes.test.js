@@ -0,0 +1,127 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const ChangeFeed = require('../lib/change-feed');
+const { createCache } = require('./helpers/cache');
+
+function member(extension, fields = {}) {
+    return {
+        name: extension, extension: extension, stateInterface: extension, membership: 'dynamic', penalty: 0,
+        callsTaken: 0, lastCall: 0, lastPause: 0, loginTime: 0, inCall: 0, status: 1, paused: 0,
+        pausedReason: '', wrapupTime: 0, ringInUse: true, currentCall: null, ...fields
+    };
+}
+
+describe('alterações incrementais', () => {
+    it('gera operações mínimas por fila, membro e chamador', () => {
+        const feed = new ChangeFeed();
+        const queue = { name: 'suporte', strategy: 'rrmemory', members: [member('SIP/1001')], callers: [] };
+
+        const first = feed.publish([queue], 1000);
+        assert.strictEqual(first.revision, 1);
+        assert.deepStrictEqual(first.patch.map(operation => [operation.op, operation.path]), [['add', '/queues/suporte']]);
+
+        queue.members[0].paused = 1;
+        queue.members.push(member('Local/1002@agentes/n'));
+        queue.callers.push({ channel: 'SIP/trunk-0001', callerIdNum: '11999990000', position: 1, joinTime: 1 });
+        const second = feed.publish([queue], 2000);
+        assert.deepStrictEqual(second.patch.map(operation => [operation.op, operation.path]), [
+            ['replace', '/queues/suporte/members/SIP~11001/paused'],
+            ['add', '/queues/suporte/members/Local~11002@agentes~1n'],
+            ['add', '/queues/suporte/callers/SIP~1trunk-0001']
+        ]);
+
+        // Sem diferenças não há nova revisão
+        assert.strictEqual(feed.publish([queue], 3000), null);
+        assert.strictEqual(feed.revision, 2);
+
+        queue.callers = [];
+        assert.deepStrictEqual(feed.publish([queue], 4000).patch, [{ op: 'remove', path: '/queues/suporte/callers/SIP~1trunk-0001' }]);
+
+        // A cópia publicada é congelada e não acompanha o objeto original
+        const snapshot = feed.getSnapshot();
+        assert.strictEqual(snapshot.revision, 3);
+        assert.ok(Object.isFrozen(snapshot.queues.suporte.members['SIP/1001']));
+        queue.members[0].paused = 0;
+        assert.strictEqual(snapshot.queues.suporte.members['SIP/1001'].paused, 1);
+    });
+
+    it('guarda apenas as últimas revisões', () => {
+        const feed = new ChangeFeed({ maxRevisions: 2 });
+        for (let calls = 1; calls <= 4; calls++) {
+            feed.publish([{ name: 'suporte', calls: calls, members: [], callers: [] }], calls);
+        }
+
+        assert.deepStrictEqual(feed.getChangesSince(2).map(record => record.revision), [3, 4]);
+        assert.deepStrictEqual(feed.getChangesSince(4), []);
+        assert.strictEqual(feed.getChangesSince(1), null);
+        assert.strictEqual(feed.getChangesSince(5), null);
+    });
+
+    it('compara apenas as filas informadas', () => {
+        const feed = new ChangeFeed();
+        const suporte = { name: 'suporte', members: [member('SIP/1001')], callers: [] };
+        const vendas = { name: 'vendas', members: [member('SIP/1001')], callers: [] };
+        feed.publish([suporte, vendas], 1000);
+        const published = feed.getSnapshot().queues.vendas;
+
+        suporte.members[0].paused = 1;
+        vendas.members[0].paused = 1;
+        assert.deepStrictEqual(feed.publish([suporte, vendas], 2000, ['suporte']).patch.map(operation => operation.path),
+            ['/queues/suporte/members/SIP~11001/paused']);
+        // A fila não informada mantém a cópia publicada anteriormente
+        assert.strictEqual(feed.getSnapshot().queues.vendas, published);
+
+        // Uma fila informada que não existe mais é removida
+        assert.deepStrictEqual(feed.publish([suporte], 3000, ['vendas']).patch, [{ op: 'remove', path: '/queues/vendas' }]);
+        assert.deepStrictEqual(Object.keys(feed.getSnapshot().queues), ['suporte']);
+    });
+
+    describe('no cache', () => {
+        let cache;
+
+        afterEach(async () => {
+            await cache.destroy();
+        });
+
+        it('emite changes com a revisão e permite recuperar as alterações perdidas', async () => {
+            cache = createCache({ offline: true, eventTimeout: 0 });
+            const records = [];
+            cache.on('changes', record => records.push(record));
+
+            cache.applyQueues(new Map([['suporte', { name: 'suporte', members: [member('SIP/1001')], callers: [] }]]));
+            const snapshot = cache.getSnapshot();
+            assert.strictEqual(snapshot.revision, 1);
+            assert.strictEqual(snapshot.queues.suporte.members['SIP/1001'].paused, 0);
+
+            await cache.handleEvent({ event: 'QueueMemberPause', queue: 'suporte', interface: 'SIP/1001', paused: '1', pausedreason: 'Almoco', lastpause: '0' });
+            assert.strictEqual(records.length, 2);
+            assert.strictEqual(records[1].revision, 2);
+            assert.ok(records[1].patch.some(operation => operation.op === 'replace' &&
+                operation.path === '/queues/suporte/members/SIP~11001/pausedReason' && operation.value === 'Almoco'));
+
+            // O cliente que parou na revisão 1 recebe apenas as operações seguintes
+            assert.deepStrictEqual(cache.getChangesSince(1), [records[1]]);
+            assert.strictEqual(cache.getRevision(), 2);
+        });
+
+        it('publica apenas no caminho de atualização e não nas consultas', async () => {
+            cache = createCache({ offline: true, eventTimeout: 0 });
+            const records = [];
+            cache.on('changes', record => records.push(record));
+            cache.applyQueues(new Map([['suporte', { name: 'suporte', members: [member('SIP/1001')], callers: [] }]]));
+
+            // Alteração feita fora dos handlers não é publicada pelas consultas
+            cache.getQueue('suporte').strategy = 'linear';
+            assert.strictEqual(cache.getRevision(), 1);
+            assert.strictEqual(cache.getSnapshot().queues.suporte.strategy, undefined);
+            assert.deepStrictEqual(cache.getChangesSince(1), []);
+            assert.strictEqual(records.length, 1);
+
+            // O próximo evento da fila publica a diferença pendente
+            await cache.handleEvent({ event: 'QueueMemberPenalty', queue: 'suporte', interface: 'SIP/1001', penalty: '2' });
+            assert.strictEqual(cache.getRevision(), 2);
+            assert.deepStrictEqual(records[1].patch.map(operation => operation.path).sort(),
+                ['/queues/suporte/members/SIP~11001/penalty', '/queues/suporte/strategy']);
+        });
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const ChannelCache = require('../lib/channel-cache');
+const { getChannelInterface } = require('../lib/channel-cache');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, connectCache } = require('./helpers/cache');
+
+const NOW = 10000;
+
+function newChannel(channel, fields = {}) {
+    return { event: 'Newchannel', channel: channel, uniqueid: channel, channelstate: '0', ...fields };
+}
+
+describe('canais e chamadas', () => {
+    it('deriva a interface de origem do nome do canal', () => {
+        assert.strictEqual(getChannelInterface('SIP/1001-0000001a'), 'SIP/1001');
+        assert.strictEqual(getChannelInterface('PJSIP/ramal-1002-00000003'), 'PJSIP/ramal-1002');
+        assert.strictEqual(getChannelInterface('Local/1001@from-queue-00000012;1'), 'Local/1001@from-queue');
+    });
+
+    it('acompanha a discagem, a ponte e o desligamento', () => {
+        const channels = new ChannelCache();
+
+        channels.handle(newChannel('SIP/trunk-0001', { calleridnum: '4830001000', channelstate: '6' }), NOW);
+        channels.handle(newChannel('SIP/1001-0002'), NOW);
+        channels.handle({ event: 'DialBegin', channel: 'SIP/trunk-0001', destchannel: 'SIP/1001-0002' }, NOW);
+
+        // Antes do atendimento os canais se relacionam pela discagem
+        assert.deepStrictEqual(channels.getPeers('SIP/1001-0002').map(c => c.channel), ['SIP/trunk-0001']);
+        assert.deepStrictEqual(channels.getChannel('SIP/trunk-0001').dialing, ['SIP/1001-0002']);
+
+        channels.handle({ event: 'Newstate', channel: 'SIP/1001-0002', channelstate: '6', connectedlinenum: '4830001000' }, NOW + 5);
+        channels.handle({ event: 'DialEnd', channel: 'SIP/trunk-0001', destchannel: 'SIP/1001-0002', dialstatus: 'ANSWER' }, NOW + 5);
+        channels.handle({ event: 'BridgeEnter', channel: 'SIP/trunk-0001', bridgeuniqueid: 'b1' }, NOW + 5);
+        channels.handle({ event: 'BridgeEnter', channel: 'SIP/1001-0002', bridgeuniqueid: 'b1' }, NOW + 5);
+
+        const [call] = channels.getCallsForInterface('sip/1001', NOW + 20);
+        assert.strictEqual(call.answered, true);
+        assert.strictEqual(call.bridgeId, 'b1');
+        assert.strictEqual(call.remoteNum, '4830001000');
+        assert.strictEqual(call.duration, 20);
+        assert.strictEqual(call.channel.answeredAt, NOW + 5);
+        assert.strictEqual(call.channel.dialStatus, 'ANSWER');
+        assert.deepStrictEqual(call.peers.map(c => c.channel), ['SIP/trunk-0001']);
+        assert.deepStrictEqual(channels.getBridges(), [{ bridgeId: 'b1', channels: ['SIP/trunk-0001', 'SIP/1001-0002'] }]);
+
+        const removed = channels.handle({ event: 'Hangup', channel: 'SIP/1001-0002', cause: '16', cause_txt: 'Normal Clearing' }, NOW + 30);
+        assert.strictEqual(removed.type, 'removed');
+        assert.strictEqual(removed.channel.cause, 16);
+        assert.deepStrictEqual(channels.getPeers('SIP/trunk-0001'), []);
+        assert.deepStrictEqual(channels.getBridges(), [{ bridgeId: 'b1', channels: ['SIP/trunk-0001'] }]);
+        assert.deepStrictEqual(channels.getCallsForInterface('SIP/1001', NOW + 30), []);
+
+        // Eventos de canais desconhecidos são ignorados
+        assert.strictEqual(channels.handle({ event: 'Newstate', channel: 'SIP/9999-0009', channelstate: '6' }, NOW), null);
+    });
+
+    describe('no cache', () => {
+        let server;
+        let cache;
+
+        beforeEach(async () => {
+            server = new FakeAmiServer({
+                queues: [
+                    { name: 'suporte', members: [{ interface: 'Local/1001@agentes/n', stateInterface: 'SIP/1001' }, { interface: 'SIP/1002' }] }
+                ],
+                channels: [
+                    { channel: 'SIP/trunk-0001', callerIdNum: '4830001000', bridgeId: 'b1', duration: '00:01:30' },
+                    { channel: 'SIP/1001-0002', connectedLineNum: '4830001000', bridgeId: 'b1', duration: '00:01:25' }
+                ]
+            });
+            await server.start();
+            cache = createCache(server.config);
+            const channelsUpdated = waitFor(cache, 'channelsUpdated');
+            await connectCache(cache);
+            await channelsUpdated;
+        });
+
+        afterEach(async () => {
+            await cache.destroy();
+            await server.stop();
+        });
+
+        it('carrega os canais do CoreShowChannels e liga os membros pelo stateInterface', () => {
+            assert.deepStrictEqual(cache.getChannels().map(c => c.channel), ['SIP/trunk-0001', 'SIP/1001-0002']);
+            assert.deepStrictEqual(cache.getChannelPeers('SIP/trunk-0001').map(c => c.channel), ['SIP/1001-0002']);
+
+            const [call] = cache.getMemberCalls('Local/1001@agentes/n');
+            assert.strictEqual(call.channel.channel, 'SIP/1001-0002');
+            assert.strictEqual(call.remoteNum, '4830001000');
+            assert.ok(call.duration >= 85);
+            assert.deepStrictEqual(cache.getMemberCalls('SIP/1002'), []);
+            assert.deepStrictEqual(cache.getChannelMembers('SIP/1001-0002'), ['Local/1001@agentes/n']);
+        });
+
+        it('emite channelAdded, channelChanged e channelRemoved com os membros do canal', async () => {
+            const added = waitFor(cache, 'channelAdded');
+            server.pushEvent({ Event: 'Newchannel', Channel: 'SIP/1002-0003', ChannelState: 5, ChannelStateDesc: 'Ringing', Uniqueid: '1714321234.3' });
+            const { channel, members } = await added;
+            assert.strictEqual(channel.interface, 'SIP/1002');
+            assert.deepStrictEqual(members, ['SIP/1002']);
+
+            const changed = waitFor(cache, 'channelChanged');
+            server.pushEvent({ Event: 'Newstate', Channel: 'SIP/1002-0003', ChannelState: 6, ChannelStateDesc: 'Up' });
+            assert.strictEqual((await changed).channel.stateDesc, 'Up');
+            assert.strictEqual(cache.getCallsForInterface('SIP/1002')[0].answered, true);
+
+            const removed = waitFor(cache, 'channelRemoved');
+            server.pushEvent({ Event: 'Hangup', Channel: 'SIP/1002-0003', Cause: 16, 'Cause-txt': 'Normal Clearing' });
+            assert.strictEqual((await removed).channel.causeText, 'Normal Clearing');
+            assert.deepStrictEqual(cache.getMemberCalls('SIP/1002'), []);
+        });
+    });
+});
@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { run, loadConfig, EXIT_CODES } = require('../lib/cli');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+
+// Executa a ferramenta com saídas em memória
+async function runCli(args, env, signals = new EventEmitter()) {
+    const io = { stdout: '', stderr: '' };
+    const code = await run(args, {
+        stdout: { write: (text) => { io.stdout += text; } },
+        stderr: { write: (text) => { io.stderr += text; } },
+        env: env,
+        signals: signals
+    });
+    return { code, ...io };
+}
+
+describe('linha de comando', () => {
+    let server;
+    let env;
+
+    before(async () => {
+        server = new FakeAmiServer({
+            queues: [
+                {
+                    name: 'suporte',
+                    members: [{ interface: 'SIP/1001' }, { interface: 'SIP/1002', paused: 1, pausedReason: 'Almoco' }]
+                },
+                { name: 'vendas', members: [{ interface: 'SIP/1002', paused: 1, pausedReason: 'Almoco' }] }
+            ]
+        });
+        await server.start();
+        const config = server.config;
+        env = {
+            ASTERISK_HOST: config.host,
+            ASTERISK_PORT: String(config.port),
+            ASTERISK_USERNAME: config.username,
+            ASTERISK_SECRET: config.secret
+        };
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('lista filas e agentes em tabela ou JSON', async () => {
+        const queues = await runCli(['queues'], env);
+        assert.strictEqual(queues.code, EXIT_CODES.OK);
+        assert.deepStrictEqual(queues.stdout.split('\n')[0].split(/\s+/),
+            ['FILA', 'ESTRATÉGIA', 'CHAMADORES', 'MEMBROS', 'DISPONÍVEIS', 'PAUSADOS']);
+        assert.match(queues.stdout, /^suporte\s+ringall\s+0\s+2\s+1\s+1$/m);
+
+        const available = await runCli(['agents', '--queue', 'suporte', '--available', '--json'], env);
+        assert.deepStrictEqual(JSON.parse(available.stdout).map(agent => agent.extension), ['SIP/1001']);
+
+        const agent = await runCli(['agent', 'SIP/1002', '--json'], env);
+        assert.deepStrictEqual(JSON.parse(agent.stdout).queues, ['suporte', 'vendas']);
+    });
+
+    it('executa as ações e retorna códigos de saída por tipo de falha', async () => {
+        const paused = await runCli(['pause', 'SIP/1001', '--reason', 'Treinamento', '--queue', 'suporte'], env);
+        assert.strictEqual(paused.code, EXIT_CODES.OK);
+        assert.strictEqual(paused.stdout, 'Agente SIP/1001 pausado\n');
+        const agent = await runCli(['agent', 'SIP/1001', '--json'], env);
+        assert.strictEqual(JSON.parse(agent.stdout).pausedReason, 'Treinamento');
+
+        const refused = await runCli(['remove', 'SIP/9999', '--queue', 'suporte', '--json'], env);
+        assert.strictEqual(refused.code, EXIT_CODES.ACTION_FAILED);
+        assert.strictEqual(JSON.parse(refused.stdout).error.code, 'AMI_ERROR');
+
+        assert.strictEqual((await runCli(['agent', 'SIP/9999'], env)).code, EXIT_CODES.NOT_FOUND);
+        assert.strictEqual((await runCli(['agents', '--queue', 'inexistente'], env)).code, EXIT_CODES.NOT_FOUND);
+        assert.strictEqual((await runCli(['add', 'SIP/1003'], env)).code, EXIT_CODES.USAGE);
+        assert.strictEqual((await runCli(['desconhecido'], env)).code, EXIT_CODES.USAGE);
+        assert.strictEqual((await runCli(['queues', '--port', '1'], env)).code, EXIT_CODES.CONNECTION);
+    });
+
+    it('encerra com erro quando a sincronização inicial das filas falha', async () => {
+        const failing = new FakeAmiServer({ queues: [{ name: 'suporte', members: [{ interface: 'SIP/1001' }] }] });
+        await failing.start();
+        const failingEnv = { ...env, ASTERISK_PORT: String(failing.port) };
+
+        try {
+            failing.setHandler('QueueStatus', () => ({ Response: 'Error', Message: 'Permission denied' }));
+            const refused = await runCli(['queues', '--json'], failingEnv);
+            assert.strictEqual(refused.code, EXIT_CODES.ACTION_FAILED);
+            assert.strictEqual(JSON.parse(refused.stdout).error.code, 'AMI_ERROR');
+            assert.match(refused.stderr, /Falha ao sincronizar as filas/);
+
+            // Sem resposta ao QueueStatus, o timeout da ação encerra a ferramenta
+            const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'asterisk-cache-')), 'config.json');
+            fs.writeFileSync(file, JSON.stringify({ actionTimeout: 200 }));
+            failing.setHandler('QueueStatus', null);
+            const silent = await runCli(['queues', '--config', file], failingEnv);
+            assert.strictEqual(silent.code, EXIT_CODES.TIMEOUT);
+        } finally {
+            await failing.stop();
+        }
+    });
+
+    it('transmite os eventos filtrados pela fila', async () => {
+        const signals = new EventEmitter();
+        const watching = runCli(['watch', '--queue', 'vendas', '--events', 'memberPauseChanged', '--json', '--limit', '1'], env, signals);
+
+        // O evento da fila suporte é ignorado; o da fila vendas encerra o watch pelo --limit
+        setTimeout(() => server.pushEvents([
+            { Event: 'QueueMemberPause', Queue: 'suporte', Interface: 'SIP/1001', Paused: 0, PausedReason: '' },
+            { Event: 'QueueMemberPause', Queue: 'vendas', Interface: 'SIP/1002', Paused: 0, PausedReason: '' }
+        ]), 300);
+
+        const result = await watching;
+        assert.strictEqual(result.code, EXIT_CODES.OK);
+        const lines = result.stdout.trim().split('\n').map(line => JSON.parse(line));
+        assert.strictEqual(lines.length, 1);
+        assert.strictEqual(lines[0].event, 'memberPauseChanged');
+        assert.deepStrictEqual(lines[0].data.queues, ['vendas']);
+        assert.strictEqual(signals.listenerCount('SIGINT'), 0);
+    });
+
+    it('combina arquivo, variáveis de ambiente e opções, nessa ordem de prioridade', () => {
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'asterisk-cache-')), 'config.json');
+        fs.writeFileSync(file, JSON.stringify({ host: 'arquivo', port: 5038, username: 'arquivo', secret: 'arquivo', actionTimeout: 2000 }));
+
+        const config = loadConfig({ config: file, secret: 'opcao' }, { ASTERISK_HOST: 'ambiente', ASTERISK_PORT: '5039' });
+        assert.strictEqual(config.host, 'ambiente');
+        assert.strictEqual(config.port, 5039);
+        assert.strictEqual(config.username, 'arquivo');
+        assert.strictEqual(config.secret, 'opcao');
+        assert.strictEqual(config.actionTimeout, 2000);
+        assert.strictEqual(config.actionMode, 'throw');
+    });
+});
@@ -0,0 +1,129 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const AsteriskCache = require('../index');
+const { ConfigError, ActionTimeoutError } = require('../lib/errors');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, connectCache } = require('./helpers/cache');
+
+const BASE = { host: '127.0.0.1', port: 5038, username: 'admin', secret: 'segredo', logLevel: 'silent' };
+
+function configErrors(config) {
+    try {
+        new AsteriskCache(config);
+    } catch (error) {
+        assert.ok(error instanceof ConfigError);
+        assert.strictEqual(error.code, 'INVALID_CONFIG');
+        return error.errors;
+    }
+    assert.fail('A configuração deveria ser recusada');
+}
+
+describe('configuração', () => {
+    it('exige os dados de conexão', () => {
+        assert.deepStrictEqual(configErrors({ logLevel: 'silent' }), [
+            'host é obrigatório',
+            'port é obrigatório',
+            'username é obrigatório',
+            'secret é obrigatório'
+        ]);
+        assert.throws(() => new AsteriskCache(), /a configuração deve ser um objeto/);
+    });
+
+    it('reúne todos os problemas, inclusive nas opções aninhadas', () => {
+        assert.deepStrictEqual(configErrors({
+            ...BASE,
+            port: 70000,
+            connectTimeout: '10s',
+            logLevel: 'verbose',
+            reconnect: { jitter: 2, maxAttempts: 1.5 },
+            coalescing: { windows: { QueueMemberPause: -1 } },
+            heartbeat: 'sim'
+        }), [
+            'port deve ser um inteiro entre 1 e 65535',
+            'connectTimeout deve ser um número',
+            'logLevel inválido: verbose (use debug, info, warn, error, silent)',
+            'reconnect.jitter deve ser menor ou igual a 1',
+            'reconnect.maxAttempts deve ser um inteiro',
+            'heartbeat deve ser um objeto',
+            'coalescing.windows.QueueMemberPause deve ser maior ou igual a 0'
+        ]);
+    });
+
+    it('aceita a porta como texto e o modo offline sem dados de conexão', async () => {
+        const cache = new AsteriskCache({ ...BASE, port: '5038' });
+        const offline = new AsteriskCache({ offline: true, logLevel: 'silent' });
+        try {
+            await assert.rejects(offline.connect(), /offline/);
+        } finally {
+            await cache.destroy();
+            await offline.destroy();
+        }
+    });
+
+    it('avisa sobre opções desconhecidas', async () => {
+        const warnings = [];
+        const cache = new AsteriskCache({
+            ...BASE,
+            logger: { warn: (message, fields) => warnings.push([message, fields]) },
+            reconect: { factor: 2 },
+            heartbeat: { intreval: 1000 }
+        });
+        await cache.destroy();
+
+        assert.deepStrictEqual(warnings, [
+            ['Opções de configuração desconhecidas', { options: ['heartbeat.intreval', 'reconect'] }]
+        ]);
+    });
+
+    it('aplica os tempos configurados', async () => {
+        const cache = new AsteriskCache({
+            ...BASE,
+            connectTimeout: 2000,
+            reconnectInterval: 1000,
+            actionTimeout: 3000,
+            eventTimeout: 100,
+            coalescing: { maxWait: 400 }
+        });
+        await cache.destroy();
+
+        assert.strictEqual(cache.connectTimeout, 2000);
+        assert.strictEqual(cache.reconnectInterval, 1000);
+        assert.strictEqual(cache.actionTimeout, 3000);
+        assert.strictEqual(cache.eventTimeout, 100);
+        assert.strictEqual(cache.coalescer.maxWait, 400);
+    });
+
+    describe('no cache conectado', () => {
+        let server;
+        let cache;
+
+        beforeEach(async () => {
+            server = new FakeAmiServer({
+                queues: [{ name: 'suporte', members: [{ interface: 'SIP/1001' }] }]
+            });
+            await server.start();
+            cache = createCache({ ...server.config, actionTimeout: 100, actionMode: 'throw', eventTimeout: 20 });
+            await connectCache(cache);
+        });
+
+        afterEach(async () => {
+            await cache.destroy();
+            await server.stop();
+        });
+
+        it('usa o actionTimeout e o eventTimeout da configuração', async () => {
+            const startedAt = Date.now();
+            server.pushEvent({
+                Event: 'QueueMemberStatus',
+                ...server.memberFields('suporte', server.buildMember({ interface: 'SIP/1001', status: 2 }))
+            });
+            await waitFor(cache, 'memberStatusChanged', 300);
+            assert.ok(Date.now() - startedAt < 300);
+
+            server.setHandler('QueuePause', null);
+            const error = await cache.pauseMember('SIP/1001').catch(error => error);
+            assert.ok(error instanceof ActionTimeoutError);
+            assert.strictEqual(error.timeout, 100);
+        });
+    });
+});
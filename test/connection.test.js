@@ -0,0 +1,208 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, delay, connectCache } = require('./helpers/cache');
+
+describe('conexão', () => {
+    let server;
+    let cache;
+
+    beforeEach(async () => {
+        server = new FakeAmiServer({
+            queues: [
+                { name: 'suporte', members: [{ interface: 'SIP/1001', name: 'Juca' }] },
+                { name: 'vendas', members: [{ interface: 'SIP/1001', name: 'Juca' }, { interface: 'SIP/1002' }] }
+            ]
+        });
+        await server.start();
+    });
+
+    afterEach(async () => {
+        if (cache) await cache.destroy();
+        cache = null;
+        await server.stop();
+    });
+
+    it('faz login e carrega as filas com o QueueStatus', async () => {
+        cache = createCache(server.config);
+        const connected = waitFor(cache, 'connected');
+
+        await connectCache(cache);
+        await connected;
+
+        assert.strictEqual(cache.isConnected, true);
+        assert.deepStrictEqual(cache.getQueues().map(q => q.name), ['suporte', 'vendas']);
+        assert.deepStrictEqual(cache.getAgentByExtension('SIP/1001').queues, ['suporte', 'vendas']);
+        assert.strictEqual(cache.getQueueAgents('vendas').length, 2);
+    });
+
+    it('emite TIMEOUT quando o servidor não responde ao handshake', async () => {
+        await server.stop();
+        server = new FakeAmiServer({ greeting: false });
+        await server.start();
+
+        cache = createCache(server.config, { connectTimeout: 200, reconnectInterval: 60000 });
+        const error = waitFor(cache, 'connectionError');
+        const reconnecting = waitFor(cache, 'reconnecting');
+        const startedAt = Date.now();
+
+        await cache.connect();
+
+        assert.deepStrictEqual(await error, {
+            code: 'TIMEOUT',
+            message: 'Timeout ao conectar ao Asterisk AMI'
+        });
+        assert.ok(Date.now() - startedAt >= 190);
+        assert.deepStrictEqual(await reconnecting, { delay: 60000, attempt: 1 });
+        assert.strictEqual(cache.isConnected, false);
+    });
+
+    it('informa a mensagem do erro do socket quando a conexão é recusada', async () => {
+        const port = server.port;
+        await server.stop();
+
+        cache = createCache({ host: '127.0.0.1', port: port, username: 'admin', secret: 'secret' }, { reconnectInterval: 60000 });
+        const error = waitFor(cache, 'connectionError');
+
+        await cache.connect();
+
+        const { code, message } = await error;
+        assert.strictEqual(code, 'CONNECTION_ERROR');
+        assert.match(message, /ECONNREFUSED/);
+    });
+
+    it('emite INVALID_PEER quando o servidor não é um AMI', async () => {
+        await server.stop();
+        server = new FakeAmiServer({ greeting: false });
+        server.server.removeAllListeners('connection');
+        server.server.on('connection', (socket) => socket.write('SSH-2.0-OpenSSH\r\n'));
+        await server.start();
+
+        cache = createCache(server.config, { reconnectInterval: 60000 });
+        const error = waitFor(cache, 'connectionError');
+
+        await cache.connect();
+
+        assert.strictEqual((await error).code, 'INVALID_PEER');
+    });
+
+    it('reconecta após a queda da conexão', async () => {
+        cache = createCache(server.config, { reconnectInterval: 100 });
+        await connectCache(cache);
+
+        const disconnected = waitFor(cache, 'disconnected');
+        const reconnecting = waitFor(cache, 'reconnecting');
+        server.dropConnections();
+
+        await disconnected;
+        assert.strictEqual(cache.isConnected, false);
+        assert.deepStrictEqual(await reconnecting, { delay: 100, attempt: 1 });
+
+        await waitFor(cache, 'resynced');
+        assert.strictEqual(cache.isConnected, true);
+        assert.strictEqual(server.actions.filter(a => a.action === 'Login').length, 2);
+    });
+
+    it('continua tentando reconectar enquanto o servidor estiver fora', async () => {
+        cache = createCache(server.config, { reconnectInterval: 50 });
+        await connectCache(cache);
+
+        const port = server.port;
+        await server.stop();
+
+        let attempts = 0;
+        cache.on('reconnecting', () => attempts++);
+        await waitFor(cache, 'connectionError');
+        await waitFor(cache, 'connectionError');
+        assert.ok(attempts >= 2);
+
+        // O servidor volta na mesma porta
+        server = new FakeAmiServer({ queues: [{ name: 'suporte' }] });
+        await new Promise(resolve => server.server.listen(port, '127.0.0.1', resolve));
+
+        await waitFor(cache, 'resynced', 3000);
+        assert.strictEqual(cache.isConnected, true);
+        assert.deepStrictEqual(cache.getQueues().map(q => q.name), ['suporte']);
+    });
+
+    it('ressincroniza as filas após reconectar', async () => {
+        cache = createCache(server.config, { reconnectInterval: 50 });
+        await connectCache(cache);
+
+        // Alterações feitas enquanto o cache estava desconectado
+        server.dropConnections();
+        await waitFor(cache, 'disconnected');
+        server.queues.get('suporte').members.push(server.buildMember({ interface: 'SIP/1003' }));
+        server.queues.get('vendas').members.splice(1, 1);
+
+        const added = waitFor(cache, 'memberAdded');
+        const removed = waitFor(cache, 'memberRemoved');
+        const summary = await waitFor(cache, 'resynced');
+
+        assert.deepStrictEqual((await added).queue, 'suporte');
+        assert.deepStrictEqual((await removed).member.extension, 'SIP/1002');
+        assert.deepStrictEqual(summary.membersAdded, [{ queue: 'suporte', extension: 'SIP/1003' }]);
+        assert.deepStrictEqual(summary.membersRemoved, [{ queue: 'vendas', extension: 'SIP/1002' }]);
+    });
+
+    it('corrige periodicamente a divergência sem eventos do Asterisk', async () => {
+        cache = createCache(server.config, { reconcileInterval: 100 });
+        await connectCache(cache);
+
+        // Alterações no Asterisk cujos eventos se perderam
+        const vendas = server.queues.get('vendas');
+        vendas.members.find(m => m.interface === 'SIP/1002').paused = 1;
+        vendas.members.find(m => m.interface === 'SIP/1002').pausedReason = 'Almoco';
+        server.queues.get('suporte').members.push(server.buildMember({ interface: 'SIP/1003' }));
+        server.addQueue('cobranca', [{ interface: 'SIP/1001', name: 'Juca' }]);
+
+        const paused = waitFor(cache, 'memberPauseChanged');
+        const summary = await waitFor(cache, 'resynced');
+
+        assert.deepStrictEqual(summary, {
+            initial: false,
+            queuesAdded: ['cobranca'],
+            queuesRemoved: [],
+            membersAdded: [{ queue: 'suporte', extension: 'SIP/1003' }, { queue: 'cobranca', extension: 'SIP/1001' }],
+            membersRemoved: [],
+            membersChanged: [{ queue: 'vendas', extension: 'SIP/1002', fields: ['paused', 'pausedReason'] }]
+        });
+        assert.deepStrictEqual((await paused).queues, ['vendas']);
+        assert.strictEqual(cache.getQueueAgents('vendas').find(agent => agent.extension === 'SIP/1002').pausedReason, 'Almoco');
+        assert.deepStrictEqual(cache.getAgentByExtension('SIP/1001').queues, ['suporte', 'vendas', 'cobranca']);
+
+        // Sem divergência, a reconciliação seguinte não corrige nada
+        const next = await waitFor(cache, 'resynced');
+        assert.deepStrictEqual([next.queuesAdded, next.membersAdded, next.membersRemoved, next.membersChanged], [[], [], [], []]);
+    });
+
+    it('registra a falha da reconciliação periódica sem rejeição não tratada', async () => {
+        const errors = [];
+        const logger = { error: (message, fields) => errors.push([message, fields.error.message]) };
+        cache = createCache({ ...server.config, logger: logger }, { reconcileInterval: 100 });
+        // Falha apenas nas reconciliações, depois da sincronização da conexão
+        let failing = false;
+        const syncChannels = cache.syncChannels.bind(cache);
+        cache.syncChannels = async () => {
+            if (failing) throw new Error('Falha ao sincronizar os canais');
+            return syncChannels();
+        };
+        await connectCache(cache);
+        await delay(20);
+
+        const unhandled = [];
+        const onUnhandled = (reason) => unhandled.push(reason);
+        process.on('unhandledRejection', onUnhandled);
+
+        try {
+            failing = true;
+            await waitFor(cache, 'resynced');
+            await delay(20);
+
+            assert.deepStrictEqual(errors[0], ['Erro na reconciliação periódica', 'Falha ao sincronizar os canais']);
+            assert.deepStrictEqual(unhandled, []);
+        } finally {
+            process.removeListener('unhandledRejection', onUnhandled);
+        }
+    });
+});
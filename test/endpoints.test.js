@@ -0,0 +1,111 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const EndpointRegistry = require('../lib/endpoint-registry');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, delay, connectCache } = require('./helpers/cache');
+
+describe('registro dos endpoints', () => {
+    it('deriva o registro dos contatos PJSIP e do status dos peers SIP', () => {
+        const registry = new EndpointRegistry();
+
+        registry.handle({ event: 'ContactStatus', endpointname: '1001', uri: 'sip:1001@10.0.0.5:5060', contactstatus: 'Created' });
+        registry.handle({ event: 'ContactStatus', endpointname: '1001', uri: 'sip:1001@10.0.0.5:5060', contactstatus: 'Reachable', roundtripusec: '8400' });
+        assert.deepStrictEqual(registry.getMemberFields('pjsip/1001'),
+            { registered: true, contactUri: 'sip:1001@10.0.0.5:5060', roundtripMs: 8, userAgent: null });
+
+        // Com contatos conhecidos, o PeerStatus não altera o registro do endpoint PJSIP
+        registry.handle({ event: 'PeerStatus', peer: 'PJSIP/1001', peerstatus: 'Unreachable' });
+        assert.strictEqual(registry.get('PJSIP/1001').registered, true);
+
+        const [change] = registry.handle({ event: 'ContactStatus', endpointname: '1001', uri: 'sip:1001@10.0.0.5:5060', contactstatus: 'Removed' });
+        assert.strictEqual(change.previous.registered, true);
+        assert.strictEqual(change.endpoint.registered, false);
+        assert.strictEqual(change.endpoint.contactUri, null);
+
+        registry.handle({ event: 'PeerStatus', peer: 'SIP/1003', peerstatus: 'Reachable', address: '10.0.0.7:5060', time: '21' });
+        assert.strictEqual(registry.get('SIP/1003').roundtripMs, 21);
+        registry.handle({ event: 'DeviceStateChange', device: 'SIP/1003', state: 'UNAVAILABLE' });
+        assert.strictEqual(registry.get('SIP/1003').registered, false);
+        registry.handle({ event: 'DeviceStateChange', device: 'SIP/1003', state: 'NOT_INUSE' });
+        assert.strictEqual(registry.get('SIP/1003').registered, true);
+
+        // Eventos que não alteram os campos dos membros não geram mudanças
+        assert.deepStrictEqual(registry.handle({ event: 'DeviceStateChange', device: 'SIP/1003', state: 'INUSE' }), []);
+        assert.deepStrictEqual(registry.getMemberFields('SIP/9999'),
+            { registered: null, contactUri: null, roundtripMs: null, userAgent: null });
+    });
+
+    describe('no cache', () => {
+        let server;
+        let cache;
+
+        beforeEach(async () => {
+            server = new FakeAmiServer({
+                queues: [
+                    {
+                        name: 'suporte',
+                        members: [
+                            { interface: 'Local/1001@agentes/n', stateInterface: 'PJSIP/1001' },
+                            { interface: 'PJSIP/1002', paused: 1, pausedReason: 'Almoco' },
+                            { interface: 'SIP/1003' }
+                        ]
+                    }
+                ],
+                endpoints: [
+                    { interface: 'PJSIP/1001', contactUri: 'sip:1001@10.0.0.5:5060', roundtripMs: 8, userAgent: 'Zoiper 5' },
+                    { interface: 'PJSIP/1002' },
+                    { interface: 'SIP/1003', registered: false }
+                ]
+            });
+            await server.start();
+            cache = createCache(server.config);
+            const endpointsLoaded = waitFor(cache, 'endpointChanged');
+            await connectCache(cache);
+            await endpointsLoaded;
+            await delay(20);
+        });
+
+        afterEach(async () => {
+            await cache.destroy();
+            await server.stop();
+        });
+
+        it('carrega o registro dos endpoints e o liga aos agentes pelo stateInterface', () => {
+            const agent = cache.getAgentByExtension('Local/1001@agentes/n');
+            assert.strictEqual(agent.registered, true);
+            assert.strictEqual(agent.contactUri, 'sip:1001@10.0.0.5:5060');
+            assert.strictEqual(agent.roundtripMs, 8);
+            assert.strictEqual(agent.userAgent, 'Zoiper 5');
+
+            assert.strictEqual(cache.getAgentByExtension('SIP/1003').registered, false);
+            assert.deepStrictEqual(cache.getEndpoints().map(e => e.interface).sort(), ['PJSIP/1001', 'PJSIP/1002', 'SIP/1003']);
+        });
+
+        it('emite agentUnreachable quando um agente não pausado perde o registro', async () => {
+            const unreachable = [];
+            cache.on('agentUnreachable', data => unreachable.push(data));
+
+            const updated = waitFor(cache, 'queuesUpdated');
+            server.pushEvents([
+                { Event: 'ContactStatus', URI: 'sip:1002@10.0.0.10:5060', ContactStatus: 'Removed', AOR: '1002', EndpointName: '1002' },
+                { Event: 'ContactStatus', URI: 'sip:1001@10.0.0.5:5060', ContactStatus: 'Removed', AOR: '1001', EndpointName: '1001' }
+            ]);
+            await updated;
+            await delay(20);
+
+            // O agente pausado também perde o registro, mas não gera o alerta
+            assert.strictEqual(cache.getAgentByExtension('PJSIP/1002').registered, false);
+            assert.strictEqual(unreachable.length, 1);
+            assert.strictEqual(unreachable[0].interface, 'Local/1001@agentes/n');
+            assert.strictEqual(unreachable[0].stateInterface, 'PJSIP/1001');
+            assert.deepStrictEqual(unreachable[0].queues, ['suporte']);
+            assert.strictEqual(cache.getAgentByExtension('Local/1001@agentes/n').contactUri, null);
+
+            // O peer SIP volta a registrar
+            const changed = waitFor(cache, 'endpointChanged');
+            server.pushEvent({ Event: 'PeerStatus', ChannelType: 'SIP', Peer: 'SIP/1003', PeerStatus: 'Registered', Address: '10.0.0.7:5060' });
+            assert.deepStrictEqual((await changed).members, ['SIP/1003']);
+            assert.strictEqual(cache.getAgentByExtension('SIP/1003').registered, true);
+        });
+    });
+});
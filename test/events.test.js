@@ -0,0 +1,250 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, delay, connectCache } = require('./helpers/cache');
+
+describe('agrupamento de eventos', () => {
+    let server;
+    let cache;
+
+    beforeEach(async () => {
+        server = new FakeAmiServer({
+            queues: [
+                { name: 'suporte', members: [{ interface: 'SIP/1001' }, { interface: 'SIP/1002' }] },
+                { name: 'vendas', members: [{ interface: 'SIP/1001' }] },
+                { name: 'cobranca', members: [{ interface: 'SIP/1001' }] }
+            ]
+        });
+        await server.start();
+        cache = createCache(server.config);
+        await connectCache(cache);
+    });
+
+    afterEach(async () => {
+        await cache.destroy();
+        await server.stop();
+    });
+
+    function memberStatus(queue, memberInterface, status, extra = {}) {
+        return {
+            Event: 'QueueMemberStatus',
+            ...server.memberFields(queue, server.buildMember({ interface: memberInterface, status: status })),
+            ...extra
+        };
+    }
+
+    it('emite um único memberStatusChanged para todas as filas do agente após 500 ms', async () => {
+        const received = [];
+        cache.on('memberStatusChanged', (data) => received.push({ data, at: Date.now() }));
+
+        const startedAt = Date.now();
+        server.pushEvents([
+            memberStatus('suporte', 'SIP/1001', 2),
+            memberStatus('vendas', 'SIP/1001', 2),
+            memberStatus('cobranca', 'SIP/1001', 2)
+        ]);
+
+        await delay(300);
+        assert.strictEqual(received.length, 0);
+
+        await delay(400);
+        assert.strictEqual(received.length, 1);
+        assert.deepStrictEqual(received[0].data.queues, ['suporte', 'vendas', 'cobranca']);
+        assert.strictEqual(received[0].data.member.status, 2);
+        assert.ok(received[0].at - startedAt >= 500);
+
+        for (const queue of ['suporte', 'vendas', 'cobranca']) {
+            const member = cache.getQueue(queue).members.find(m => m.extension === 'SIP/1001');
+            assert.strictEqual(member.status, 2);
+        }
+    });
+
+    it('reinicia a janela a cada novo evento do mesmo agente e mantém o último estado', async () => {
+        const received = [];
+        cache.on('memberStatusChanged', (data) => received.push(data));
+
+        server.pushEvent(memberStatus('suporte', 'SIP/1001', 6));
+        await delay(300);
+        server.pushEvent(memberStatus('vendas', 'SIP/1001', 2));
+        await delay(300);
+
+        // 600 ms após o primeiro evento, mas apenas 300 ms após o último
+        assert.strictEqual(received.length, 0);
+
+        await delay(300);
+        assert.strictEqual(received.length, 1);
+        assert.deepStrictEqual(received[0].queues, ['suporte', 'vendas']);
+        assert.strictEqual(received[0].member.status, 2);
+    });
+
+    it('agrupa cada agente separadamente', async () => {
+        const received = [];
+        cache.on('memberStatusChanged', (data) => received.push(data));
+
+        server.pushEvents([
+            memberStatus('suporte', 'SIP/1001', 2),
+            memberStatus('suporte', 'SIP/1002', 5),
+            memberStatus('vendas', 'SIP/1001', 2)
+        ]);
+        await delay(700);
+
+        assert.strictEqual(received.length, 2);
+        const byExtension = Object.fromEntries(received.map(data => [data.member.extension, data]));
+        assert.deepStrictEqual(byExtension['SIP/1001'].queues, ['suporte', 'vendas']);
+        assert.deepStrictEqual(byExtension['SIP/1002'].queues, ['suporte']);
+        assert.strictEqual(byExtension['SIP/1002'].member.status, 5);
+    });
+
+    it('agrupa eventos QueueMemberPause em um único memberPauseChanged', async () => {
+        const paused = waitFor(cache, 'memberPauseChanged', 1000);
+
+        server.pushEvents(['suporte', 'vendas', 'cobranca'].map(queue => ({
+            Event: 'QueueMemberPause',
+            ...server.memberFields(queue, server.buildMember({ interface: 'SIP/1001', paused: 1, pausedReason: 'Almoco' }))
+        })));
+
+        const data = await paused;
+        assert.deepStrictEqual(data.queues, ['suporte', 'vendas', 'cobranca']);
+        assert.strictEqual(data.paused, 1);
+        assert.strictEqual(cache.getAgentByExtension('SIP/1001').pausedReason, 'Almoco');
+    });
+
+    it('respeita o eventTimeout configurado', async () => {
+        cache.eventTimeout = 50;
+        const startedAt = Date.now();
+
+        server.pushEvent(memberStatus('suporte', 'SIP/1002', 2));
+        await waitFor(cache, 'memberStatusChanged', 400);
+
+        assert.ok(Date.now() - startedAt < 400);
+    });
+
+    // Substitui o cache do teste por um com a configuração de agrupamento informada
+    async function useCoalescing(coalescing) {
+        await cache.destroy();
+        cache = createCache({ ...server.config, coalescing: coalescing });
+        await connectCache(cache);
+    }
+
+    it('agrupa QueueMemberPause e QueueMemberStatus da mesma interface separadamente', async () => {
+        const received = [];
+        cache.on('memberStatusChanged', (data) => received.push(['status', data.member.status]));
+        cache.on('memberPauseChanged', (data) => received.push(['pause', data.member.paused]));
+
+        server.pushEvent(memberStatus('suporte', 'SIP/1001', 2));
+        await delay(100);
+        server.pushEvent({
+            Event: 'QueueMemberPause',
+            ...server.memberFields('suporte', server.buildMember({ interface: 'SIP/1001', status: 2, paused: 1, pausedReason: 'Almoco' }))
+        });
+        await delay(700);
+
+        assert.deepStrictEqual(received, [['status', 2], ['pause', 1]]);
+        assert.strictEqual(cache.getAgentByExtension('SIP/1001').paused, 1);
+    });
+
+    it('entrega o grupo no máximo maxWait ms após o primeiro evento', async () => {
+        await useCoalescing({ window: 100, maxWait: 250 });
+        const received = [];
+        cache.on('memberStatusChanged', (data) => received.push({ data, at: Date.now() }));
+
+        // Um evento a cada 50 ms reiniciaria a janela de 100 ms indefinidamente
+        const startedAt = Date.now();
+        for (let i = 0; i < 10; i++) {
+            server.pushEvent(memberStatus('suporte', 'SIP/1001', i % 2 ? 2 : 6));
+            await delay(50);
+        }
+        await delay(200);
+
+        assert.ok(received.length >= 2);
+        assert.ok(received[0].at - startedAt < 400);
+        assert.strictEqual(cache.getAgentByExtension('SIP/1001').status, 2);
+    });
+
+    it('usa a janela de cada tipo de evento', async () => {
+        await useCoalescing({ window: 1000, windows: { QueueMemberPause: 50 } });
+        const startedAt = Date.now();
+
+        server.pushEvent({
+            Event: 'QueueMemberPause',
+            ...server.memberFields('suporte', server.buildMember({ interface: 'SIP/1001', paused: 1 }))
+        });
+        await waitFor(cache, 'memberPauseChanged', 400);
+
+        assert.ok(Date.now() - startedAt < 400);
+    });
+
+    it('entrega cada evento imediatamente com janela 0', async () => {
+        await useCoalescing({ window: 0 });
+        const received = [];
+        cache.on('memberStatusChanged', (data) => received.push(data.queues));
+
+        server.pushEvents([
+            memberStatus('suporte', 'SIP/1001', 2),
+            memberStatus('vendas', 'SIP/1001', 2)
+        ]);
+        await delay(100);
+
+        assert.deepStrictEqual(received, [['suporte'], ['vendas']]);
+    });
+
+    it('entrega os eventos pendentes ao desconectar', async () => {
+        const received = [];
+        cache.on('memberStatusChanged', (data) => received.push(data));
+
+        server.pushEvent(memberStatus('suporte', 'SIP/1002', 2));
+        await delay(100);
+        assert.strictEqual(received.length, 0);
+
+        await cache.disconnect();
+        assert.strictEqual(received.length, 1);
+        assert.strictEqual(cache.getAgentByExtension('SIP/1002').status, 2);
+    });
+
+    it('registra a falha no processamento do grupo sem rejeição não tratada', async () => {
+        const errors = [];
+        const logger = { error: (message, fields) => errors.push([message, fields.eventType, fields.extension, fields.error.message]) };
+        const faulty = createCache({
+            ...server.config,
+            logger: logger,
+            eventTimeout: 0,
+            // Regra própria que falha para agentes pausados
+            presence: { rules: [{ presence: 'away', when: (member) => {
+                if (member.paused) throw new Error('Regra com defeito');
+                return false;
+            } }] }
+        });
+        const unhandled = [];
+        const onUnhandled = (reason) => unhandled.push(reason);
+        process.on('unhandledRejection', onUnhandled);
+
+        try {
+            await connectCache(faulty);
+            server.pushEvent({ Event: 'QueueMemberPause', Queue: 'suporte', Interface: 'SIP/1002', Paused: 1, PausedReason: 'Almoco' });
+            await delay(50);
+
+            assert.deepStrictEqual(errors, [['Erro ao processar evento agrupado', 'QueueMemberPause', 'SIP/1002', 'Regra com defeito']]);
+            assert.deepStrictEqual(unhandled, []);
+        } finally {
+            process.removeListener('unhandledRejection', onUnhandled);
+            await faulty.destroy();
+        }
+    });
+
+    it('processa QueueMemberAdded e QueueMemberRemoved imediatamente', async () => {
+        const added = waitFor(cache, 'memberAdded', 100);
+        server.pushEvent({
+            Event: 'QueueMemberAdded',
+            ...server.memberFields('vendas', server.buildMember({ interface: 'SIP/1009', name: 'Maria' }))
+        });
+        assert.strictEqual((await added).member.name, 'Maria');
+
+        const removed = waitFor(cache, 'memberRemoved', 100);
+        server.pushEvent({
+            Event: 'QueueMemberRemoved',
+            ...server.memberFields('vendas', server.buildMember({ interface: 'SIP/1009' }))
+        });
+        assert.strictEqual((await removed).queue, 'vendas');
+        assert.strictEqual(cache.getQueueAgents('vendas').length, 1);
+    });
+});
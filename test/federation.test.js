@@ -0,0 +1,122 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { FederatedCache } = require('../index');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { waitFor } = require('./helpers/cache');
+
+describe('federação', () => {
+    let servers;
+    let federated;
+
+    beforeEach(async () => {
+        servers = {
+            sp: new FakeAmiServer({
+                queues: [
+                    { name: 'suporte', members: [{ interface: 'PJSIP/1001', name: 'Juca' }] },
+                    { name: 'vendas', members: [{ interface: 'PJSIP/1001', name: 'Juca' }] }
+                ]
+            }),
+            rj: new FakeAmiServer({
+                queues: [{ name: 'suporte', members: [{ interface: 'PJSIP/2001', name: 'Maria', status: 2 }] }]
+            })
+        };
+        await Promise.all(Object.values(servers).map(server => server.start()));
+
+        federated = new FederatedCache(Object.entries(servers).map(([id, server]) => ({
+            id: id,
+            ...server.config,
+            stats: { interval: 0 }
+        })), { logLevel: 'silent' });
+
+        const synced = new Promise((resolve) => {
+            const pending = new Set(Object.keys(servers));
+            federated.on('resynced', ({ server }) => {
+                pending.delete(server);
+                if (pending.size === 0) resolve();
+            });
+        });
+        await federated.connect();
+        await synced;
+    });
+
+    afterEach(async () => {
+        await federated.destroy();
+        await Promise.all(Object.values(servers).map(server => server.stop()));
+    });
+
+    it('exige ids únicos', () => {
+        assert.throws(() => new FederatedCache([{ host: 'a' }]), /id/);
+        assert.throws(() => new FederatedCache([{ id: 'a' }, { id: 'a' }]), /duplicado/);
+    });
+
+    it('apresenta filas e agentes de todos os servidores marcados pelo servidor', () => {
+        const queues = federated.getQueues();
+        assert.deepStrictEqual(queues.map(q => `${q.server}:${q.name}`), ['sp:suporte', 'sp:vendas', 'rj:suporte']);
+        assert.ok(queues.every(q => q.members.every(m => m.server === q.server)));
+
+        const agents = federated.getQueueAgents('suporte');
+        assert.deepStrictEqual(agents.map(a => `${a.server}:${a.extension}`), ['sp:PJSIP/1001', 'rj:PJSIP/2001']);
+
+        assert.deepStrictEqual(federated.getAvailableAgents('suporte').map(a => a.extension), ['PJSIP/1001']);
+        assert.strictEqual(federated.getAllAgents().length, 2);
+
+        const agent = federated.getAgentByExtension('PJSIP/2001');
+        assert.strictEqual(agent.server, 'rj');
+        assert.deepStrictEqual(agent.queues, ['suporte']);
+        assert.strictEqual(federated.getQueue('suporte', 'rj').members[0].name, 'Maria');
+    });
+
+    it('encaminha as ações ao servidor dono da interface', async () => {
+        assert.strictEqual(await federated.pauseMember('PJSIP/2001', 'Pausa'), true);
+        assert.ok(servers.rj.actions.some(a => a.action === 'QueuePause'));
+        assert.ok(!servers.sp.actions.some(a => a.action === 'QueuePause'));
+
+        assert.strictEqual(await federated.pauseMember('PJSIP/9999'), false);
+    });
+
+    it('retorna o resultado das ações conforme o actionMode do servidor', async () => {
+        federated.getCache('rj').actionMode = 'result';
+
+        const result = await federated.pauseMember('PJSIP/2001', 'Pausa');
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.error, null);
+
+        servers.rj.setHandler('QueuePause', () => ({ Response: 'Error', Message: 'Interface not found' }));
+        const failed = await federated.unpauseMember('PJSIP/2001');
+        assert.strictEqual(failed.success, false);
+        assert.strictEqual(failed.error.code, 'AMI_ERROR');
+    });
+
+    it('usa os rótulos padrão sem servidores configurados', () => {
+        const empty = new FederatedCache([], { logLevel: 'silent' });
+        assert.strictEqual(empty.getLabels('en').presence.available, federated.getLabels('en').presence.available);
+        assert.deepStrictEqual(Object.keys(empty.getLabels().status), Object.keys(federated.getLabels().status));
+    });
+
+    it('adiciona o membro no servidor que possui a fila', async () => {
+        const added = waitFor(federated, 'memberAdded');
+        assert.strictEqual(await federated.addMemberToQueue('PJSIP/1001', 'Juca', 'suporte'), false);
+        assert.strictEqual(await federated.addMemberToQueue('PJSIP/1002', 'Ana', 'vendas'), true);
+
+        const data = await added;
+        assert.strictEqual(data.server, 'sp');
+        assert.strictEqual(data.queue, 'vendas');
+    });
+
+    it('emite eventos de conexão por servidor e o estado agregado', async () => {
+        assert.strictEqual(federated.getHealth().status, 'healthy');
+        federated.getCache('rj').reconnectInterval = 50;
+
+        const disconnected = waitFor(federated, 'disconnected');
+        const health = waitFor(federated, 'healthChanged');
+        servers.rj.dropConnections();
+
+        assert.deepStrictEqual(await disconnected, { server: 'rj' });
+        const degraded = await health;
+        assert.strictEqual(degraded.status, 'degraded');
+        assert.deepStrictEqual(degraded.servers, [{ id: 'sp', connected: true }, { id: 'rj', connected: false }]);
+
+        assert.deepStrictEqual(await waitFor(federated, 'connected'), { server: 'rj' });
+        assert.strictEqual(federated.getHealth().status, 'healthy');
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, delay, connectCache } = require('./helpers/cache');
+
+describe('saúde da conexão', () => {
+    let server;
+    let cache;
+
+    beforeEach(async () => {
+        server = new FakeAmiServer({ queues: [{ name: 'suporte', members: [{ interface: 'SIP/1001' }] }] });
+        await server.start();
+    });
+
+    afterEach(async () => {
+        if (cache) await cache.destroy();
+        cache = null;
+        await server.stop();
+    });
+
+    it('aumenta o atraso exponencialmente até o limite', async () => {
+        const config = server.config;
+        await server.stop();
+
+        cache = createCache({ ...config, reconnect: { initialDelay: 20, factor: 2, maxDelay: 100 } });
+        const delays = [];
+        cache.on('reconnecting', ({ delay, attempt }) => delays.push([attempt, delay]));
+        cache.on('connectionError', () => {});
+
+        await cache.connect();
+        while (delays.length < 5) {
+            await waitFor(cache, 'reconnecting', 1000);
+        }
+
+        assert.deepStrictEqual(delays.slice(0, 5), [[1, 20], [2, 40], [3, 80], [4, 100], [5, 100]]);
+    });
+
+    it('aplica o jitter dentro da faixa configurada', () => {
+        cache = createCache({ ...server.config, reconnect: { initialDelay: 1000, factor: 2, jitter: 0.5, maxDelay: 60000 } });
+
+        for (let i = 0; i < 50; i++) {
+            const value = cache.getReconnectDelay(2);
+            assert.ok(value >= 1000 && value <= 3000, `atraso fora da faixa: ${value}`);
+        }
+    });
+
+    it('desiste após maxAttempts tentativas', async () => {
+        const config = server.config;
+        await server.stop();
+
+        cache = createCache({ ...config, reconnect: { initialDelay: 10, maxAttempts: 2 } });
+        const errors = [];
+        cache.on('connectionError', (error) => errors.push(error.code));
+
+        await cache.connect();
+        await waitFor(cache, 'connectionError', 1000);
+        while (!errors.includes('MAX_RECONNECT_ATTEMPTS')) {
+            await waitFor(cache, 'connectionError', 1000);
+        }
+
+        await delay(50);
+        assert.strictEqual(cache.reconnectTimeout, null);
+        assert.strictEqual(cache.getHealth().state, 'disconnected');
+        assert.strictEqual(cache.getHealth().lastError.code, 'MAX_RECONNECT_ATTEMPTS');
+    });
+
+    it('reconecta quando o Ping deixa de ser respondido', async () => {
+        cache = createCache({ ...server.config, heartbeat: { interval: 50, timeout: 40, maxMissed: 2 } }, { reconnectInterval: 20 });
+        await connectCache(cache);
+
+        await delay(120);
+        assert.strictEqual(cache.getHealth().missedHeartbeats, 0);
+        assert.ok(cache.getHealth().lastHeartbeatAt);
+
+        server.setHandler('Ping', null);
+        const error = await waitFor(cache, 'connectionError', 1000);
+        assert.strictEqual(error.code, 'HEARTBEAT_TIMEOUT');
+
+        server.handlers.delete('ping');
+        await waitFor(cache, 'resynced', 1000);
+        assert.strictEqual(cache.getHealth().reconnectCount, 1);
+    });
+
+    it('getHealth() informa estado, uptime, último evento e reconexões', async () => {
+        cache = createCache(server.config, { reconnectInterval: 20 });
+        assert.strictEqual(cache.getHealth().state, 'disconnected');
+
+        const states = [];
+        cache.on('healthChanged', (health) => states.push(health.state));
+
+        await connectCache(cache);
+        // O FullyBooted também dispara uma sincronização
+        const booted = waitFor(cache, 'resynced');
+        server.pushEvent({ Event: 'FullyBooted', Status: 'Fully Booted' });
+        await booted;
+        await delay(30);
+
+        const health = cache.getHealth();
+        assert.strictEqual(health.state, 'connected');
+        assert.strictEqual(health.connected, true);
+        assert.ok(health.uptime >= 30);
+        assert.ok(health.lastEventAt >= health.connectedAt);
+        assert.strictEqual(health.reconnectCount, 0);
+
+        server.dropConnections();
+        await waitFor(cache, 'resynced');
+        assert.strictEqual(cache.getHealth().reconnectCount, 1);
+        assert.deepStrictEqual(states, ['connecting', 'connected', 'reconnecting', 'connected']);
+
+        await cache.disconnect();
+        assert.strictEqual(cache.getHealth().state, 'disconnected');
+        assert.strictEqual(cache.getHealth().uptime, 0);
+    });
+});
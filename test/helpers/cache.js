@@ -0,0 +1,44 @@
+/**
+ * @description Utilitários para criar e encerrar instâncias do AsteriskCache nos testes
+ */
+const AsteriskCache = require('../../index');
+
+// Cria o cache sem o evento periódico de estatísticas e sem logs no console
+function createCache(config, overrides = {}) {
+    const cache = new AsteriskCache({ stats: { interval: 0 }, logLevel: 'silent', ...config });
+    Object.assign(cache, overrides);
+    return cache;
+}
+
+// Aguarda um evento, falhando após o timeout
+function waitFor(emitter, eventName, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            emitter.removeListener(eventName, listener);
+            reject(new Error(`Timeout aguardando o evento ${eventName}`));
+        }, timeout);
+        const listener = (data) => {
+            clearTimeout(timer);
+            resolve(data);
+        };
+        emitter.once(eventName, listener);
+    });
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Conecta o cache e aguarda a primeira sincronização das filas
+async function connectCache(cache) {
+    const resynced = waitFor(cache, 'resynced');
+    await cache.connect();
+    await resynced;
+}
+
+module.exports = {
+    createCache,
+    waitFor,
+    delay,
+    connectCache
+};
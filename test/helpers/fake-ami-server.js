@@ -0,0 +1,513 @@
+/**
+ * @description Servidor AMI falso para testes
+ * @abstract
+ * Servidor TCP em processo que implementa o handshake de login do AMI e responde às ações
+ * QueueStatus, QueuePause, QueueAdd, QueueRemove, QueuePenalty, QueueMemberRingInUse, QueueReset,
+ * QueueReload, QueueLog, CoreShowChannels, PJSIPShowEndpoints, PJSIPShowContacts, SIPpeers, Ping e Logoff
+ * a partir de um estado de filas, canais e endpoints em memória. Os testes podem enviar eventos arbitrários, derrubar conexões, substituir o
+ * tratamento de qualquer ação ou deixar uma ação sem resposta.
+ */
+const net = require('net');
+const EventEmitter = require('events');
+
+const EOL = '\r\n';
+
+class FakeAmiServer extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.username='admin']
+     * @param {string} [options.secret='secret']
+     * @param {boolean} [options.greeting=true] - false para aceitar o TCP sem nunca enviar o banner do AMI
+     * @param {Object[]} [options.queues] - Estado inicial: [{ name, members: [{ interface, name, ... }] }]
+     * @param {Object[]} [options.channels] - Canais ativos: [{ channel, state, bridgeId, duration, ... }]
+     * @param {Object[]} [options.endpoints] - Endpoints: [{ interface: 'PJSIP/1001', registered, contactUri, ... }].
+     * Sem endpoints de uma tecnologia, as ações dela são recusadas como se o módulo não estivesse carregado
+     */
+    constructor(options = {}) {
+        super();
+        this.username = options.username || 'admin';
+        this.secret = options.secret || 'secret';
+        this.greeting = options.greeting !== false;
+        this.queues = new Map();
+        this.channels = options.channels || [];
+        this.endpoints = options.endpoints || [];
+        this.sockets = new Set();
+        this.authenticated = new Set();
+        this.actions = []; // Ações recebidas, na ordem
+        this.handlers = new Map();
+        this.server = net.createServer((socket) => this.handleSocket(socket));
+
+        for (const queue of options.queues || []) {
+            this.addQueue(queue.name, queue.members || []);
+        }
+    }
+
+    get port() {
+        return this.server.address().port;
+    }
+
+    // Configuração pronta para o AsteriskCache
+    get config() {
+        return {
+            host: '127.0.0.1',
+            port: this.port,
+            username: this.username,
+            secret: this.secret
+        };
+    }
+
+    start() {
+        return new Promise((resolve) => {
+            this.server.listen(0, '127.0.0.1', () => resolve(this.port));
+        });
+    }
+
+    stop() {
+        this.dropConnections();
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    // Derruba todas as conexões abertas, simulando uma queda do Asterisk
+    dropConnections() {
+        for (const socket of this.sockets) {
+            socket.destroy();
+        }
+        this.sockets.clear();
+        this.authenticated.clear();
+    }
+
+    addQueue(name, members = []) {
+        this.queues.set(name, {
+            name: name,
+            completed: 0,
+            abandoned: 0,
+            members: members.map(member => this.buildMember(member)),
+            callers: []
+        });
+    }
+
+    buildMember(member) {
+        return {
+            interface: member.interface,
+            name: member.name || member.interface,
+            stateInterface: member.stateInterface || member.interface,
+            membership: member.membership || 'dynamic',
+            penalty: member.penalty || 0,
+            callsTaken: member.callsTaken || 0,
+            status: member.status !== undefined ? member.status : 1,
+            paused: member.paused || 0,
+            pausedReason: member.pausedReason || '',
+            inCall: member.inCall || 0,
+            wrapupTime: member.wrapupTime || 0,
+            ringInUse: member.ringInUse !== undefined ? member.ringInUse : true
+        };
+    }
+
+    /**
+     * @description Substitui o tratamento de uma ação
+     * @param {string} action - Nome da ação (ex: QueuePause)
+     * @param {Function|null} handler - (message, socket) => resposta | resposta[] | null.
+     * null deixa a ação sem resposta, útil para testar timeouts.
+     */
+    setHandler(action, handler) {
+        this.handlers.set(action.toLowerCase(), handler === null ? () => null : handler);
+    }
+
+    // Envia um evento para todos os clientes autenticados
+    pushEvent(fields) {
+        for (const socket of this.authenticated) {
+            this.write(socket, fields);
+        }
+    }
+
+    // Envia vários eventos de uma vez, no mesmo pacote TCP
+    pushEvents(events) {
+        for (const socket of this.authenticated) {
+            socket.write(events.map(fields => this.serialize(fields)).join(''));
+        }
+    }
+
+    handleSocket(socket) {
+        let buffer = '';
+
+        this.sockets.add(socket);
+        socket.setEncoding('ascii');
+        socket.on('close', () => {
+            this.sockets.delete(socket);
+            this.authenticated.delete(socket);
+        });
+        socket.on('error', () => {});
+        socket.on('data', (data) => {
+            buffer += data;
+            let end;
+            while ((end = buffer.indexOf(EOL + EOL)) !== -1) {
+                const raw = buffer.substring(0, end);
+                buffer = buffer.substring(end + EOL.length * 2);
+                this.handleMessage(socket, this.parse(raw));
+            }
+        });
+
+        if (this.greeting) {
+            socket.write('Asterisk Call Manager/5.0.0' + EOL);
+        }
+    }
+
+    parse(raw) {
+        const message = {};
+        for (const line of raw.split(EOL)) {
+            const index = line.indexOf(':');
+            if (index === -1) continue;
+            message[line.substring(0, index).trim().toLowerCase()] = line.substring(index + 1).trim();
+        }
+        return message;
+    }
+
+    serialize(fields) {
+        return Object.entries(fields).map(([key, value]) => `${key}: ${value}`).join(EOL) + EOL + EOL;
+    }
+
+    write(socket, fields) {
+        if (!socket.destroyed) {
+            socket.write(this.serialize(fields));
+        }
+    }
+
+    handleMessage(socket, message) {
+        const action = (message.action || '').toLowerCase();
+        this.actions.push(message);
+        this.emit('action', message);
+
+        if (action === 'login') {
+            if (message.username === this.username && message.secret === this.secret) {
+                this.authenticated.add(socket);
+                this.reply(socket, message, { Response: 'Success', Message: 'Authentication accepted' });
+            } else {
+                this.reply(socket, message, { Response: 'Error', Message: 'Authentication failed' });
+            }
+            return;
+        }
+
+        if (!this.authenticated.has(socket)) {
+            this.reply(socket, message, { Response: 'Error', Message: 'Missing action in request' });
+            return;
+        }
+
+        const handler = this.handlers.get(action) || this.defaultHandler(action);
+        const result = handler.call(this, message, socket);
+        if (result === null || result === undefined) return;
+
+        for (const fields of Array.isArray(result) ? result : [result]) {
+            this.reply(socket, message, fields);
+        }
+    }
+
+    // Responde incluindo o ActionID da ação original
+    reply(socket, message, fields) {
+        this.write(socket, { ...fields, ActionID: message.actionid });
+    }
+
+    defaultHandler(action) {
+        switch (action) {
+            case 'ping':
+                return () => ({ Response: 'Success', Ping: 'Pong', Timestamp: (Date.now() / 1000).toFixed(6) });
+            case 'logoff':
+                return () => ({ Response: 'Goodbye', Message: 'Thanks for all the fish.' });
+            case 'queuestatus':
+                return this.handleQueueStatus;
+            case 'queuepause':
+                return this.handleQueuePause;
+            case 'queueadd':
+                return this.handleQueueAdd;
+            case 'queueremove':
+                return this.handleQueueRemove;
+            case 'queuepenalty':
+                return this.handleQueuePenalty;
+            case 'queuememberringinuse':
+                return this.handleQueueMemberRingInUse;
+            case 'queuereset':
+                return this.handleQueueReset;
+            case 'coreshowchannels':
+                return this.handleCoreShowChannels;
+            case 'pjsipshowendpoints':
+                return this.handlePJSIPShowEndpoints;
+            case 'pjsipshowcontacts':
+                return this.handlePJSIPShowContacts;
+            case 'sippeers':
+                return this.handleSIPpeers;
+            case 'queuereload':
+            case 'queuelog':
+                return () => ({ Response: 'Success' });
+            default:
+                return () => ({ Response: 'Error', Message: 'Invalid/unknown command' });
+        }
+    }
+
+    memberFields(queueName, member) {
+        return {
+            Queue: queueName,
+            MemberName: member.name,
+            Interface: member.interface,
+            StateInterface: member.stateInterface,
+            Membership: member.membership,
+            Penalty: member.penalty,
+            CallsTaken: member.callsTaken,
+            LastCall: 0,
+            LastPause: 0,
+            LoginTime: 0,
+            InCall: member.inCall,
+            Status: member.status,
+            Paused: member.paused,
+            PausedReason: member.pausedReason,
+            Wrapuptime: member.wrapupTime,
+            Ringinuse: member.ringInUse ? 1 : 0
+        };
+    }
+
+    handleQueueStatus(message) {
+        const responses = [{ Response: 'Success', EventList: 'start', Message: 'Queue status will follow' }];
+
+        for (const queue of this.queues.values()) {
+            responses.push({
+                Event: 'QueueParams',
+                Queue: queue.name,
+                Max: 0,
+                Strategy: 'ringall',
+                Calls: queue.callers.length,
+                Holdtime: 0,
+                TalkTime: 0,
+                Completed: queue.completed,
+                Abandoned: queue.abandoned,
+                ServiceLevel: 60,
+                ServicelevelPerf: 0,
+                ServicelevelPerf2: 0,
+                Weight: 0
+            });
+            for (const member of queue.members) {
+                const fields = this.memberFields(queue.name, member);
+                delete fields.Interface;
+                delete fields.MemberName;
+                delete fields.Ringinuse; // Assim como no Asterisk, o QueueStatus não informa o ringinuse
+                responses.push({ Event: 'QueueMember', Name: member.name, Location: member.interface, ...fields });
+            }
+            queue.callers.forEach((caller, index) => {
+                responses.push({
+                    Event: 'QueueEntry',
+                    Queue: queue.name,
+                    Position: index + 1,
+                    Channel: caller.channel,
+                    Uniqueid: caller.uniqueId || caller.channel,
+                    CallerIDNum: caller.callerIdNum || '',
+                    CallerIDName: caller.callerIdName || '',
+                    Wait: caller.wait || 0
+                });
+            });
+        }
+
+        responses.push({ Event: 'QueueStatusComplete', EventList: 'Complete', ListItems: responses.length - 1 });
+        return responses;
+    }
+
+    handleCoreShowChannels(message) {
+        const responses = [{ Response: 'Success', EventList: 'start', Message: 'Channels will follow' }];
+
+        for (const channel of this.channels) {
+            responses.push({
+                Event: 'CoreShowChannel',
+                Channel: channel.channel,
+                ChannelState: channel.state !== undefined ? channel.state : 6,
+                ChannelStateDesc: channel.stateDesc || 'Up',
+                CallerIDNum: channel.callerIdNum || '',
+                CallerIDName: channel.callerIdName || '',
+                ConnectedLineNum: channel.connectedLineNum || '',
+                ConnectedLineName: channel.connectedLineName || '',
+                Context: channel.context || 'default',
+                Exten: channel.exten || '',
+                Uniqueid: channel.uniqueId || channel.channel,
+                Linkedid: channel.linkedId || channel.uniqueId || channel.channel,
+                Application: channel.application || 'Dial',
+                BridgeId: channel.bridgeId || '',
+                Duration: channel.duration || '00:00:00'
+            });
+        }
+
+        responses.push({ Event: 'CoreShowChannelsComplete', EventList: 'Complete', ListItems: responses.length - 1 });
+        return responses;
+    }
+
+    getEndpoints(technology) {
+        return this.endpoints
+            .filter(endpoint => endpoint.interface.startsWith(technology + '/'))
+            .map(endpoint => ({
+                name: endpoint.interface.substring(technology.length + 1),
+                registered: endpoint.registered !== false,
+                contactUri: endpoint.contactUri || `sip:${endpoint.interface.substring(technology.length + 1)}@10.0.0.10:5060`,
+                roundtripMs: endpoint.roundtripMs !== undefined ? endpoint.roundtripMs : 12,
+                userAgent: endpoint.userAgent || 'Softphone 1.0'
+            }));
+    }
+
+    // Responde uma ação de lista com os eventos e o evento final
+    listResponse(items, completeEvent) {
+        return [
+            { Response: 'Success', EventList: 'start', Message: 'A listing will follow' },
+            ...items,
+            { Event: completeEvent, EventList: 'Complete', ListItems: items.length }
+        ];
+    }
+
+    handlePJSIPShowEndpoints(message) {
+        const endpoints = this.getEndpoints('PJSIP');
+        if (endpoints.length === 0) {
+            return { Response: 'Error', Message: 'No endpoints found' };
+        }
+
+        return this.listResponse(endpoints.map(endpoint => ({
+            Event: 'EndpointList',
+            ObjectType: 'endpoint',
+            ObjectName: endpoint.name,
+            Aor: endpoint.name,
+            Contacts: endpoint.registered ? `${endpoint.name}/${endpoint.contactUri},` : '',
+            DeviceState: endpoint.registered ? 'Not in use' : 'Unavailable'
+        })), 'EndpointListComplete');
+    }
+
+    handlePJSIPShowContacts(message) {
+        return this.listResponse(this.getEndpoints('PJSIP').filter(endpoint => endpoint.registered).map(endpoint => ({
+            Event: 'ContactList',
+            ObjectType: 'contact',
+            ObjectName: `${endpoint.name};@1`,
+            Endpoint: endpoint.name,
+            Aor: endpoint.name,
+            Uri: endpoint.contactUri,
+            UserAgent: endpoint.userAgent,
+            Status: 'Reachable',
+            RoundtripUsec: endpoint.roundtripMs * 1000
+        })), 'ContactListComplete');
+    }
+
+    handleSIPpeers(message) {
+        const peers = this.getEndpoints('SIP');
+        if (peers.length === 0) {
+            return { Response: 'Error', Message: 'Invalid/unknown command' };
+        }
+
+        return this.listResponse(peers.map(peer => ({
+            Event: 'PeerEntry',
+            Channeltype: 'SIP',
+            ObjectName: peer.name,
+            ChanObjectType: 'peer',
+            IPaddress: peer.registered ? '10.0.0.10' : '-none-',
+            IPport: peer.registered ? 5060 : 0,
+            Dynamic: 'yes',
+            Status: peer.registered ? `OK (${peer.roundtripMs} ms)` : 'UNKNOWN'
+        })), 'PeerlistComplete');
+    }
+
+    handleQueuePause(message) {
+        const paused = message.paused === 'true' || message.paused === '1' ? 1 : 0;
+        const queues = Array.from(this.queues.values())
+            .filter(queue => !message.queue || queue.name === message.queue)
+            .filter(queue => queue.members.some(m => m.interface === message.interface));
+
+        if (queues.length === 0) {
+            return { Response: 'Error', Message: 'Interface not found' };
+        }
+
+        const events = [];
+        for (const queue of queues) {
+            const member = queue.members.find(m => m.interface === message.interface);
+            member.paused = paused;
+            member.pausedReason = paused ? (message.reason || '') : '';
+            events.push({ Event: 'QueueMemberPause', ...this.memberFields(queue.name, member) });
+        }
+
+        // Assim como o Asterisk, os eventos chegam depois da resposta
+        setImmediate(() => this.pushEvents(events));
+        return { Response: 'Success', Message: paused ? 'Interface paused successfully' : 'Interface unpaused successfully' };
+    }
+
+    handleQueueAdd(message) {
+        const queue = this.queues.get(message.queue);
+        if (!queue) {
+            return { Response: 'Error', Message: 'Unable to add interface to queue: No such queue' };
+        }
+        if (queue.members.some(m => m.interface === message.interface)) {
+            return { Response: 'Error', Message: 'Unable to add interface: Already there' };
+        }
+
+        const member = this.buildMember({
+            interface: message.interface,
+            name: message.membername,
+            penalty: parseInt(message.penalty) || 0,
+            paused: message.paused === 'true' || message.paused === '1' ? 1 : 0
+        });
+        queue.members.push(member);
+
+        setImmediate(() => this.pushEvent({ Event: 'QueueMemberAdded', ...this.memberFields(queue.name, member) }));
+        return { Response: 'Success', Message: 'Added interface to queue' };
+    }
+
+    handleQueueRemove(message) {
+        const queue = this.queues.get(message.queue);
+        const member = queue && queue.members.find(m => m.interface === message.interface);
+        if (!member) {
+            return { Response: 'Error', Message: 'Unable to remove interface: Not there' };
+        }
+
+        queue.members.splice(queue.members.indexOf(member), 1);
+
+        setImmediate(() => this.pushEvent({ Event: 'QueueMemberRemoved', ...this.memberFields(queue.name, member) }));
+        return { Response: 'Success', Message: 'Removed interface from queue' };
+    }
+
+    // Altera um campo do membro nas filas da ação (ou em todas) e gera um evento por fila
+    updateMembers(message, eventName, update) {
+        const events = [];
+        for (const queue of this.queues.values()) {
+            if (message.queue && queue.name !== message.queue) continue;
+
+            const member = queue.members.find(m => m.interface === message.interface);
+            if (!member) continue;
+
+            update(member);
+            events.push({ Event: eventName, ...this.memberFields(queue.name, member) });
+        }
+
+        setImmediate(() => this.pushEvents(events));
+        return events.length;
+    }
+
+    handleQueuePenalty(message) {
+        const penalty = parseInt(message.penalty);
+        if (isNaN(penalty) || penalty < 0) {
+            return { Response: 'Error', Message: 'Invalid penalty' };
+        }
+        if (this.updateMembers(message, 'QueueMemberPenalty', member => member.penalty = penalty) === 0) {
+            return { Response: 'Error', Message: 'Invalid interface, queuename or penalty' };
+        }
+        return { Response: 'Success', Message: 'Interface penalty set successfully' };
+    }
+
+    handleQueueMemberRingInUse(message) {
+        const ringInUse = ['yes', 'true', '1'].includes(String(message.ringinuse).toLowerCase());
+        if (this.updateMembers(message, 'QueueMemberRinginuse', member => member.ringInUse = ringInUse) === 0) {
+            return { Response: 'Error', Message: 'Invalid interface, queuename, or ringinuse value' };
+        }
+        return { Response: 'Success', Message: 'Interface ringinuse set successfully' };
+    }
+
+    handleQueueReset(message) {
+        for (const queue of this.queues.values()) {
+            if (message.queue && queue.name !== message.queue) continue;
+
+            queue.completed = 0;
+            queue.abandoned = 0;
+            for (const member of queue.members) {
+                member.callsTaken = 0;
+            }
+        }
+        return { Response: 'Success', Message: 'Queue stats reset successfully' };
+    }
+}
+
+module.exports = FakeAmiServer;
@@ -0,0 +1,168 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, delay, connectCache } = require('./helpers/cache');
+const { readJournal, replayJournal } = require('../lib/journal');
+
+async function readEntries(filePath) {
+    const entries = [];
+    for await (const entry of readJournal(filePath)) {
+        entries.push(entry);
+    }
+    return entries;
+}
+
+describe('diário de eventos', () => {
+    let server;
+    let cache;
+    let dir;
+    let journalPath;
+
+    beforeEach(async () => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asterisk-cache-journal-'));
+        journalPath = path.join(dir, 'journal.jsonl');
+
+        server = new FakeAmiServer({
+            queues: [
+                { name: 'suporte', members: [{ interface: 'SIP/1001' }, { interface: 'SIP/1002' }] },
+                { name: 'vendas', members: [{ interface: 'SIP/1001' }] }
+            ]
+        });
+        await server.start();
+        cache = createCache({ ...server.config, journal: { path: journalPath } }, { eventTimeout: 50 });
+        await connectCache(cache);
+    });
+
+    afterEach(async () => {
+        await cache.destroy();
+        await server.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Gera atividade: chamador na fila, pausa em todas as filas e mudança de status
+    async function generateActivity() {
+        server.pushEvent({
+            Event: 'QueueCallerJoin',
+            Queue: 'suporte',
+            Channel: 'SIP/trunk-0001',
+            Uniqueid: '1714321234.1',
+            CallerIDNum: '5511999990000',
+            CallerIDName: 'Cliente',
+            Position: 1,
+            Count: 1
+        });
+        await waitFor(cache, 'callerJoined');
+
+        const paused = waitFor(cache, 'memberPauseChanged');
+        await cache.pauseMember('SIP/1001', 'Almoco');
+        await paused;
+
+        const pausedAt = Date.now();
+        await delay(20);
+
+        const status = waitFor(cache, 'memberStatusChanged');
+        server.pushEvent({
+            Event: 'QueueMemberStatus',
+            ...server.memberFields('suporte', server.buildMember({ interface: 'SIP/1002', status: 2 }))
+        });
+        await status;
+
+        return pausedAt;
+    }
+
+    it('grava eventos, eventos agrupados, ações, sincronizações, canais e endpoints em JSON lines', async () => {
+        await generateActivity();
+        await cache.destroy();
+
+        const entries = await readEntries(journalPath);
+        const types = new Set(entries.map(e => e.type));
+        assert.deepStrictEqual([...types].sort(), ['action', 'channels', 'coalesced', 'endpoints', 'event', 'sync']);
+        assert.ok(entries.every(e => typeof e.t === 'number'));
+
+        const sync = entries.find(e => e.type === 'sync');
+        assert.deepStrictEqual(sync.queues.map(q => q.name), ['suporte', 'vendas']);
+
+        const action = entries.find(e => e.type === 'action' && e.action.Action === 'QueuePause');
+        assert.strictEqual(action.action.interface, 'SIP/1001');
+        assert.strictEqual(action.action.lines, undefined);
+
+        const coalesced = entries.filter(e => e.type === 'coalesced');
+        assert.deepStrictEqual(coalesced.map(e => [e.eventType, e.extension]), [
+            ['QueueMemberPause', 'SIP/1001'],
+            ['QueueMemberStatus', 'SIP/1002']
+        ]);
+
+        assert.ok(entries.some(e => e.type === 'event' && e.event.event === 'QueueCallerJoin'));
+    });
+
+    it('reproduz o diário em um cache sem conexão reconstruindo o mesmo estado', async () => {
+        await generateActivity();
+        const expected = JSON.parse(JSON.stringify(cache.getQueues()));
+        await cache.destroy();
+
+        const replayed = await replayJournal(journalPath, { config: { logLevel: 'silent' } });
+        try {
+            assert.strictEqual(replayed.isConnected, false);
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(replayed.getQueues())), expected);
+        } finally {
+            await replayed.destroy();
+        }
+    });
+
+    it('para no instante informado em until', async () => {
+        const pausedAt = await generateActivity();
+        await cache.destroy();
+
+        const replayed = await replayJournal(journalPath, { until: pausedAt, config: { logLevel: 'silent' } });
+        try {
+            assert.strictEqual(replayed.getAgentByExtension('SIP/1001').paused, 1);
+            assert.strictEqual(replayed.getAgentByExtension('SIP/1002').status, 1);
+            assert.strictEqual(replayed.getQueueCallers('suporte').length, 1);
+        } finally {
+            await replayed.destroy();
+        }
+    });
+
+    it('respeita os intervalos originais na velocidade original', async () => {
+        const entries = [
+            { t: 1000, type: 'sync', queues: [{ name: 'suporte', members: [], callers: [] }] },
+            { t: 1150, type: 'event', event: { event: 'QueueCallerJoin', queue: 'suporte', channel: 'SIP/trunk-0001', position: '1' } }
+        ];
+
+        const startedAt = Date.now();
+        const replayed = await replayJournal(entries, { speed: 'original', config: { logLevel: 'silent' } });
+        try {
+            assert.ok(Date.now() - startedAt >= 140);
+            const [caller] = replayed.getQueueCallers('suporte');
+            assert.strictEqual(caller.joinTime, 1);
+            // As entradas originais não são alteradas pela reprodução
+            assert.deepStrictEqual(entries[0].queues[0].callers, []);
+        } finally {
+            await replayed.destroy();
+        }
+    });
+
+    it('registra a falha ao abrir o arquivo sem derrubar o processo', async () => {
+        const errors = [];
+        const logger = { error: (message, fields) => errors.push([message, fields.error.code]) };
+        const broken = createCache({ ...server.config, logger: logger, journal: { path: path.join(dir, 'inexistente', 'journal.jsonl') } });
+
+        try {
+            await connectCache(broken);
+            await delay(20);
+            assert.deepStrictEqual(errors, [['Erro ao gravar o diário de eventos', 'ENOENT']]);
+            assert.strictEqual(broken.journal.error.code, 'ENOENT');
+
+            // O cache continua atualizando as filas
+            const paused = waitFor(broken, 'memberPauseChanged');
+            server.pushEvent({ Event: 'QueueMemberPause', Queue: 'suporte', Interface: 'SIP/1002', Paused: 1, PausedReason: 'Almoco' });
+            await paused;
+            assert.strictEqual(broken.getAgentByExtension('SIP/1002').paused, 1);
+        } finally {
+            await broken.destroy();
+        }
+    });
+});
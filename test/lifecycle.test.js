@@ -0,0 +1,112 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { Actions } = require('nami');
+const AsteriskCache = require('../index');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, delay, connectCache } = require('./helpers/cache');
+
+describe('ciclo de vida', () => {
+    let server;
+    let cache;
+
+    beforeEach(async () => {
+        server = new FakeAmiServer({ queues: [{ name: 'suporte', members: [{ interface: 'SIP/1001' }] }] });
+        await server.start();
+    });
+
+    afterEach(async () => {
+        if (cache) await cache.destroy();
+        cache = null;
+        await server.stop();
+    });
+
+    it('não instala handlers globais no processo por padrão', () => {
+        const before = ['uncaughtException', 'SIGINT', 'SIGTERM'].map(e => process.listenerCount(e));
+        cache = createCache(server.config);
+        const after = ['uncaughtException', 'SIGINT', 'SIGTERM'].map(e => process.listenerCount(e));
+
+        assert.deepStrictEqual(after, before);
+    });
+
+    it('instala e remove os handlers de sinais quando handleSignals é true', async () => {
+        const before = process.listenerCount('SIGTERM');
+        cache = createCache({ ...server.config, handleSignals: true });
+        assert.strictEqual(process.listenerCount('SIGTERM'), before + 1);
+        assert.strictEqual(process.listenerCount('SIGINT'), before + 1);
+
+        await cache.destroy();
+        assert.strictEqual(process.listenerCount('SIGTERM'), before);
+    });
+
+    it('disconnect() fecha a conexão e resolve sem encerrar o processo', async () => {
+        cache = createCache(server.config);
+        await connectCache(cache);
+
+        const disconnected = waitFor(cache, 'disconnected');
+        await cache.disconnect();
+        await disconnected;
+
+        assert.strictEqual(cache.isConnected, false);
+        assert.strictEqual(cache.getQueues().length, 1);
+        await delay(50);
+        assert.strictEqual(server.sockets.size, 0);
+    });
+
+    it('disconnect() cancela a reconexão agendada', async () => {
+        cache = createCache(server.config, { reconnectInterval: 100 });
+        await connectCache(cache);
+
+        server.dropConnections();
+        await waitFor(cache, 'reconnecting');
+        await cache.disconnect();
+
+        let reconnected = false;
+        cache.on('connected', () => { reconnected = true; });
+        await delay(250);
+        assert.strictEqual(reconnected, false);
+        assert.strictEqual(cache.reconnectTimeout, null);
+    });
+
+    it('disconnect() rejeita as ações pendentes', async () => {
+        cache = createCache(server.config);
+        await connectCache(cache);
+        server.setHandler('Ping', null);
+
+        const pending = cache._send(new Actions.Ping(), 60000);
+        await cache.disconnect();
+
+        await assert.rejects(pending, { message: 'Conexão encerrada' });
+        assert.strictEqual(cache.pendingActions.size, 0);
+    });
+
+    it('permite conectar novamente após disconnect()', async () => {
+        cache = createCache(server.config);
+        await connectCache(cache);
+        await cache.disconnect();
+
+        await connectCache(cache);
+        assert.strictEqual(cache.isConnected, true);
+        assert.strictEqual(server.actions.filter(a => a.action === 'Login').length, 2);
+    });
+
+    it('destroy() remove os listeners e impede novas conexões', async () => {
+        cache = createCache(server.config);
+        cache.on('memberAdded', () => {});
+        await connectCache(cache);
+
+        await cache.destroy();
+
+        assert.strictEqual(cache.listenerCount('memberAdded'), 0);
+        assert.strictEqual(cache.nami.listenerCount('namiEvent'), 0);
+        await assert.rejects(cache.connect(), /Instância destruída/);
+    });
+
+    it('várias instâncias podem coexistir no mesmo processo', async () => {
+        const caches = [0, 1, 2].map(() => new AsteriskCache({ ...server.config, stats: { interval: 0 } }));
+
+        await Promise.all(caches.map(c => connectCache(c)));
+        assert.ok(caches.every(c => c.getQueues().length === 1));
+
+        await Promise.all(caches.map(c => c.destroy()));
+    });
+});
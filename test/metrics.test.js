@@ -0,0 +1,98 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, connectCache } = require('./helpers/cache');
+const CacheServer = require('../lib/server');
+
+function get(port, path) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: port, path: path }, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => body += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: body }));
+        }).on('error', reject);
+    });
+}
+
+describe('métricas', () => {
+    let server;
+    let cache;
+
+    beforeEach(async () => {
+        server = new FakeAmiServer({
+            queues: [
+                {
+                    name: 'suporte',
+                    members: [
+                        { interface: 'SIP/1001', status: 1 },
+                        { interface: 'SIP/1002', status: 2 },
+                        { interface: 'SIP/1003', status: 1, paused: 1, pausedReason: 'Almoco' }
+                    ]
+                }
+            ]
+        });
+        server.queues.get('suporte').callers.push({ channel: 'SIP/trunk-0001', wait: 10 });
+        await server.start();
+        cache = createCache(server.config);
+        await connectCache(cache);
+    });
+
+    afterEach(async () => {
+        await cache.destroy();
+        await server.stop();
+    });
+
+    it('gera os gauges das filas a partir do cache', () => {
+        const metrics = cache.getMetrics();
+
+        assert.match(metrics, /^asterisk_cache_up 1$/m);
+        assert.match(metrics, /^asterisk_cache_queue_callers\{queue="suporte"\} 1$/m);
+        assert.match(metrics, /^asterisk_cache_queue_members\{queue="suporte"\} 3$/m);
+        assert.match(metrics, /^asterisk_cache_queue_members_by_status\{queue="suporte",status="not_inuse"\} 2$/m);
+        assert.match(metrics, /^asterisk_cache_queue_members_by_status\{queue="suporte",status="inuse"\} 1$/m);
+        assert.match(metrics, /^asterisk_cache_queue_members_paused\{queue="suporte",reason="Almoco"\} 1$/m);
+    });
+
+    it('conta as ações por resultado e registra a latência', async () => {
+        const paused = waitFor(cache, 'memberPauseChanged');
+        assert.strictEqual(await cache.pauseMember('SIP/1001', 'Treinamento'), true);
+        await paused;
+        assert.strictEqual(await cache.removeMemberFromQueue('SIP/9999', 'suporte'), false);
+
+        const metrics = cache.getMetrics();
+        assert.match(metrics, /^asterisk_cache_actions_total\{action="QueuePause",result="success"\} 1$/m);
+        assert.match(metrics, /^asterisk_cache_actions_total\{action="QueueRemove",result="error"\} 1$/m);
+        assert.match(metrics, /^asterisk_cache_action_duration_seconds_count\{action="QueuePause"\} 1$/m);
+        assert.match(metrics, /^asterisk_cache_action_duration_seconds_bucket\{action="QueuePause",le="\+Inf"\} 1$/m);
+        assert.match(metrics, /^asterisk_cache_events_total\{event="QueueMemberPause"\} 1$/m);
+    });
+
+    it('expõe /metrics no servidor HTTP apenas quando habilitado', async () => {
+        const enabled = new CacheServer(cache, { metrics: true });
+        const disabled = new CacheServer(cache);
+        const { port } = await enabled.listen(0, '127.0.0.1');
+        const { port: disabledPort } = await disabled.listen(0, '127.0.0.1');
+
+        try {
+            const response = await get(port, '/metrics');
+            assert.strictEqual(response.status, 200);
+            assert.match(response.headers['content-type'], /^text\/plain/);
+            assert.match(response.body, /^# TYPE asterisk_cache_queue_callers gauge$/m);
+
+            assert.strictEqual((await get(disabledPort, '/metrics')).status, 404);
+
+            // Uma falha ao gerar as métricas responde 500 como as demais rotas
+            cache.getMetrics = () => {
+                throw new Error('Falha ao gerar as métricas');
+            };
+            const failed = await get(port, '/metrics');
+            assert.strictEqual(failed.status, 500);
+            assert.deepStrictEqual(JSON.parse(failed.body), { error: 'Falha ao gerar as métricas' });
+        } finally {
+            await enabled.close();
+            await disabled.close();
+        }
+    });
+});
@@ -0,0 +1,106 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const PresenceResolver = require('../lib/presence');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, connectCache } = require('./helpers/cache');
+
+const NOW = 10000;
+
+function member(fields) {
+    return { status: 1, paused: 0, inCall: 0, lastCall: 0, wrapupTime: 0, currentCall: null, ...fields };
+}
+
+describe('presença dos membros', () => {
+    it('deriva a presença pelo status, chamada, pausa e pós-atendimento', () => {
+        const resolver = new PresenceResolver();
+
+        assert.strictEqual(resolver.resolve(member({}), NOW), 'available');
+        assert.strictEqual(resolver.resolve(member({ status: 5 }), NOW), 'offline');
+        assert.strictEqual(resolver.resolve(member({ status: 6 }), NOW), 'ringing');
+        assert.strictEqual(resolver.resolve(member({ currentCall: { state: 'ringing' } }), NOW), 'ringing');
+        assert.strictEqual(resolver.resolve(member({ status: 2, inCall: 1 }), NOW), 'on-call');
+        // Em chamada prevalece sobre a pausa
+        assert.strictEqual(resolver.resolve(member({ status: 2, paused: 1 }), NOW), 'on-call');
+        assert.strictEqual(resolver.resolve(member({ paused: 1 }), NOW), 'paused');
+        assert.strictEqual(resolver.resolve(member({ lastCall: NOW - 10, wrapupTime: 30 }), NOW), 'wrap-up');
+        assert.strictEqual(resolver.resolve(member({ lastCall: NOW - 40, wrapupTime: 30 }), NOW), 'available');
+    });
+
+    it('aceita regras próprias e presenças disponíveis configuradas', () => {
+        const resolver = new PresenceResolver({
+            // Ramais sem qualify informam status UNKNOWN
+            rules: [{ presence: 'available', when: (m) => m.status === 0 && !m.paused }],
+            available: ['available', 'wrap-up']
+        });
+
+        assert.strictEqual(resolver.resolve(member({ status: 0 }), NOW), 'available');
+        assert.strictEqual(resolver.resolve(member({ status: 0, paused: 1 }), NOW), 'offline');
+        assert.strictEqual(resolver.isAvailable(member({ lastCall: NOW - 10, wrapupTime: 30 }), NOW), true);
+        assert.strictEqual(resolver.isAvailable(member({ paused: 1 }), NOW), false);
+
+        assert.throws(() => new PresenceResolver({ rules: [{ presence: 'x' }] }), /Regra de presença inválida/);
+    });
+
+    it('fornece rótulos em português e inglês', () => {
+        const resolver = new PresenceResolver({ labels: { en: { presence: { 'wrap-up': 'After call work' } } } });
+
+        assert.strictEqual(resolver.getLabels().presence['on-call'], 'Em chamada');
+        assert.strictEqual(resolver.getLabels('pt-BR').status.NOT_INUSE, 'Livre');
+        assert.strictEqual(resolver.getLabels('en-US').status.UNAVAILABLE, 'Unavailable');
+        assert.strictEqual(resolver.getLabels('en').presence['wrap-up'], 'After call work');
+        assert.strictEqual(resolver.getLabels('es').presence.paused, 'Em pausa');
+    });
+
+    describe('no cache', () => {
+        let server;
+        let cache;
+
+        beforeEach(async () => {
+            server = new FakeAmiServer({
+                queues: [
+                    { name: 'suporte', members: [{ interface: 'SIP/1001', wrapupTime: 1 }, { interface: 'SIP/1002', status: 5 }] }
+                ]
+            });
+            await server.start();
+            cache = createCache(server.config, { eventTimeout: 50 });
+            await connectCache(cache);
+        });
+
+        afterEach(async () => {
+            await cache.destroy();
+            await server.stop();
+        });
+
+        it('marca statusName e presence nos membros', () => {
+            const [available, offline] = cache.getQueue('suporte').members;
+            assert.strictEqual(available.statusName, 'NOT_INUSE');
+            assert.strictEqual(available.presence, 'available');
+            assert.strictEqual(offline.statusName, 'UNAVAILABLE');
+            assert.strictEqual(offline.presence, 'offline');
+
+            assert.deepStrictEqual(cache.getAvailableAgents('suporte').map(a => a.extension), ['SIP/1001']);
+            assert.strictEqual(cache.getLabels('en').presence.offline, 'Offline');
+        });
+
+        it('passa pelo pós-atendimento ao fim da chamada e volta a ficar disponível', async () => {
+            const changes = [];
+            cache.on('memberPresenceChanged', data => changes.push(data.presence));
+            const call = { Queue: 'suporte', Interface: 'SIP/1001', Channel: 'SIP/trunk-0001', DestChannel: 'SIP/1001-0001', Uniqueid: '1714321234.1' };
+
+            server.pushEvent({ Event: 'AgentCalled', ...call });
+            await waitFor(cache, 'agentRinging');
+            server.pushEvent({ Event: 'AgentConnect', ...call, HoldTime: 5, RingTime: 2 });
+            await waitFor(cache, 'agentConnected');
+            server.pushEvent({ Event: 'AgentComplete', ...call, HoldTime: 5, TalkTime: 30, Reason: 'caller' });
+            await waitFor(cache, 'agentCallEnded');
+
+            assert.strictEqual(cache.getAgentByExtension('SIP/1001').presence, 'wrap-up');
+            assert.deepStrictEqual(cache.getAvailableAgents('suporte'), []);
+
+            const { member, previousPresence } = await waitFor(cache, 'memberPresenceChanged');
+            assert.strictEqual(previousPresence, 'wrap-up');
+            assert.strictEqual(member.presence, 'available');
+            assert.deepStrictEqual(changes, ['ringing', 'on-call', 'wrap-up', 'available']);
+        });
+    });
+});
@@ -0,0 +1,114 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, connectCache } = require('./helpers/cache');
+
+describe('controle dos membros das filas', () => {
+    let server;
+    let cache;
+
+    const member = (queueName) => cache.getQueue(queueName).members.find(m => m.extension === 'SIP/1001');
+
+    beforeEach(async () => {
+        server = new FakeAmiServer({
+            queues: [
+                { name: 'suporte', members: [{ interface: 'SIP/1001', penalty: 1, callsTaken: 3 }] },
+                { name: 'vendas', members: [{ interface: 'SIP/1001', penalty: 1 }] }
+            ]
+        });
+        server.queues.get('suporte').completed = 5;
+        await server.start();
+        cache = createCache(server.config);
+        await connectCache(cache);
+    });
+
+    afterEach(async () => {
+        await cache.destroy();
+        await server.stop();
+    });
+
+    it('pausa o agente apenas na fila informada, atualizando o cache antes da confirmação', async () => {
+        const confirmed = waitFor(cache, 'memberPauseChanged', 1500);
+        const pausing = cache.pauseMember('SIP/1001', 'Almoco', 'suporte');
+
+        assert.strictEqual(member('suporte').paused, 1);
+        assert.strictEqual(member('suporte').pausedReason, 'Almoco');
+        assert.strictEqual(member('vendas').paused, 0);
+
+        assert.strictEqual(await pausing, true);
+        assert.strictEqual(server.actions.find(a => a.action === 'QueuePause').queue, 'suporte');
+        assert.deepStrictEqual((await confirmed).queues, ['suporte']);
+        assert.strictEqual(member('vendas').paused, 0);
+    });
+
+    it('desfaz a atualização otimista quando o Asterisk recusa a ação', async () => {
+        server.setHandler('QueuePause', () => ({ Response: 'Error', Message: 'Interface not found' }));
+
+        assert.strictEqual(await cache.pauseMember('SIP/1001', 'Almoco'), false);
+        assert.strictEqual(member('suporte').paused, 0);
+        assert.strictEqual(member('suporte').pausedReason, '');
+        assert.strictEqual(member('vendas').paused, 0);
+    });
+
+    it('altera a penalidade e confirma pelo evento QueueMemberPenalty', async () => {
+        const confirmed = waitFor(cache, 'memberPenaltyChanged');
+        const changing = cache.setMemberPenalty('SIP/1001', 5, 'vendas');
+        assert.strictEqual(member('vendas').penalty, 5);
+
+        assert.strictEqual(await changing, true);
+        const data = await confirmed;
+        assert.strictEqual(data.queue, 'vendas');
+        assert.strictEqual(data.penalty, 5);
+        assert.strictEqual(member('suporte').penalty, 1);
+
+        const action = server.actions.find(a => a.action === 'QueuePenalty');
+        assert.strictEqual(action.interface, 'SIP/1001');
+        assert.strictEqual(action.penalty, '5');
+        assert.strictEqual(action.queue, 'vendas');
+    });
+
+    it('altera o ringinuse em todas as filas e confirma pelo evento QueueMemberRinginuse', async () => {
+        assert.strictEqual(member('suporte').ringInUse, null);
+
+        const queues = [];
+        cache.on('memberRingInUseChanged', (data) => queues.push(data.queue));
+        const confirmed = new Promise((resolve) => cache.on('memberRingInUseChanged', () => queues.length === 2 && resolve()));
+
+        assert.strictEqual(await cache.setMemberRingInUse('SIP/1001', false), true);
+        await confirmed;
+
+        assert.deepStrictEqual(queues.sort(), ['suporte', 'vendas']);
+        assert.strictEqual(member('suporte').ringInUse, false);
+        assert.strictEqual(member('vendas').ringInUse, false);
+        assert.strictEqual(server.actions.find(a => a.action === 'QueueMemberRingInUse').ringinuse, 'no');
+    });
+
+    it('zera as estatísticas da fila e ressincroniza', async () => {
+        assert.strictEqual(cache.getQueue('suporte').completed, 5);
+        assert.strictEqual(member('suporte').callsTaken, 3);
+
+        const resynced = waitFor(cache, 'resynced');
+        assert.strictEqual(await cache.resetQueueStats('suporte'), true);
+        await resynced;
+
+        assert.strictEqual(cache.getQueue('suporte').completed, 0);
+        assert.strictEqual(member('suporte').callsTaken, 0);
+        assert.strictEqual(server.actions.find(a => a.action === 'QueueReset').queue, 'suporte');
+    });
+
+    it('recarrega as filas e grava entradas no queue_log', async () => {
+        assert.strictEqual(await cache.reloadQueues({ queue: 'suporte', members: true }), true);
+        const reload = server.actions.find(a => a.action === 'QueueReload');
+        assert.strictEqual(reload.queue, 'suporte');
+        assert.strictEqual(reload.members, 'yes');
+        assert.strictEqual(reload.rules, undefined);
+
+        assert.strictEqual(await cache.logQueueEvent('suporte', 'SUPERVISOR', { interface: 'SIP/1001', message: 'Monitoria' }), true);
+        const log = server.actions.find(a => a.action === 'QueueLog');
+        assert.strictEqual(log.queue, 'suporte');
+        assert.strictEqual(log.event, 'SUPERVISOR');
+        assert.strictEqual(log.interface, 'SIP/1001');
+        assert.strictEqual(log.message, 'Monitoria');
+        assert.strictEqual(log.uniqueid, undefined);
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const QueueStats = require('../lib/queue-stats');
+const { createCache, waitFor } = require('./helpers/cache');
+
+const NOW = 1714321200000;
+
+function member(extension, fields = {}) {
+    return {
+        name: extension, extension: extension, stateInterface: extension, membership: 'dynamic', penalty: 0,
+        callsTaken: 0, lastCall: 0, lastPause: 0, loginTime: 0, inCall: 0, status: 1, paused: 0,
+        pausedReason: '', wrapupTime: 0, ringInUse: true, currentCall: null, ...fields
+    };
+}
+
+describe('estatísticas das filas', () => {
+    it('calcula as métricas de cada janela pelo relógio informado', () => {
+        let now = NOW;
+        const stats = new QueueStats({ windows: { '15m': 900, '1h': 3600 }, serviceLevel: 20, clock: () => now });
+
+        stats.recordAnswered('suporte', 'SIP/1001', 10);
+        stats.recordAbandoned('suporte', 30);
+        now += 20 * 60 * 1000;
+        stats.recordAnswered('suporte', 'SIP/1002', 40);
+        stats.recordCompleted('suporte', 'SIP/1002', 120);
+        stats.recordAnswered('vendas', 'SIP/1001', 5);
+        now += 60 * 1000;
+
+        // Os primeiros registros ficaram fora da janela de 15 minutos
+        assert.deepStrictEqual(stats.getQueueStats('suporte', '15m', 2), {
+            window: '15m',
+            answered: 1,
+            abandoned: 0,
+            completed: 1,
+            avgWait: 40,
+            maxWait: 40,
+            avgTalk: 120,
+            serviceLevel: 0,
+            serviceLevelThreshold: 20,
+            occupancy: 6.67 // 120 s de conversação em 2 agentes x 900 s
+        });
+
+        const hour = stats.getQueueStats('suporte', '1h', 2);
+        assert.strictEqual(hour.answered, 2);
+        assert.strictEqual(hour.abandoned, 1);
+        assert.strictEqual(hour.avgWait, 27);
+        assert.strictEqual(hour.serviceLevel, 33.33);
+        // A ocupação considera apenas os 21 minutos desde o início da coleta
+        assert.strictEqual(hour.occupancy, 4.76);
+
+        assert.strictEqual(stats.getAgentStats('SIP/1001', '1h').answered, 2);
+        assert.strictEqual(stats.getQueueStats('suporte', 'inexistente'), null);
+
+        // As amostras mais antigas que a maior janela são descartadas
+        now += 60 * 60 * 1000;
+        stats.recordAbandoned('suporte', 0);
+        assert.strictEqual(stats.samples.length, 1);
+    });
+
+    it('inicia a janela today à meia-noite', () => {
+        const midnight = new Date(NOW);
+        midnight.setHours(0, 0, 0, 0);
+        let now = midnight.getTime() - 60 * 1000;
+        const stats = new QueueStats({ clock: () => now });
+
+        stats.recordAnswered('suporte', 'SIP/1001', 5);
+        now = midnight.getTime() + 60 * 1000;
+        stats.recordAnswered('suporte', 'SIP/1001', 5);
+
+        assert.strictEqual(stats.getQueueStats('suporte', 'today').answered, 1);
+        assert.strictEqual(stats.getQueueStats('suporte', '1h').answered, 2);
+    });
+
+    describe('no cache', () => {
+        let cache;
+
+        afterEach(async () => {
+            await cache.destroy();
+        });
+
+        it('registra as chamadas pelos eventos e emite statsUpdated no relógio do cache', async () => {
+            let now = NOW;
+            cache = createCache({ offline: true, eventTimeout: 0 }, { clock: () => now });
+            const caller = { channel: 'SIP/trunk-0002', uniqueId: '1714321200.2', position: 1, joinTime: NOW / 1000 };
+            cache.applyQueues(new Map([
+                ['suporte', { name: 'suporte', members: [member('SIP/1001'), member('SIP/1002')], callers: [caller] }]
+            ]));
+
+            const call = { queue: 'suporte', interface: 'SIP/1001', channel: 'SIP/trunk-0001', uniqueid: '1714321200.1' };
+            await cache.handleEvent({ event: 'AgentConnect', ...call, holdtime: '8', ringtime: '2' });
+            now += 90 * 1000;
+            await cache.handleEvent({ event: 'AgentComplete', ...call, holdtime: '8', talktime: '90', reason: 'caller' });
+            await cache.handleEvent({ event: 'QueueCallerAbandon', queue: 'suporte', channel: 'SIP/trunk-0002', holdtime: '45' });
+            now += 90 * 1000;
+
+            const stats = cache.getQueueStats('suporte');
+            assert.strictEqual(stats.answered, 1);
+            assert.strictEqual(stats.abandoned, 1);
+            assert.strictEqual(stats.completed, 1);
+            assert.strictEqual(stats.maxWait, 45);
+            assert.strictEqual(stats.serviceLevel, 50);
+            // 90 s de conversação em 2 agentes x 180 s desde a primeira amostra
+            assert.strictEqual(stats.occupancy, 25);
+            assert.strictEqual(cache.getAgentStats('SIP/1001', '1h').completed, 1);
+            assert.strictEqual(cache.getQueueStats('inexistente'), null);
+
+            const updated = waitFor(cache, 'statsUpdated');
+            cache.emitStats();
+            const { timestamp, queues } = await updated;
+            assert.strictEqual(timestamp, now);
+            assert.deepStrictEqual(Object.keys(queues.suporte), ['15m', '1h', 'today']);
+            assert.deepStrictEqual(queues.suporte['15m'], stats);
+        });
+    });
+});
@@ -0,0 +1,192 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, delay, connectCache } = require('./helpers/cache');
+const CacheServer = require('../lib/server');
+
+function request(port, method, path, options = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: port, method: method, path: path, headers: options.headers }, (res) => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => body += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, body: body ? JSON.parse(body) : null }));
+        });
+        req.on('error', reject);
+        req.end(options.body);
+    });
+}
+
+// Abre um stream SSE e acumula os eventos recebidos em stream.events
+function openStream(port, path) {
+    return new Promise((resolve, reject) => {
+        const stream = { events: [] };
+        stream.req = http.get({ host: '127.0.0.1', port: port, path: path }, (res) => {
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                const messages = buffer.split('\n\n');
+                buffer = messages.pop();
+                for (const message of messages) {
+                    const event = message.match(/^event: (.+)$/m);
+                    const data = message.match(/^data: (.+)$/m);
+                    if (event && data) {
+                        stream.events.push({ event: event[1], data: JSON.parse(data[1]) });
+                    }
+                }
+            });
+            stream.status = res.statusCode;
+            stream.contentType = res.headers['content-type'];
+            resolve(stream);
+        });
+        stream.req.on('error', (error) => {
+            if (error.code !== 'ECONNRESET') reject(error);
+        });
+    });
+}
+
+describe('servidor HTTP', () => {
+    let server;
+    let cache;
+    let cacheServer;
+    let port;
+
+    before(async () => {
+        server = new FakeAmiServer({
+            queues: [
+                { name: 'suporte', members: [{ interface: 'SIP/1001', name: 'Juca' }, { interface: 'SIP/1002' }] },
+                { name: 'vendas', members: [{ interface: 'SIP/1002', paused: 1, pausedReason: 'Almoco' }] }
+            ]
+        });
+        server.queues.get('suporte').callers.push({ channel: 'SIP/trunk-0001', wait: 10 });
+        await server.start();
+        cache = createCache({ ...server.config, eventTimeout: 0 });
+        await connectCache(cache);
+        cacheServer = new CacheServer(cache);
+        ({ port } = await cacheServer.listen(0, '127.0.0.1'));
+    });
+
+    after(async () => {
+        await cacheServer.close();
+        await cache.destroy();
+        await server.stop();
+    });
+
+    it('responde às consultas das filas e dos agentes', async () => {
+        const queues = await request(port, 'GET', '/queues');
+        assert.strictEqual(queues.status, 200);
+        assert.deepStrictEqual(queues.body.map(queue => queue.name), ['suporte', 'vendas']);
+
+        assert.strictEqual((await request(port, 'GET', '/queues/vendas')).body.name, 'vendas');
+        assert.deepStrictEqual((await request(port, 'GET', '/queues/suporte/agents?available=1')).body
+            .map(agent => agent.extension), ['SIP/1001', 'SIP/1002']);
+        assert.deepStrictEqual((await request(port, 'GET', '/queues/suporte/callers')).body
+            .map(caller => caller.channel), ['SIP/trunk-0001']);
+
+        const agent = await request(port, 'GET', '/agents/SIP%2F1002');
+        assert.strictEqual(agent.status, 200);
+        assert.deepStrictEqual(agent.body.queues, ['suporte', 'vendas']);
+
+        assert.strictEqual((await request(port, 'GET', '/queues/inexistente')).status, 404);
+        assert.strictEqual((await request(port, 'GET', '/agents/SIP%2F9999')).status, 404);
+        assert.strictEqual((await request(port, 'GET', '/rota')).status, 404);
+        assert.strictEqual((await request(port, 'DELETE', '/queues')).status, 405);
+        assert.deepStrictEqual(await request(port, 'GET', '/queues/%E0'), { status: 400, body: { error: 'Parâmetro inválido na URL' } });
+        assert.strictEqual((await request(port, 'POST', '/agents/SIP%2F%E0/pause', { body: '{}' })).status, 400);
+    });
+
+    it('executa as ações e converte as falhas em status HTTP', async () => {
+        const paused = waitFor(cache, 'memberPauseChanged');
+        const pause = await request(port, 'POST', '/agents/SIP%2F1001/pause', { body: JSON.stringify({ reason: 'Treinamento' }) });
+        assert.deepStrictEqual(pause, { status: 200, body: { success: true } });
+        await paused;
+        assert.strictEqual(cache.getAgentByExtension('SIP/1001').pausedReason, 'Treinamento');
+
+        const unpaused = waitFor(cache, 'memberPauseChanged');
+        assert.strictEqual((await request(port, 'POST', '/agents/SIP%2F1001/unpause')).status, 200);
+        await unpaused;
+
+        const refused = await request(port, 'DELETE', '/queues/suporte/members/SIP%2F9999');
+        assert.strictEqual(refused.status, 502);
+        assert.strictEqual(refused.body.success, false);
+
+        assert.strictEqual((await request(port, 'POST', '/queues/suporte/members', { body: '{}' })).status, 400);
+        assert.strictEqual((await request(port, 'POST', '/agents/SIP%2F1001/penalty', { body: '{"penalty":"2"}' })).status, 400);
+        assert.deepStrictEqual(await request(port, 'POST', '/agents/SIP%2F1001/pause', { body: '{' }),
+            { status: 400, body: { error: 'JSON inválido' } });
+    });
+
+    it('recusa corpos que não são objetos JSON', async () => {
+        for (const body of ['null', '[]', '"pausa"', '42']) {
+            assert.deepStrictEqual(await request(port, 'POST', '/agents/SIP%2F1001/pause', { body: body }),
+                { status: 400, body: { error: 'O corpo deve ser um objeto JSON' } });
+        }
+    });
+
+    it('exige o token nas rotas e no stream quando configurado', async () => {
+        const secured = new CacheServer(cache, { token: 'segredo' });
+        const { port: securedPort } = await secured.listen(0, '127.0.0.1');
+
+        try {
+            assert.strictEqual((await request(securedPort, 'GET', '/queues')).status, 401);
+            assert.strictEqual((await request(securedPort, 'GET', '/queues', { headers: { Authorization: 'Bearer outro' } })).status, 401);
+            assert.strictEqual((await request(securedPort, 'GET', '/queues?token=outro')).status, 401);
+            assert.strictEqual((await request(securedPort, 'GET', '/queues', { headers: { Authorization: 'Bearer segredo' } })).status, 200);
+            assert.strictEqual((await request(securedPort, 'GET', '/queues?token=segredo')).status, 200);
+
+            const denied = await openStream(securedPort, '/events');
+            assert.strictEqual(denied.status, 401);
+            denied.req.destroy();
+
+            const allowed = await openStream(securedPort, '/events?token=segredo');
+            assert.strictEqual(allowed.status, 200);
+            allowed.req.destroy();
+        } finally {
+            await secured.close();
+        }
+    });
+
+    it('transmite os eventos via SSE com os filtros de filas e de eventos', async () => {
+        const all = await openStream(port, '/events');
+        const vendas = await openStream(port, '/events?queues=vendas');
+        const added = await openStream(port, '/events?events=memberAdded');
+        assert.strictEqual(all.status, 200);
+        assert.match(all.contentType, /^text\/event-stream/);
+        await delay(20);
+
+        try {
+            const paused = waitFor(cache, 'memberPauseChanged');
+            server.pushEvents([
+                { Event: 'QueueMemberPause', Queue: 'suporte', Interface: 'SIP/1002', Paused: 1, PausedReason: 'Almoco' },
+                { Event: 'QueueMemberPause', Queue: 'vendas', Interface: 'SIP/1002', Paused: 0, PausedReason: '' }
+            ]);
+            await paused;
+            await delay(50);
+
+            const pauseEvents = (stream) => stream.events.filter(event => event.event === 'memberPauseChanged');
+            assert.deepStrictEqual(pauseEvents(all).map(event => event.data.queues), [['suporte'], ['vendas']]);
+            assert.deepStrictEqual(pauseEvents(vendas).map(event => event.data.queues), [['vendas']]);
+
+            // O queuesUpdated é limitado às filas do cliente
+            const update = vendas.events.find(event => event.event === 'queuesUpdated');
+            assert.deepStrictEqual(update.data.map(queue => queue.name), ['vendas']);
+            // As operações do changes também
+            for (const record of vendas.events.filter(event => event.event === 'changes')) {
+                assert.ok(record.data.patch.every(operation => operation.path.startsWith('/queues/vendas/')));
+            }
+
+            assert.deepStrictEqual(added.events, []);
+            const memberAdded = waitFor(cache, 'memberAdded');
+            await request(port, 'POST', '/queues/vendas/members', { body: JSON.stringify({ interface: 'SIP/1003' }) });
+            await memberAdded;
+            await delay(50);
+            assert.deepStrictEqual(added.events.map(event => [event.event, event.data.queue]), [['memberAdded', 'vendas']]);
+        } finally {
+            for (const stream of [all, vendas, added]) {
+                stream.req.destroy();
+            }
+        }
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileSnapshotStore = require('../lib/snapshot-store');
+const FakeAmiServer = require('./helpers/fake-ami-server');
+const { createCache, waitFor, connectCache } = require('./helpers/cache');
+
+describe('snapshot', () => {
+    let dir;
+    let snapshotPath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'asterisk-cache-snapshot-'));
+        snapshotPath = path.join(dir, 'cache', 'snapshot.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('grava e lê o snapshot em arquivo', async () => {
+        const store = new FileSnapshotStore(snapshotPath);
+        assert.strictEqual(store.load(), null);
+
+        const snapshot = { version: 1, revision: 3, savedAt: 1714321200000, queues: [{ name: 'suporte', members: [], callers: [] }] };
+        await store.save(snapshot);
+
+        assert.deepStrictEqual(store.load(), snapshot);
+        // A gravação passa por um arquivo temporário renomeado ao final
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(snapshotPath)), ['snapshot.json']);
+
+        fs.writeFileSync(snapshotPath, '{"queues":');
+        assert.strictEqual(store.load(), null);
+        fs.writeFileSync(snapshotPath, '{"queues":{}}');
+        assert.strictEqual(store.load(), null);
+    });
+
+    describe('no cache', () => {
+        let server;
+        let cache;
+
+        beforeEach(async () => {
+            server = new FakeAmiServer({
+                queues: [
+                    { name: 'suporte', members: [{ interface: 'SIP/1001' }, { interface: 'SIP/1002' }] },
+                    { name: 'vendas', members: [{ interface: 'SIP/1001' }] }
+                ]
+            });
+            await server.start();
+        });
+
+        afterEach(async () => {
+            if (cache) await cache.destroy();
+            cache = null;
+            await server.stop();
+        });
+
+        it('serve os dados do snapshot como stale até a primeira sincronização', async () => {
+            const first = createCache({ ...server.config, snapshot: { path: snapshotPath } });
+            await connectCache(first);
+            // O último estado é gravado ao encerrar
+            const saved = waitFor(first, 'snapshotSaved');
+            await first.destroy();
+            assert.strictEqual((await saved).revision, 1);
+
+            // Reinício com o Asterisk ainda indisponível: os últimos dados conhecidos são servidos
+            cache = createCache({ ...server.config, snapshot: { path: snapshotPath } });
+            assert.strictEqual(cache.isStale(), true);
+            assert.deepStrictEqual(cache.getQueues().map(queue => [queue.name, queue.stale]), [['suporte', true], ['vendas', true]]);
+            assert.deepStrictEqual(cache.getAgentByExtension('SIP/1001').queues, ['suporte', 'vendas']);
+
+            // O snapshot não é sobrescrito com os dados que ele mesmo forneceu
+            await cache.saveSnapshot();
+            assert.strictEqual(new FileSnapshotStore(snapshotPath).load().revision, 1);
+
+            // Alterações ocorridas enquanto o cache estava parado
+            server.queues.get('suporte').members.splice(1, 1);
+            const summary = waitFor(cache, 'resynced');
+            await cache.connect();
+
+            assert.strictEqual((await summary).initial, true);
+            assert.strictEqual(cache.isStale(), false);
+            assert.ok(cache.getQueues().every(queue => queue.stale === undefined));
+            assert.deepStrictEqual(cache.getQueueAgents('suporte').map(agent => agent.extension), ['SIP/1001']);
+
+            // Após a sincronização o snapshot volta a ser gravado, continuando a revisão carregada
+            await cache.saveSnapshot();
+            const snapshot = new FileSnapshotStore(snapshotPath).load();
+            assert.strictEqual(snapshot.revision, 2);
+            assert.deepStrictEqual(snapshot.queues.find(queue => queue.name === 'suporte').members.map(m => m.extension), ['SIP/1001']);
+        });
+
+        it('aceita armazenamentos próprios com load assíncrono', async () => {
+            const saves = [];
+            const store = {
+                load: async () => ({ revision: 7, savedAt: 1714321200000, queues: [{ name: 'suporte', members: [] }] }),
+                save: async (snapshot) => saves.push(snapshot)
+            };
+
+            cache = createCache({ ...server.config, snapshot: { store: store } });
+            assert.deepStrictEqual(await waitFor(cache, 'snapshotLoaded'), { revision: 7, savedAt: 1714321200000, queues: 1 });
+            assert.strictEqual(cache.isStale(), true);
+            assert.deepStrictEqual(cache.getQueue('suporte').callers, []);
+
+            await connectCache(cache);
+            assert.strictEqual(cache.isStale(), false);
+            await cache.saveSnapshot();
+            assert.strictEqual(saves.length, 1);
+            assert.strictEqual(saves[0].revision, 8);
+            assert.deepStrictEqual(saves[0].queues.map(queue => queue.name), ['suporte', 'vendas']);
+        });
+    });
+});